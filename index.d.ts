@@ -1,4 +1,11 @@
-import { BinanceRestClient } from './types/base';
+import {
+  BinanceRestOptions,
+  Cassette,
+  CassetteOptions,
+  PaperOptions,
+  PaperTrading,
+  SymbolFilterOptions,
+} from './types/base';
 import { GenericEndpoints } from './types/generic';
 import { MarketEndpoints } from './types/market';
 import { OrderEndpoints } from './types/order';
@@ -13,6 +20,8 @@ import { SavingsEndpoints } from './types/savings';
 import { MiningEndpoints } from './types/mining';
 import { UtilityEndpoints } from './types/utility';
 import { BinanceWebSocket } from './types/websocket';
+import { Iterators } from './types/paginate';
+import { FuturesWebSocketApi, WebSocketApi } from './types/ws-api';
 
 export interface BinanceRest extends
   GenericEndpoints,
@@ -29,9 +38,13 @@ export interface BinanceRest extends
   MiningEndpoints,
   UtilityEndpoints {
   ws: BinanceWebSocket;
+  wsApi: WebSocketApi;
+  futuresWsApi: FuturesWebSocketApi;
+  iterate: Iterators<BinanceRest>;
 }
 
 export * from './types/base';
+export * from './types/paginate';
 
 export {
   BinanceRestOptions,
@@ -148,6 +161,32 @@ export * from './types/utility';
 
 export * from './types/websocket';
 
+export * from './types/errors';
+
+export * from './types/ws-api';
 
-declare function Binance(options?: BinanceRestClient.BinanceRestOptions): BinanceRest;
+
+export interface BinancePaperRest extends Omit<BinanceRest, 'wsApi' | 'futuresWsApi'> {
+  paper: PaperTrading;
+}
+
+declare function Binance(
+  options: BinanceRestOptions & { paper: true | PaperOptions },
+): BinancePaperRest;
+declare function Binance(options?: BinanceRestOptions): BinanceRest;
 export default Binance;
+
+/** Client trading against a local matching engine, like the `paper` option */
+export function createPaperClient(options?: BinanceRestOptions): BinancePaperRest;
+
+/** Round an order to the filters of its symbol, throws a BinanceFilterError when it breaks one */
+export function applySymbolFilters<Order extends { symbol: string }>(
+  order: Order,
+  symbolInfo: { symbol: string; filters: any[] },
+  options?: SymbolFilterOptions,
+): Order;
+
+/** Record or replay REST requests in a JSON cassette, `fetch` sends the recorded requests */
+export function createCassette(
+  options: CassetteOptions & { fetch?: (url: string, init?: any) => Promise<any> },
+): Cassette;
@@ -0,0 +1,6 @@
+import { MockServer, MockServerOptions } from './types/base';
+
+export { MockServer, MockServerEndpoints, MockServerOptions } from './types/base';
+
+/** Local exchange serving REST and websocket requests for integration tests, Node.js only */
+export function createMockServer(options?: MockServerOptions): MockServer;
@@ -0,0 +1,10 @@
+/**
+ * Api domain a path belongs to: `futures`, `delivery`, `portfolioMargin` or
+ * `spot`. Each domain has its own base url, server clock and rate limits.
+ */
+export const getApiDomain = path => {
+    if (path.includes('/fapi') || path.includes('/futures')) return 'futures'
+    if (path.includes('/dapi')) return 'delivery'
+    if (path.includes('/papi')) return 'portfolioMargin'
+    return 'spot'
+}
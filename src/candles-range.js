@@ -0,0 +1,177 @@
+const UNITS = {
+    s: 1000,
+    m: 60e3,
+    h: 3600e3,
+    d: 86400e3,
+    w: 7 * 86400e3,
+}
+
+// Weekly candles open on Mondays, the epoch was a Thursday
+const WEEK_OFFSET = 4 * 86400e3
+
+const DEFAULT_LIMIT = 1000
+const DEFAULT_CONCURRENCY = 3
+
+/**
+ * Length of a candle interval, in ms or in calendar months for `1M`
+ */
+export const parseInterval = interval => {
+    const match = /^(\d+)([smhdwM])$/.exec(interval)
+    if (!match || !Number(match[1])) {
+        throw new Error(`Unknown candle interval ${interval}.`)
+    }
+
+    const count = Number(match[1])
+    return match[2] === 'M'
+        ? { months: count }
+        : { ms: count * UNITS[match[2]], offset: match[2] === 'w' ? WEEK_OFFSET : 0 }
+}
+
+const monthIndex = time => {
+    const date = new Date(time)
+    return date.getUTCFullYear() * 12 + date.getUTCMonth()
+}
+
+const monthStart = index => Date.UTC(Math.floor(index / 12), index % 12, 1)
+
+// Open time of the candle `time` belongs to
+export const alignTime = (spec, time) =>
+    spec.months
+        ? monthStart(monthIndex(time) - (monthIndex(time) % spec.months))
+        : Math.floor((time - spec.offset) / spec.ms) * spec.ms + spec.offset
+
+// Open time of the candle `count` intervals after the one opening at `openTime`
+export const addIntervals = (spec, openTime, count) =>
+    spec.months
+        ? monthStart(monthIndex(openTime) + count * spec.months)
+        : openTime + count * spec.ms
+
+// Intervals spanning at most `span` ms, months counted as 31 days
+const intervalsWithin = (spec, span) =>
+    Math.max(1, Math.floor((span + 1) / (spec.months ? spec.months * 31 * UNITS.d : spec.ms)))
+
+const countIntervals = (spec, from, to) =>
+    spec.months
+        ? Math.round((monthIndex(to) - monthIndex(from)) / spec.months)
+        : Math.round((to - from) / spec.ms)
+
+// Runs the tasks with at most `concurrency` of them pending, stops at the first failure
+const runPool = (tasks, concurrency) => {
+    const results = []
+    let index = 0
+    let failed = false
+
+    const worker = () => {
+        if (failed || index >= tasks.length) {
+            return Promise.resolve()
+        }
+        const current = index++
+        return tasks[current]().then(
+            result => {
+                results[current] = result
+                return worker()
+            },
+            error => {
+                failed = true
+                throw error
+            },
+        )
+    }
+
+    return Promise.all(
+        Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker()),
+    ).then(() => results)
+}
+
+/**
+ * Fetch every candle of a time range. The range is split in requests of `limit`
+ * candles, or of `maxSpan` ms when shorter, fetched `concurrency` at a time,
+ * and the candles are merged by open time. Candles missing from the range, up
+ * to the current one, are reported as gaps with the open times of their first
+ * and last candle, which can be given back as `startTime` and `endTime` to
+ * fetch them again.
+ *
+ * @param {function} fetchCandles Client candles method
+ * @param {object} payload Params of the candles method, `startTime` is required
+ * @param {number} payload.limit Candles per request, 1000 by default
+ * @param {number} payload.concurrency Requests in flight at once, 3 by default
+ * @param {function} now Clock bounding ranges ending in the future
+ * @param {number} maxSpan Longest `startTime` to `endTime` span of a request, in ms
+ * @returns {Promise<object>} `{ candles, gaps }`
+ */
+export const candlesRange = (fetchCandles, payload = {}, now = Date.now, maxSpan = Infinity) => {
+    const {
+        interval = '5m',
+        startTime,
+        endTime,
+        limit = DEFAULT_LIMIT,
+        concurrency = DEFAULT_CONCURRENCY,
+        ...params
+    } = payload
+
+    if (startTime === undefined) {
+        return Promise.reject(new Error('candlesRange requires a startTime parameter.'))
+    }
+
+    let spec
+    try {
+        spec = parseInterval(interval)
+    } catch (error) {
+        return Promise.reject(error)
+    }
+
+    const rangeStart = Number(startTime)
+    const rangeEnd = endTime !== undefined ? Number(endTime) : now()
+    const aligned = alignTime(spec, rangeStart)
+    const first = aligned < rangeStart ? addIntervals(spec, aligned, 1) : aligned
+    // Candles past the current one don't exist yet, they are neither fetched nor gaps
+    const fetchEnd = Math.min(rangeEnd, now())
+    const last = alignTime(spec, fetchEnd)
+    const chunkSize = Math.min(limit, intervalsWithin(spec, maxSpan))
+
+    const tasks = []
+    for (let chunkStart = first; chunkStart <= fetchEnd; ) {
+        const next = addIntervals(spec, chunkStart, chunkSize)
+        const query = {
+            ...params,
+            interval,
+            startTime: chunkStart,
+            endTime: Math.min(next - 1, fetchEnd),
+            limit,
+        }
+        tasks.push(() => fetchCandles(query))
+        chunkStart = next
+    }
+
+    return runPool(tasks, concurrency).then(pages => {
+        const byOpenTime = {}
+        pages.forEach(page =>
+            page.forEach(candle => {
+                if (candle.openTime >= rangeStart && candle.openTime <= rangeEnd) {
+                    byOpenTime[candle.openTime] = candle
+                }
+            }),
+        )
+
+        const candles = Object.keys(byOpenTime)
+            .map(openTime => byOpenTime[openTime])
+            .sort((a, b) => a.openTime - b.openTime)
+
+        const gaps = []
+        const addGap = (from, to) =>
+            gaps.push({ startTime: from, endTime: to, count: countIntervals(spec, from, to) + 1 })
+
+        let expected = first
+        candles.forEach(candle => {
+            if (candle.openTime > expected) {
+                addGap(expected, alignTime(spec, candle.openTime - 1))
+            }
+            expected = addIntervals(spec, candle.openTime, 1)
+        })
+        if (expected <= last) {
+            addGap(expected, last)
+        }
+
+        return { candles, gaps }
+    })
+}
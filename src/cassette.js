@@ -0,0 +1,190 @@
+/* global Map */
+import { describeRequest, REDACTED_PARAMS } from './errors'
+
+const MODES = ['record', 'replay']
+
+// Params changing on every call, left out when matching requests
+const DEFAULT_IGNORED_PARAMS = ['timestamp', 'signature', 'recvWindow', 'newClientOrderId']
+
+// Response headers never written to a cassette
+const SKIPPED_HEADERS = ['set-cookie']
+
+const CASSETTE_VERSION = 1
+
+// Cassettes are files, the fs module is only required when one is used
+const getFs = () => {
+    if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+        throw new Error('Cassettes are only supported in Node.js.')
+    }
+    return require('fs').promises
+}
+
+const getDirectory = path => path.replace(/[\\/][^\\/]*$/, '') || '.'
+
+/**
+ * Key of a request, from its method, url without query and the params that do
+ * not change between runs, sorted by name
+ */
+const getRequestKey = ({ method, url, params }, ignoredParams) => {
+    const query = Object.keys(params)
+        .filter(key => !ignoredParams.includes(key))
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&')
+    return `${method} ${url.split('?')[0]}?${query}`
+}
+
+// Headers of a response, with the `has`, `get` and `forEach` of fetch
+const createHeaders = headers =>
+    new Map(Object.keys(headers).map(key => [key.toLowerCase(), headers[key]]))
+
+export const createResponse = (url, { status, statusText, headers, body }) => ({
+    url,
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: createHeaders(headers),
+    text: () => Promise.resolve(body),
+    json: () => Promise.resolve(JSON.parse(body)),
+})
+
+// Response body with its stream keys masked, like those of the request params
+const redactBody = body =>
+    REDACTED_PARAMS.reduce(
+        (out, key) => out.replace(new RegExp(`("${key}"\\s*:\\s*)"[^"]*"`, 'g'), '$1"[REDACTED]"'),
+        body,
+    )
+
+const readHeaders = res => {
+    const headers = {}
+    if (res.headers) {
+        res.headers.forEach((value, key) => {
+            if (!SKIPPED_HEADERS.includes(key.toLowerCase())) {
+                headers[key.toLowerCase()] = value
+            }
+        })
+    }
+    return headers
+}
+
+/**
+ * Record or replay the REST requests of a client in a JSON cassette.
+ *
+ * In `record` mode requests are sent and each request and response pair is
+ * written to the cassette, replacing its previous content. The api key header
+ * is left out, the signature and the stream keys of the params and response
+ * bodies are masked. In `replay` mode
+ * nothing is sent, requests are answered from the cassette: by method, url and
+ * params, except those changing on every call like the timestamp. Requests
+ * made more than once get their responses in the recorded order, the last one
+ * is repeated past the end.
+ *
+ * @param {object} options
+ * @param {string} options.path Path of the cassette file
+ * @param {string} options.mode `record` or `replay` (default)
+ * @param {string[]} options.ignoreParams Params left out when matching requests
+ * @param {function} options.fetch Fetch implementation of the recorded requests, required to record
+ * @returns {object} Cassette, with the `fetch` to give to the client
+ */
+export const createCassette = ({
+    path,
+    mode = 'replay',
+    ignoreParams = DEFAULT_IGNORED_PARAMS,
+    fetch,
+}) => {
+    if (!path) {
+        throw new Error('A cassette needs a path.')
+    }
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown cassette mode ${mode}, expected ${MODES.join(' or ')}.`)
+    }
+    if (mode === 'record' && !fetch) {
+        throw new Error('Recording a cassette needs a fetch.')
+    }
+
+    const interactions = []
+    // Interactions by request key and the number of times each was replayed
+    let recorded = null
+    const replayed = {}
+    let saving = Promise.resolve()
+
+    const load = () => {
+        if (!recorded) {
+            recorded = getFs()
+                .readFile(path, 'utf8')
+                .then(text =>
+                    JSON.parse(text).interactions.reduce((out, interaction) => {
+                        const key = getRequestKey(interaction.request, ignoreParams)
+                        out[key] = (out[key] || []).concat(interaction)
+                        return out
+                    }, {}),
+                )
+        }
+        return recorded
+    }
+
+    const save = () => {
+        const fs = getFs()
+        const content = `${JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2)}\n`
+
+        // Writes are queued so the file always ends up with every interaction,
+        // each write has all of them so a failed one doesn't hold the next
+        saving = saving
+            .catch(() => null)
+            .then(() => fs.mkdir(getDirectory(path), { recursive: true }))
+            .then(() => fs.writeFile(path, content))
+        return saving
+    }
+
+    const record = (url, options) => {
+        const {
+            method,
+            url: redactedUrl,
+            params,
+        } = describeRequest(url, options.method, options.body)
+
+        return fetch(url, options).then(res =>
+            res.text().then(body => {
+                const response = {
+                    status: res.status,
+                    statusText: res.statusText,
+                    headers: readHeaders(res),
+                    body,
+                }
+                interactions.push({
+                    request: { method, url: redactedUrl, params },
+                    response: { ...response, body: redactBody(body) },
+                })
+                return save().then(() => createResponse(url, response))
+            }),
+        )
+    }
+
+    const replay = (url, options) => {
+        const request = describeRequest(url, options.method, options.body)
+        const key = getRequestKey(request, ignoreParams)
+
+        return load().then(byKey => {
+            const matches = byKey[key]
+            if (!matches) {
+                throw new Error(
+                    `No recorded response for ${request.method} ${request.url} in ${path}.`,
+                )
+            }
+
+            const count = replayed[key] || 0
+            replayed[key] = count + 1
+            return createResponse(url, matches[Math.min(count, matches.length - 1)].response)
+        })
+    }
+
+    return {
+        mode,
+        path,
+        fetch: mode === 'record' ? record : replay,
+        /**
+         * Resolves once the recorded interactions are written
+         */
+        flush: () => saving,
+    }
+}
@@ -0,0 +1,78 @@
+/* global BigInt */
+
+/**
+ * Exact decimal math on the number strings of the api, a decimal being the
+ * integer `units` divided by 10 to the power of `scale`.
+ */
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i
+
+const powerOfTen = scale => BigInt(`1${'0'.repeat(scale)}`)
+
+export const parseDecimal = value => {
+    if (value && typeof value === 'object' && typeof value.units === 'bigint') {
+        return value
+    }
+
+    const match = DECIMAL_PATTERN.exec(String(value).trim())
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid decimal number ${value}.`)
+    }
+
+    const fraction = match[3] || ''
+    let digits = `${match[2]}${fraction}` || '0'
+    let scale = fraction.length - Number(match[4] || 0)
+    if (scale < 0) {
+        digits += '0'.repeat(-scale)
+        scale = 0
+    }
+
+    return { units: BigInt(`${match[1] === '-' ? '-' : ''}${digits}`), scale }
+}
+
+// Both decimals with the same scale
+const align = (a, b) => {
+    const x = parseDecimal(a)
+    const y = parseDecimal(b)
+    const scale = Math.max(x.scale, y.scale)
+    return [x.units * powerOfTen(scale - x.scale), y.units * powerOfTen(scale - y.scale), scale]
+}
+
+export const formatDecimal = value => {
+    const { units, scale } = parseDecimal(value)
+    const negative = units < BigInt(0)
+    const digits = (negative ? -units : units).toString().padStart(scale + 1, '0')
+    const integer = digits.slice(0, digits.length - scale)
+    const fraction = digits.slice(digits.length - scale).replace(/0+$/, '')
+
+    return `${negative ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}`
+}
+
+export const compareDecimals = (a, b) => {
+    const [x, y] = align(a, b)
+    return x === y ? 0 : x < y ? -1 : 1
+}
+
+export const isZero = value => parseDecimal(value).units === BigInt(0)
+
+export const multiplyDecimals = (a, b) => {
+    const x = parseDecimal(a)
+    const y = parseDecimal(b)
+    return { units: x.units * y.units, scale: x.scale + y.scale }
+}
+
+/**
+ * Round a positive decimal to a multiple of `step`, `mode` being `floor`,
+ * `ceil` or `round` (half up)
+ */
+export const roundToStep = (value, step, mode = 'round') => {
+    const [units, stepUnits, scale] = align(value, step)
+    const remainder = units % stepUnits
+    if (remainder === BigInt(0)) {
+        return { units, scale }
+    }
+
+    const down = units - remainder
+    const up = mode === 'ceil' || (mode === 'round' && remainder * BigInt(2) >= stepUnits)
+    return { units: up ? down + stepUnits : down, scale }
+}
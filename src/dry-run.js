@@ -0,0 +1,76 @@
+import { describeRequest, redactParams } from './errors'
+
+const REDACTED_HEADERS = ['X-MBX-APIKEY']
+
+/**
+ * Normalize the `dryRun` client option, `true` prepares redacted requests
+ */
+export const getDryRunOptions = dryRun => {
+    if (!dryRun) return null
+    return { redact: true, ...(dryRun === true ? {} : dryRun) }
+}
+
+/**
+ * Carries the request a call would send past the result handling of its
+ * method, the client methods resolve with its `request`
+ */
+export class DryRunError extends Error {
+    constructor(request) {
+        super(`Dry run of ${request.method} ${request.url}, the request was not sent`)
+        this.name = 'DryRunError'
+        this.request = request
+    }
+}
+
+/**
+ * Method, url, params, headers and body of a request, with the signature, the
+ * stream keys and the api key masked unless `redact` is false
+ */
+export const prepareRequest = (url, fetchOptions, { redact = true } = {}) => {
+    const { method = 'GET', headers = {}, body } = fetchOptions
+
+    const described = describeRequest(url, method, body)
+    const prepared = redact
+        ? described
+        : {
+              ...described,
+              url,
+              params: Object.fromEntries(
+                  new URLSearchParams(
+                      typeof body === 'string'
+                          ? `${url.split('?')[1] || ''}&${body}`
+                          : url.split('?')[1],
+                  ),
+              ),
+          }
+
+    prepared.headers = Object.keys(headers).reduce((out, key) => {
+        out[key] = redact && REDACTED_HEADERS.includes(key) ? '[REDACTED]' : headers[key]
+        return out
+    }, {})
+
+    if (typeof body === 'string') {
+        prepared.body = redact
+            ? new URLSearchParams(
+                  redactParams(Object.fromEntries(new URLSearchParams(body))),
+              ).toString()
+            : body
+    }
+    if (prepared.params.signature) {
+        prepared.signature = prepared.params.signature
+    }
+
+    return prepared
+}
+
+export const dryRunRequest = (url, fetchOptions, options) =>
+    Promise.reject(new DryRunError(prepareRequest(url, fetchOptions, options)))
+
+/**
+ * Result of a client method, the request of its first call in dry run
+ */
+export const resolveDryRun = result =>
+    result.catch(error => {
+        if (error instanceof DryRunError) return error.request
+        throw error
+    })
@@ -0,0 +1,239 @@
+export const ErrorCodes = {
+    UNKNOWN: -1000,
+    DISCONNECTED: -1001,
+    UNAUTHORIZED: -1002,
+    TOO_MANY_REQUESTS: -1003,
+    UNEXPECTED_RESP: -1006,
+    TIMEOUT: -1007,
+    INVALID_MESSAGE: -1013,
+    UNKNOWN_ORDER_COMPOSITION: -1014,
+    TOO_MANY_ORDERS: -1015,
+    SERVICE_SHUTTING_DOWN: -1016,
+    UNSUPPORTED_OPERATION: -1020,
+    INVALID_TIMESTAMP: -1021,
+    INVALID_SIGNATURE: -1022,
+    ILLEGAL_CHARS: -1100,
+    TOO_MANY_PARAMETERS: -1101,
+    MANDATORY_PARAM_EMPTY_OR_MALFORMED: -1102, // eslint-disable-line id-length
+    UNKNOWN_PARAM: -1103,
+    UNREAD_PARAMETERS: -1104,
+    PARAM_EMPTY: -1105,
+    PARAM_NOT_REQUIRED: -1106,
+    NO_DEPTH: -1112,
+    TIF_NOT_REQUIRED: -1114,
+    INVALID_TIF: -1115,
+    INVALID_ORDER_TYPE: -1116,
+    INVALID_SIDE: -1117,
+    EMPTY_NEW_CL_ORD_ID: -1118,
+    EMPTY_ORG_CL_ORD_ID: -1119,
+    BAD_INTERVAL: -1120,
+    BAD_SYMBOL: -1121,
+    INVALID_LISTEN_KEY: -1125,
+    MORE_THAN_XX_HOURS: -1127,
+    OPTIONAL_PARAMS_BAD_COMBO: -1128,
+    INVALID_PARAMETER: -1130,
+    BAD_API_ID: -2008,
+    DUPLICATE_API_KEY_DESC: -2009,
+    INSUFFICIENT_BALANCE: -2010,
+    CANCEL_REJECTED: -2011,
+    CANCEL_ALL_FAIL: -2012,
+    NO_SUCH_ORDER: -2013,
+    BAD_API_KEY_FMT: -2014,
+    REJECTED_MBX_KEY: -2015,
+}
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504]
+
+// Execution status unknown or rejected before processing, worth sending again
+const RETRYABLE_CODES = [
+    ErrorCodes.DISCONNECTED,
+    ErrorCodes.TOO_MANY_REQUESTS,
+    ErrorCodes.UNEXPECTED_RESP,
+    ErrorCodes.TIMEOUT,
+    ErrorCodes.TOO_MANY_ORDERS,
+]
+
+const RATE_LIMIT_CODES = [ErrorCodes.TOO_MANY_REQUESTS, ErrorCodes.TOO_MANY_ORDERS]
+
+const AUTH_CODES = [
+    ErrorCodes.UNAUTHORIZED,
+    ErrorCodes.INVALID_SIGNATURE,
+    ErrorCodes.BAD_API_ID,
+    ErrorCodes.BAD_API_KEY_FMT,
+    ErrorCodes.REJECTED_MBX_KEY,
+]
+
+export const REDACTED_PARAMS = ['signature', 'listenKey', 'listenToken']
+
+/**
+ * Copy of the params with the signature and stream keys masked
+ */
+export const redactParams = params =>
+    params &&
+    Object.keys(params).reduce((out, key) => {
+        out[key] = REDACTED_PARAMS.includes(key) ? '[REDACTED]' : params[key]
+        return out
+    }, {})
+
+/**
+ * Method, endpoint and redacted params of a request, from its url and its
+ * url encoded body
+ */
+export const describeRequest = (url, method = 'GET', body) => {
+    const [base, query = ''] = url.split('?')
+    const search = new URLSearchParams(
+        redactParams(Object.fromEntries(new URLSearchParams(query))),
+    ).toString()
+    const params = redactParams(
+        Object.fromEntries(
+            new URLSearchParams(typeof body === 'string' ? `${query}&${body}` : query),
+        ),
+    )
+
+    return {
+        method,
+        url: search ? `${base}?${search}` : base,
+        endpoint: base.replace(/^https?:\/\/[^/]+/, ''),
+        params,
+    }
+}
+
+const getCodeName = code => Object.keys(ErrorCodes).find(key => ErrorCodes[key] === code)
+
+/**
+ * Base class of the errors thrown by the client
+ */
+export class BinanceError extends Error {
+    constructor(message, { status, code, method, url, endpoint, params, retryAfter } = {}) {
+        super(message)
+        this.name = 'BinanceError'
+        this.status = status
+        this.code = code
+        this.codeName = typeof code === 'number' ? getCodeName(code) : undefined
+        this.method = method
+        this.url = url
+        this.endpoint = endpoint
+        this.params = params
+        if (retryAfter !== undefined) this.retryAfter = retryAfter
+    }
+
+    /**
+     * The same call may succeed later: rate limits, 5xx, unknown execution status,
+     * network failures and timeouts. IP bans (418) are never retryable.
+     */
+    isRetryable() {
+        if (this.status === 418) return false
+        return RETRYABLE_STATUSES.includes(this.status) || RETRYABLE_CODES.includes(this.code)
+    }
+
+    isRateLimit() {
+        return this.status === 429 || this.status === 418 || RATE_LIMIT_CODES.includes(this.code)
+    }
+
+    isAuth() {
+        return this.status === 401 || AUTH_CODES.includes(this.code)
+    }
+}
+
+/**
+ * Error returned by the api itself, with a Binance error code
+ */
+export class BinanceApiError extends BinanceError {
+    constructor(message, details) {
+        super(message, details)
+        this.name = 'BinanceApiError'
+    }
+}
+
+/**
+ * Non JSON error response, usually from a proxy or a gateway in front of the api
+ */
+export class BinanceHttpError extends BinanceError {
+    constructor(message, { response, responseText, ...details } = {}) {
+        super(message, details)
+        this.name = 'BinanceHttpError'
+        this.response = response
+        this.responseText = responseText
+    }
+}
+
+/**
+ * The request could not be sent or the connection dropped, `cause` holds the
+ * original error and `code` its system error code (ECONNRESET...)
+ */
+export class BinanceNetworkError extends BinanceError {
+    constructor(cause, details) {
+        super(cause.message, { ...details, code: cause.code })
+        this.name = 'BinanceNetworkError'
+        this.cause = cause
+    }
+
+    isRetryable() {
+        return true
+    }
+}
+
+/**
+ * The request took longer than the client or per-call `timeout`
+ */
+export class BinanceTimeoutError extends BinanceError {
+    constructor(timeout, details) {
+        super(`Request timed out after ${timeout}ms`, details)
+        this.name = 'BinanceTimeoutError'
+        this.timeout = timeout
+    }
+
+    isRetryable() {
+        return true
+    }
+}
+
+/**
+ * Thrown by the client side rate limiter before the request is sent, waiting
+ * `waitTime` ms is left to the caller
+ */
+export class BinanceRateLimitError extends BinanceError {
+    constructor(message, { domain, rateLimitType, waitTime, ...details } = {}) {
+        super(message, details)
+        this.name = 'BinanceRateLimitError'
+        this.domain = domain
+        this.rateLimitType = rateLimitType
+        this.waitTime = waitTime
+    }
+
+    isRetryable() {
+        return false
+    }
+
+    isRateLimit() {
+        return true
+    }
+}
+
+/**
+ * Thrown before an order is sent when it breaks a filter of its symbol, like
+ * Binance's own `Filter failure` rejections
+ */
+export class BinanceFilterError extends BinanceError {
+    constructor(message, { filterType, symbol, field, ...details } = {}) {
+        super(message, details)
+        this.name = 'BinanceFilterError'
+        this.filterType = filterType
+        this.symbol = symbol
+        this.field = field
+    }
+
+    isRetryable() {
+        return false
+    }
+}
+
+/**
+ * Same shape as the DOM AbortError, for calls cancelled through their signal
+ */
+export const createAbortError = url => {
+    const error = new Error('The request was aborted')
+    error.name = 'AbortError'
+    error.url = url
+    return error
+}
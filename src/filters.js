@@ -0,0 +1,294 @@
+import { BinanceFilterError } from './errors'
+import { getApiDomain } from './api-domain'
+import {
+    compareDecimals,
+    formatDecimal,
+    isZero,
+    multiplyDecimals,
+    parseDecimal,
+    roundToStep,
+} from './decimal'
+
+const PRICE_FIELDS = ['price', 'stopPrice', 'triggerPrice']
+
+// Order types without a limit price, priced at the reference price
+const MARKET_TYPES = ['MARKET', 'STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET']
+
+const isSet = value => value !== undefined && value !== null && value !== ''
+
+const isTrue = value => value === true || value === 'true'
+
+const getFilter = (symbolInfo, filterType) =>
+    (symbolInfo.filters || []).find(filter => filter.filterType === filterType)
+
+// A zero or missing limit disables the check
+const isLimit = value => isSet(value) && !isZero(value)
+
+const getOrderType = order => String(order.type || 'LIMIT').toUpperCase()
+
+const isMarket = order => MARKET_TYPES.includes(getOrderType(order))
+
+// Notional of the order, at the reference price for market orders
+const getNotional = (order, referencePrice) => {
+    if (isSet(order.quoteOrderQty)) {
+        return order.quoteOrderQty
+    }
+    const price = isMarket(order) ? referencePrice : order.price
+    return isSet(price) && isSet(order.quantity) ? multiplyDecimals(price, order.quantity) : null
+}
+
+/**
+ * Whether checking the order needs the reference price of its symbol: the
+ * average price on spot, the mark price on futures
+ */
+export const needsReferencePrice = (order, symbolInfo) => {
+    if (isMarket(order)) {
+        const notional = getFilter(symbolInfo, 'NOTIONAL')
+        const minNotional = getFilter(symbolInfo, 'MIN_NOTIONAL')
+        return Boolean(
+            !isSet(order.quoteOrderQty) &&
+                ((notional &&
+                    (isTrue(notional.applyMinToMarket) || isTrue(notional.applyMaxToMarket))) ||
+                    (minNotional && minNotional.applyToMarket !== false)),
+        )
+    }
+    return Boolean(
+        isSet(order.price) &&
+            (getFilter(symbolInfo, 'PERCENT_PRICE_BY_SIDE') ||
+                getFilter(symbolInfo, 'PERCENT_PRICE')),
+    )
+}
+
+/**
+ * Check an order against the filters of its symbol, as listed by exchangeInfo.
+ *
+ * Prices are rounded to the `tickSize` of PRICE_FILTER, buy prices down and sell
+ * prices up so the order is never priced worse, stop prices to the nearest tick.
+ * Quantities are rounded down to the `stepSize` of LOT_SIZE, and MARKET_LOT_SIZE
+ * for market orders. In `validate` mode values off their step throw instead of
+ * being rounded. Values out of their range, a notional out of MIN_NOTIONAL or
+ * NOTIONAL, a price too far from the reference price for PERCENT_PRICE_BY_SIDE
+ * and too many open orders for MAX_NUM_ORDERS always throw a BinanceFilterError.
+ * Checks needing a `referencePrice` or the `openOrders` count are skipped without.
+ *
+ * @param {object} payload Order params
+ * @param {object} symbolInfo Symbol entry of exchangeInfo
+ * @param {object} options
+ * @param {string} options.mode `adjust` (default) or `validate`
+ * @param {string|number} options.referencePrice Average or mark price of the symbol
+ * @param {number} options.openOrders Open orders on the symbol
+ * @returns {object} The order params, rounded
+ */
+export const applySymbolFilters = (payload, symbolInfo, options = {}) => {
+    const { mode = 'adjust', referencePrice, openOrders } = options
+    const order = { ...payload }
+    const symbol = symbolInfo.symbol
+    const side = String(order.side || '').toUpperCase()
+    const market = isMarket(order)
+
+    const fail = (filterType, field, message) => {
+        throw new BinanceFilterError(`Filter failure: ${filterType}, ${message} for ${symbol}.`, {
+            filterType,
+            symbol,
+            field,
+        })
+    }
+
+    const round = (filterType, field, step, rounding) => {
+        const value = parseDecimal(order[field])
+        const rounded = roundToStep(value, step, rounding)
+        if (compareDecimals(rounded, value) !== 0) {
+            if (mode === 'validate') {
+                fail(filterType, field, `${field} ${order[field]} is not a multiple of ${step}`)
+            }
+            order[field] = formatDecimal(rounded)
+        }
+    }
+
+    const checkRange = (filterType, field, value, { min, max, label = field }) => {
+        if (isLimit(min) && compareDecimals(value, min) < 0) {
+            fail(
+                filterType,
+                field,
+                `${label} ${formatDecimal(value)} is below the minimum ${formatDecimal(min)}`,
+            )
+        }
+        if (isLimit(max) && compareDecimals(value, max) > 0) {
+            fail(
+                filterType,
+                field,
+                `${label} ${formatDecimal(value)} is above the maximum ${formatDecimal(max)}`,
+            )
+        }
+    }
+
+    const priceFilter = getFilter(symbolInfo, 'PRICE_FILTER')
+    if (priceFilter) {
+        PRICE_FIELDS.filter(field => isSet(order[field])).forEach(field => {
+            if (isLimit(priceFilter.tickSize)) {
+                const rounding = field !== 'price' ? 'round' : side === 'SELL' ? 'ceil' : 'floor'
+                round('PRICE_FILTER', field, priceFilter.tickSize, rounding)
+            }
+            checkRange('PRICE_FILTER', field, order[field], {
+                min: priceFilter.minPrice,
+                max: priceFilter.maxPrice,
+            })
+        })
+    }
+
+    if (isSet(order.quantity)) {
+        const lotFilters = [getFilter(symbolInfo, 'LOT_SIZE')]
+        if (market) {
+            lotFilters.push(getFilter(symbolInfo, 'MARKET_LOT_SIZE'))
+        }
+        lotFilters.filter(Boolean).forEach(filter => {
+            if (isLimit(filter.stepSize)) {
+                round(filter.filterType, 'quantity', filter.stepSize, 'floor')
+            }
+            checkRange(filter.filterType, 'quantity', order.quantity, {
+                min: filter.minQty,
+                max: filter.maxQty,
+            })
+        })
+    }
+
+    const notional = getNotional(order, referencePrice)
+    const reduceOnly = isTrue(order.reduceOnly) || isTrue(order.closePosition)
+    if (notional !== null && !reduceOnly) {
+        const field = isSet(order.quoteOrderQty) ? 'quoteOrderQty' : 'quantity'
+
+        const minNotional = getFilter(symbolInfo, 'MIN_NOTIONAL')
+        if (minNotional && (!market || minNotional.applyToMarket !== false)) {
+            // Futures name the minimum `notional`
+            const min = isSet(minNotional.minNotional)
+                ? minNotional.minNotional
+                : minNotional.notional
+            checkRange('MIN_NOTIONAL', field, notional, { min, label: 'notional' })
+        }
+
+        const notionalFilter = getFilter(symbolInfo, 'NOTIONAL')
+        if (notionalFilter) {
+            const {
+                minNotional: min,
+                maxNotional: max,
+                applyMinToMarket,
+                applyMaxToMarket,
+            } = notionalFilter
+            checkRange('NOTIONAL', field, notional, {
+                min: !market || isTrue(applyMinToMarket) ? min : null,
+                max: !market || isTrue(applyMaxToMarket) ? max : null,
+                label: 'notional',
+            })
+        }
+    }
+
+    if (!market && isSet(order.price) && isSet(referencePrice)) {
+        const bySide = getFilter(symbolInfo, 'PERCENT_PRICE_BY_SIDE')
+        const percent = getFilter(symbolInfo, 'PERCENT_PRICE')
+        const filter = bySide || percent
+        if (filter) {
+            const prefix = !bySide ? '' : side === 'SELL' ? 'ask' : 'bid'
+            const up = filter[prefix ? `${prefix}MultiplierUp` : 'multiplierUp']
+            const down = filter[prefix ? `${prefix}MultiplierDown` : 'multiplierDown']
+            checkRange(filter.filterType, 'price', order.price, {
+                min: isLimit(down) ? multiplyDecimals(referencePrice, down) : null,
+                max: isLimit(up) ? multiplyDecimals(referencePrice, up) : null,
+            })
+        }
+    }
+
+    const maxNumOrders = getFilter(symbolInfo, 'MAX_NUM_ORDERS')
+    if (maxNumOrders && isSet(openOrders)) {
+        // Futures name the maximum `limit`
+        const max = Number(maxNumOrders.maxNumOrders || maxNumOrders.limit)
+        if (max && openOrders >= max) {
+            fail(
+                'MAX_NUM_ORDERS',
+                null,
+                `${openOrders} orders are already open, the maximum is ${max}`,
+            )
+        }
+    }
+
+    return order
+}
+
+const referencePricePaths = {
+    spot: '/api/v3/avgPrice',
+    futures: '/fapi/v1/premiumIndex',
+    delivery: '/dapi/v1/premiumIndex',
+}
+
+const openOrdersPaths = {
+    spot: '/api/v3/openOrders',
+    margin: '/sapi/v1/margin/openOrders',
+    futures: '/fapi/v1/openOrders',
+    delivery: '/dapi/v1/openOrders',
+}
+
+/**
+ * Order filtering of a client. The reference price and open orders are only
+ * fetched when a filter of the symbol needs them.
+ *
+ * @param {object} options
+ * @param {string} options.mode `adjust` or `validate`
+ * @param {boolean} options.countOpenOrders Check MAX_NUM_ORDERS, at the cost of
+ * an open orders request per order
+ * @param {function} options.getSymbol Resolves the exchangeInfo entry of a symbol, or null
+ * @param {function} options.pubCall Public call of the client
+ * @param {function} options.privCall Private call of the client
+ * @returns {function} `(path, payload) => Promise<payload>`
+ */
+export const createOrderFilter = ({
+    mode = 'adjust',
+    countOpenOrders = false,
+    getSymbol,
+    pubCall,
+    privCall,
+}) => {
+    if (!['adjust', 'validate'].includes(mode)) {
+        throw new Error(`Unknown filters mode ${mode}, expected adjust or validate.`)
+    }
+
+    const getSymbolInfo = (domain, symbol) =>
+        getSymbol(symbol, domain).then(symbolInfo => {
+            if (!symbolInfo) {
+                throw new BinanceFilterError(`Unknown symbol ${symbol}.`, { symbol })
+            }
+            return symbolInfo
+        })
+
+    const getReferencePrice = (domain, symbol) =>
+        pubCall(referencePricePaths[domain], { symbol }).then(result => {
+            // Delivery answers with a list
+            const price = [].concat(result)[0]
+            return domain === 'spot' ? price.price : price.markPrice
+        })
+
+    return (path, payload) => {
+        const domain = getApiDomain(path)
+        const symbol = payload.symbol
+
+        if (!symbol || !referencePricePaths[domain]) {
+            return Promise.resolve(payload)
+        }
+
+        return getSymbolInfo(domain, symbol).then(symbolInfo => {
+            const openOrdersPath = path.includes('/margin')
+                ? openOrdersPaths.margin
+                : openOrdersPaths[domain]
+            const hasMaxOrders = countOpenOrders && getFilter(symbolInfo, 'MAX_NUM_ORDERS')
+
+            return Promise.all([
+                needsReferencePrice(payload, symbolInfo)
+                    ? getReferencePrice(domain, symbol)
+                    : undefined,
+                hasMaxOrders && !path.endsWith('/test')
+                    ? privCall(openOrdersPath, { symbol }).then(orders => orders.length)
+                    : undefined,
+            ]).then(([referencePrice, openOrders]) =>
+                applySymbolFilters(payload, symbolInfo, { mode, referencePrice, openOrders }),
+            )
+        })
+    }
+}
@@ -1,6 +1,27 @@
 import zip from 'lodash.zipobject'
 import JSONbig from 'json-bigint'
-import { createHmacSignature, createAsymmetricSignature } from './signature'
+import { getSigner } from './signature'
+import { getRetryOptions, withRetry } from './retry'
+import {
+    BinanceApiError,
+    BinanceHttpError,
+    BinanceNetworkError,
+    BinanceTimeoutError,
+    ErrorCodes,
+    createAbortError,
+    describeRequest,
+} from './errors'
+import { createRateLimiter } from './rate-limiter'
+import { createServerClock } from './server-clock'
+import { getApiDomain } from './api-domain'
+import { intercept } from './interceptors'
+import { createIterators } from './paginate'
+import { candlesRange } from './candles-range'
+import { createOrderFilter } from './filters'
+import { createSymbolRegistry } from './symbol-registry'
+import { createNumberConverter } from './numbers'
+import { dryRunRequest, getDryRunOptions, resolveDryRun } from './dry-run'
+import { createCassette } from './cassette'
 
 // Robust environment detection for Node.js vs Browser
 const isNode = (() => {
@@ -25,6 +46,8 @@ const isNode = (() => {
 // Platform-specific imports
 let fetch
 let HttpsProxyAgent
+let http
+let https
 
 if (isNode) {
     // Node.js environment - use node-fetch for proper proxy support
@@ -32,6 +55,8 @@ if (isNode) {
     fetch = nodeFetch.default || nodeFetch
     const proxyAgent = require('https-proxy-agent')
     HttpsProxyAgent = proxyAgent.HttpsProxyAgent || proxyAgent.default || proxyAgent
+    http = require('http')
+    https = require('https')
 } else {
     // Browser environment - use native APIs
     /* eslint-disable no-undef */
@@ -39,22 +64,40 @@ if (isNode) {
     /* eslint-enable no-undef */
 }
 
+// Fetch of the platform, for the clients sending part of their requests themselves
+export { fetch }
+
+/**
+ * Agent shared by every request of a client, so connections are reused: the
+ * `agent` option, a keep-alive proxy agent or keep-alive agents by protocol.
+ * Browsers manage connections themselves.
+ */
+const createAgent = ({ agent, proxy, keepAlive = true } = {}) => {
+    if (agent) return agent
+    if (!isNode) return undefined
+
+    if (proxy) {
+        return HttpsProxyAgent ? new HttpsProxyAgent(proxy, { keepAlive }) : undefined
+    }
+
+    const httpAgent = new http.Agent({ keepAlive })
+    const httpsAgent = new https.Agent({ keepAlive })
+    return url => (url.protocol === 'http:' ? httpAgent : httpsAgent)
+}
+
 const getEndpoint = (endpoints, path, testnet) => {
-    const isFutures = path.includes('/fapi') || path.includes('/futures')
-    const isDelivery = path.includes('/dapi')
-    const isPortfolioMargin = path.includes('/papi')
+    const domain = getApiDomain(path)
 
     if (testnet) {
-        if (isFutures) return 'https://demo-fapi.binance.com'
-        if (isDelivery) return 'https://demo-dapi.binance.com'
-        if (isPortfolioMargin) return 'https://demo-papi.binance.com'
+        if (domain === 'futures') return 'https://demo-fapi.binance.com'
+        if (domain === 'delivery') return 'https://demo-dapi.binance.com'
+        if (domain === 'portfolioMargin') return 'https://demo-papi.binance.com'
         return 'https://demo-api.binance.com'
     }
 
-    if (path.includes('/fapi') || path.includes('/futures'))
-        return endpoints.futures || 'https://fapi.binance.com'
-    if (path.includes('/dapi')) return endpoints.delivery || 'https://dapi.binance.com'
-    if (path.includes('/papi')) return endpoints.portfolioMargin || 'https://papi.binance.com'
+    if (domain === 'futures') return endpoints.futures || 'https://fapi.binance.com'
+    if (domain === 'delivery') return endpoints.delivery || 'https://dapi.binance.com'
+    if (domain === 'portfolioMargin') return endpoints.portfolioMargin || 'https://papi.binance.com'
 
     return endpoints.base || 'https://api.binance.com'
 }
@@ -66,20 +109,63 @@ const getDomainName = url => {
 
 const defaultGetTime = () => Date.now()
 
+const BODY_METHODS = ['POST', 'PUT', 'DELETE']
+
+const MAX_RECV_WINDOW = 60000
+// Longest startTime to endTime span of the delivery candle endpoints
+const DELIVERY_CANDLES_MAX_SPAN = 200 * 24 * 60 * 60 * 1000
+const API_DOMAINS = ['spot', 'futures', 'delivery', 'portfolioMargin']
+
+/**
+ * Check a `recvWindow` of the client or of a call, Binance caps it at 60s
+ */
+export const checkRecvWindow = (value, domain) => {
+    if (!(typeof value === 'number' && value > 0 && value <= MAX_RECV_WINDOW)) {
+        throw new Error(
+            `recvWindow must be a number between 0 and ${MAX_RECV_WINDOW}ms, got ${value} for ${domain}.`,
+        )
+    }
+}
+
+/**
+ * Normalize the `recvWindow` client option to a value per api family, a number
+ * applies to all of them
+ */
+const getRecvWindows = recvWindow => {
+    if (recvWindow === undefined || recvWindow === null) {
+        return {}
+    }
+
+    const recvWindows =
+        typeof recvWindow === 'object'
+            ? recvWindow
+            : API_DOMAINS.reduce((out, domain) => ((out[domain] = recvWindow), out), {})
+
+    Object.keys(recvWindows).forEach(domain => {
+        if (!API_DOMAINS.includes(domain)) {
+            throw new Error(
+                `Unknown recvWindow api family ${domain}, expected one of ${API_DOMAINS.join(', ')}.`,
+            )
+        }
+        if (recvWindows[domain] !== undefined) {
+            checkRecvWindow(recvWindows[domain], domain)
+        }
+    })
+
+    return recvWindows
+}
+
 const uuid22 = a => {
     return a
         ? (a ^ ((Math.random() * 16) >> (a / 4))).toString(16)
         : ([1e7] + 1e3 + 4e3 + 8e5).replace(/[018]/g, uuid22)
 }
 
-// Singleton holding header data like rate limits.
-const info = {}
-
 /**
  * Build query string for uri encoded url based on json object
  */
 const makeQueryString = q =>
-    q
+    q && Object.keys(q).length
         ? `?${Object.keys(q)
               .map(k => `${encodeURIComponent(k)}=${encodeURIComponent(q[k])}`)
               .join('&')}`
@@ -97,53 +183,214 @@ const headersMapping = {
     'x-response-time': 'responseTime',
 }
 
-const responseHandler = res => {
-    if (!res.headers || !res.url) return
+/**
+ * Factory method for the handler storing the limits info of a client, a change
+ * event is emitted when a value crosses one of the configured thresholds
+ *
+ * @param {object} info Limits info of the client, by domain
+ * @param {object} usageThresholds Threshold(s) by info key, e.g. `{ usedWeight1m: [3000, 5000] }`
+ * @param {function} onUsageChange Receives the change events
+ */
+const responseHandler =
+    (info, { usageThresholds = {}, onUsageChange } = {}) =>
+    res => {
+        if (!res.headers || !res.url) return
+
+        const domain = getDomainName(res.url)
+        if (!info[domain]) info[domain] = {}
+
+        for (const key of Object.keys(headersMapping)) {
+            const outKey = headersMapping[key]
+
+            if (res.headers.has(key)) {
+                const previous = info[domain][outKey]
+                const value = res.headers.get(key)
+                info[domain][outKey] = value
+
+                if (onUsageChange && usageThresholds[outKey] !== undefined) {
+                    emitThresholdCrossings(onUsageChange, usageThresholds[outKey], {
+                        domain,
+                        key: outKey,
+                        value,
+                        previous,
+                    })
+                }
+            }
+        }
+    }
 
-    const domain = getDomainName(res.url)
-    if (!info[domain]) info[domain] = {}
+const emitThresholdCrossings = (onUsageChange, thresholds, { domain, key, value, previous }) => {
+    const current = parseFloat(value)
+    const last = previous === undefined ? 0 : parseFloat(previous)
 
-    for (const key of Object.keys(headersMapping)) {
-        const outKey = headersMapping[key]
+    ;[].concat(thresholds).forEach(threshold => {
+        const direction =
+            last < threshold && current >= threshold
+                ? 'up'
+                : last >= threshold && current < threshold
+                  ? 'down'
+                  : null
 
-        if (res.headers.has(key)) {
-            info[domain][outKey] = res.headers.get(key)
+        if (direction) {
+            onUsageChange({ domain, key, value, previous, threshold, direction })
         }
-    }
+    })
 }
 
 /**
  * Finalize API response
  */
-const sendResult = call =>
+const sendResult = (call, onResponse, requestInfo) =>
     call.then(res => {
         // Get API limits info from headers
-        responseHandler(res)
+        if (onResponse) onResponse(res)
 
         // If response is ok, we can safely assume it is valid JSON
         if (res.ok) return res.text().then(text => JSONbig.parse(text))
 
+        const details = { ...requestInfo, status: res.status }
+        if (res.headers && res.headers.has('retry-after')) {
+            details.retryAfter = res.headers.get('retry-after')
+        }
+
         // Errors might come from the API itself or the proxy Binance is using.
         // For API errors the response will be valid JSON,but for proxy errors
         // it will be HTML
         return res.text().then(text => {
-            let error
+            let json
             try {
-                const json = JSONbig.parse(text)
-                // The body was JSON parseable, assume it is an API response error
-                error = new Error(json.msg || `${res.status} ${res.statusText}`)
-                error.code = json.code
-                error.url = res.url
+                json = JSONbig.parse(text)
             } catch (e) {
                 // The body was not JSON parseable, assume it is proxy error
-                error = new Error(`${res.status} ${res.statusText} ${text}`)
-                error.response = res
-                error.responseText = text
+                throw new BinanceHttpError(`${res.status} ${res.statusText} ${text}`, {
+                    ...details,
+                    response: res,
+                    responseText: text,
+                })
             }
-            throw error
+
+            // The body was JSON parseable, assume it is an API response error
+            throw new BinanceApiError(json.msg || `${res.status} ${res.statusText}`, {
+                ...details,
+                code: json.code,
+            })
         })
     })
 
+/**
+ * Pull the per-call request options (`signal`, `timeout`) out of the payload,
+ * they are handled by the client and must not be sent to the api
+ */
+export const extractRequestOptions = data => {
+    if (!data || (!('signal' in data) && !('timeout' in data))) {
+        return [data, {}]
+    }
+
+    const { signal, timeout, ...rest } = data
+    const requestOptions = {}
+    if (signal) requestOptions.signal = signal
+    if (timeout !== undefined) requestOptions.timeout = timeout
+
+    return [rest, requestOptions]
+}
+
+/**
+ * Payload of the methods without params, only the request options of their
+ * `options` argument are kept
+ */
+export const requestOptionsOnly = options => options && extractRequestOptions(options)[1]
+
+/**
+ * Fetch and finalize a request, cancelling it when the timeout elapses or when
+ * the caller aborts the given signal
+ */
+const sendRequest = (
+    url,
+    fetchOptions,
+    { signal, timeout, fetch: fetchImpl = fetch } = {},
+    onResponse,
+) => {
+    const requestInfo = describeRequest(url, fetchOptions.method, fetchOptions.body)
+    const send = options =>
+        sendResult(
+            fetchImpl(url, options).catch(err => {
+                throw err.name === 'AbortError' ? err : new BinanceNetworkError(err, requestInfo)
+            }),
+            onResponse,
+            requestInfo,
+        )
+
+    if (!timeout && !signal) {
+        return send(fetchOptions)
+    }
+
+    if (signal && signal.aborted) {
+        return Promise.reject(createAbortError(requestInfo.url))
+    }
+
+    // Without AbortController support (old Node.js) the request can't be
+    // cancelled, but the returned promise still settles on timeout
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    const onAbort = () => controller.abort()
+    let timer = null
+    let timedOut = false
+
+    if (controller && signal) {
+        signal.addEventListener('abort', onAbort)
+    }
+
+    const cleanup = () => {
+        clearTimeout(timer)
+        if (controller && signal) {
+            signal.removeEventListener('abort', onAbort)
+        }
+    }
+
+    const calls = [send({ ...fetchOptions, signal: controller ? controller.signal : signal })]
+
+    if (timeout) {
+        calls.push(
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    timedOut = true
+                    if (controller) controller.abort()
+                    reject(new BinanceTimeoutError(timeout, requestInfo))
+                }, timeout)
+            }),
+        )
+    }
+
+    return Promise.race(calls).then(
+        res => {
+            cleanup()
+            return res
+        },
+        err => {
+            cleanup()
+            throw timedOut ? new BinanceTimeoutError(timeout, requestInfo) : err
+        },
+    )
+}
+
+/**
+ * Send a request, through the interceptors of the client when it has some
+ */
+const request = (url, fetchOptions, { interceptors, ...options } = {}, onResponse) =>
+    interceptors
+        ? intercept(interceptors, url, fetchOptions, (interceptedOptions, listener) =>
+              sendRequest(url, interceptedOptions, options, res => {
+                  listener(res)
+                  if (onResponse) onResponse(res)
+              }),
+          )
+        : sendRequest(url, fetchOptions, options, onResponse)
+
+// Keeps the limits info of the client and the rate limiter up to date
+const responseListener = (handleResponse, rateLimiter, path) => res => {
+    if (handleResponse) handleResponse(res)
+    if (rateLimiter) rateLimiter.update(path, res.headers)
+}
+
 /**
  * Util to validate existence of required parameter(s)
  */
@@ -169,6 +416,23 @@ const futuresP = () => {
     return `x-cvBPrNm9${uuid22()}`
 }
 
+/**
+ * Client methods with their promised results passed through `handle`, methods
+ * not returning a promise are left as they are
+ */
+const mapResults = (methods, handle) =>
+    Object.keys(methods).reduce((out, name) => {
+        const method = methods[name]
+        out[name] =
+            typeof method !== 'function'
+                ? method
+                : (...args) => {
+                      const result = method(...args)
+                      return result && typeof result.then === 'function' ? handle(result) : result
+                  }
+        return out
+    }, {})
+
 /**
  * Make public calls against the api
  *
@@ -176,27 +440,54 @@ const futuresP = () => {
  * @param {object} data The payload to be sent
  * @param {string} method HTTB VERB, GET by default
  * @param {object} headers
+ * @param {object} callOptions Request options (signal, timeout, retry) set internally
  * @returns {object} The api response
  */
 const publicCall =
-    ({ proxy, endpoints, testnet }) =>
-    (path, data, method = 'GET', headers = {}) => {
+    ({
+        agent,
+        fetch,
+        endpoints,
+        testnet,
+        timeout,
+        retry,
+        rateLimiter,
+        interceptors,
+        handleResponse,
+        dryRun,
+    }) =>
+    (path, payload, method = 'GET', headers = {}, callOptions = {}) => {
+        const [data, requestOptions] = extractRequestOptions(payload)
+        const { signal, retry: callRetry = retry } = { ...callOptions, ...requestOptions }
         const fetchOptions = {
             method,
             json: true,
             headers,
         }
 
-        // Only add proxy agent in Node.js environment
-        if (proxy && isNode && HttpsProxyAgent) {
-            fetchOptions.agent = new HttpsProxyAgent(proxy)
+        if (agent) {
+            fetchOptions.agent = agent
         }
 
-        return sendResult(
-            fetch(
-                `${getEndpoint(endpoints, path, testnet)}${path}${makeQueryString(data)}`,
-                fetchOptions,
-            ),
+        const send = () => {
+            const url = `${getEndpoint(endpoints, path, testnet)}${path}${makeQueryString(data)}`
+
+            return dryRun
+                ? dryRunRequest(url, fetchOptions, dryRun)
+                : request(
+                      url,
+                      fetchOptions,
+                      { timeout, interceptors, fetch, ...callOptions, ...requestOptions },
+                      responseListener(handleResponse, rateLimiter, path),
+                  )
+        }
+
+        return withRetry(
+            () =>
+                rateLimiter ? rateLimiter.acquire(path, method, data, signal).then(send) : send(),
+            method,
+            getRetryOptions(callRetry),
+            signal,
         )
     }
 
@@ -232,73 +523,125 @@ const keyCall =
 const privateCall =
     ({
         apiKey,
-        apiSecret,
-        privateKey,
-        proxy,
+        sign,
+        agent,
+        fetch,
         endpoints,
         getTime = defaultGetTime,
         pubCall,
         testnet,
+        timeout,
+        retry,
+        rateLimiter,
+        serverClock,
+        recvWindows,
+        paramsInBody,
+        interceptors,
+        handleResponse,
+        dryRun,
     }) =>
-    (path, data = {}, method = 'GET', noData, noExtra) => {
-        if (!apiKey || (!apiSecret && !privateKey)) {
+    (path, payload = {}, method = 'GET', noData, noExtra) => {
+        if (!apiKey || !sign) {
             throw new Error(
                 'You need to pass an API key and secret/privateKey to make authenticated calls.',
             )
         }
 
-        return (
-            data && data.useServerTime
-                ? pubCall('/api/v3/time').then(r => r.serverTime)
-                : Promise.resolve(getTime())
-        )
-            .then(timestamp => {
-                if (data) {
-                    delete data.useServerTime
-                }
+        const [params, requestOptions] = extractRequestOptions(payload)
+        const useServerTime = params && params.useServerTime
 
-                const queryString = makeQueryString({ ...data, timestamp })
-                const dataToSign = queryString.substr(1)
+        if (params) {
+            delete params.useServerTime
+        }
+
+        // Mutating calls can keep their params out of the url
+        const inBody = paramsInBody && BODY_METHODS.includes(method)
 
-                // Create signature (async in browser, sync in Node.js)
-                if (apiSecret) {
-                    return createHmacSignature(dataToSign, apiSecret).then(signature => ({
+        // Client level recvWindow of the api family, unless the call sets its own
+        const domain = getApiDomain(path)
+        const recvWindow = recvWindows[domain]
+        if (params && params.recvWindow !== undefined) {
+            checkRecvWindow(params.recvWindow, domain)
+        }
+        const data =
+            recvWindow && params && !noExtra && params.recvWindow === undefined
+                ? { ...params, recvWindow }
+                : params
+
+        // Every attempt is signed again with a fresh timestamp, once the rate
+        // limiter lets it through
+        const call = () =>
+            (rateLimiter
+                ? rateLimiter.acquire(path, method, data, requestOptions.signal)
+                : Promise.resolve()
+            )
+                .then(() =>
+                    useServerTime
+                        ? pubCall(
+                              '/api/v3/time',
+                              undefined,
+                              'GET',
+                              {},
+                              { ...requestOptions, retry: false },
+                          ).then(r => r.serverTime)
+                        : serverClock
+                          ? serverClock.now(path)
+                          : getTime(),
+                )
+                .then(timestamp => {
+                    const queryString = makeQueryString({ ...data, timestamp })
+                    const dataToSign = queryString.substr(1)
+
+                    // Create signature, async in every environment
+                    return sign(dataToSign).then(signature => ({
                         timestamp,
                         signature,
                     }))
-                } else if (privateKey) {
-                    const sig = createAsymmetricSignature(dataToSign, privateKey)
-                    // .then(signature => ({
-                    //     timestamp,
-                    //     signature,
-                    // }))
-                    return {
-                        timestamp,
-                        signature: sig,
+                })
+                .then(({ timestamp, signature }) => {
+                    const newData = noExtra ? data : { ...data, timestamp, signature }
+
+                    const fetchOptions = {
+                        method,
+                        headers: { 'X-MBX-APIKEY': apiKey },
+                        json: true,
                     }
-                }
-            })
-            .then(({ timestamp, signature }) => {
-                const newData = noExtra ? data : { ...data, timestamp, signature }
 
-                const fetchOptions = {
-                    method,
-                    headers: { 'X-MBX-APIKEY': apiKey },
-                    json: true,
-                }
+                    if (agent) {
+                        fetchOptions.agent = agent
+                    }
 
-                // Only add proxy agent in Node.js environment
-                if (proxy && isNode && HttpsProxyAgent) {
-                    fetchOptions.agent = new HttpsProxyAgent(proxy)
-                }
+                    const params = noData ? '' : makeQueryString(newData)
 
-                return sendResult(
-                    fetch(
-                        `${getEndpoint(endpoints, path, testnet)}${path}${noData ? '' : makeQueryString(newData)}`,
-                        fetchOptions,
-                    ),
-                )
+                    // Binance signs the query string followed by the body, with
+                    // every param in the body the signed data is the body itself
+                    if (inBody && params) {
+                        fetchOptions.headers['Content-Type'] = 'application/x-www-form-urlencoded'
+                        fetchOptions.body = params.substr(1)
+                    }
+
+                    const url = `${getEndpoint(endpoints, path, testnet)}${path}${inBody ? '' : params}`
+
+                    return dryRun
+                        ? dryRunRequest(url, fetchOptions, dryRun)
+                        : request(
+                              url,
+                              fetchOptions,
+                              { timeout, interceptors, fetch, ...requestOptions },
+                              responseListener(handleResponse, rateLimiter, path),
+                          )
+                })
+
+        // Rejected for its timestamp, measure the clock offset again and send it once more
+        const syncedCall = () =>
+            call().catch(error => {
+                if (!serverClock || error.code !== ErrorCodes.INVALID_TIMESTAMP) {
+                    throw error
+                }
+                return serverClock.sync(path).then(call)
             })
+
+        return withRetry(syncedCall, method, getRetryOptions(retry), requestOptions.signal)
     }
 
 export const candleFields = [
@@ -341,17 +684,30 @@ const candles = (pubCall, payload, endpoint = '/api/v3/klines') =>
         ),
     )
 
-const isContractURL = path => {
-    const isFutures = path.includes('/fapi') || path.includes('/futures')
-    const isDelivery = path.includes('/dapi')
-    const isPortfolioMargin = path.includes('/papi')
-    return isFutures || isDelivery || isPortfolioMargin
+/**
+ * Get every candle of a time range through `candles`, delivery requests
+ * spanning at most 200 days
+ */
+const candlesOfRange = (pubCall, payload, endpoint = '/api/v3/klines') =>
+    candlesRange(
+        p => candles(pubCall, p, endpoint),
+        payload,
+        Date.now,
+        endpoint.includes('dapi') ? DELIVERY_CANDLES_MAX_SPAN : Infinity,
+    )
+
+const exchangeInfoPaths = {
+    spot: '/api/v3/exchangeInfo',
+    futures: '/fapi/v1/exchangeInfo',
+    delivery: '/dapi/v1/exchangeInfo',
 }
 
+const isContractURL = path => getApiDomain(path) !== 'spot'
+
 /**
  * Create a new order wrapper for market order simplicity
  */
-const order = (privCall, payload = {}, url) => {
+export const order = (privCall, payload = {}, url) => {
     const newPayload =
         ['LIMIT', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'].includes(payload.type) || !payload.type
             ? { timeInForce: 'GTC', ...payload }
@@ -404,7 +760,7 @@ const orderOco = (privCall, payload = {}, url) => {
     )
 }
 
-const updateOrder = (privCall, payload = {}, url) => {
+export const updateOrder = (privCall, payload = {}, url) => {
     const newPayload = { ...payload }
 
     if (!newPayload.cancelReplaceMode) {
@@ -425,10 +781,66 @@ const updateOrder = (privCall, payload = {}, url) => {
     )
 }
 
+const FUTURES_CONDITIONAL_TYPES = [
+    'STOP',
+    'STOP_MARKET',
+    'TAKE_PROFIT',
+    'TAKE_PROFIT_MARKET',
+    'TRAILING_STOP_MARKET',
+]
+
+/**
+ * Create a futures order, conditional order types are routed to the algo order endpoint
+ */
+export const futuresOrder = (privCall, payload) => {
+    const orderType = payload?.type?.toUpperCase()
+
+    if (orderType && FUTURES_CONDITIONAL_TYPES.includes(orderType)) {
+        const algoPayload = { ...payload }
+        if (!algoPayload.clientAlgoId) {
+            algoPayload.clientAlgoId = futuresP()
+        }
+        delete algoPayload.newClientOrderId
+        algoPayload.algoType = 'CONDITIONAL'
+        if (algoPayload.stopPrice && !algoPayload.triggerPrice) {
+            algoPayload.triggerPrice = algoPayload.stopPrice
+            delete algoPayload.stopPrice
+        }
+        return privCall('/fapi/v1/algoOrder', algoPayload, 'POST')
+    }
+    return order(privCall, payload, '/fapi/v1/order')
+}
+
+/**
+ * Query or cancel a futures order, requests for a conditional/algo order
+ * (`conditional` or an algo id) are routed to the algo order endpoint
+ */
+export const futuresOrderRequest = (privCall, payload, method) => {
+    const isConditional = payload?.conditional
+    const hasAlgoId = payload?.algoId || payload?.clientAlgoId
+    let payloadCopy = payload
+    if (payload && 'conditional' in payload) {
+        payloadCopy = { ...payload }
+        delete payloadCopy.conditional
+    }
+
+    if (isConditional || hasAlgoId) {
+        return privCall('/fapi/v1/algoOrder', payloadCopy, method)
+    }
+    return privCall('/fapi/v1/order', payloadCopy, method)
+}
+
+// Ticker results keyed by symbol, with their price or the whole ticker
+export const pricesBySymbol = r =>
+    (Array.isArray(r) ? r : [r]).reduce((out, cur) => ((out[cur.symbol] = cur.price), out), {})
+
+export const tickersBySymbol = r =>
+    (Array.isArray(r) ? r : [r]).reduce((out, cur) => ((out[cur.symbol] = cur), out), {})
+
 /**
  * Zip asks and bids reponse from order book
  */
-const book = (pubCall, payload, endpoint = '/api/v3/depth') =>
+export const book = (pubCall, payload, endpoint = '/api/v3/depth') =>
     checkParams('book', payload, ['symbol']) &&
     pubCall(endpoint, payload).then(({ lastUpdateId, asks, bids }) => ({
         lastUpdateId,
@@ -464,52 +876,139 @@ export default opts => {
         portfolioMargin: opts && opts.httpPortfolioMargin,
     }
 
-    const pubCall = publicCall({ ...opts, endpoints })
-    const deliveryPubCall = publicCall({
+    // Limits info from the response headers, by domain
+    const info = {}
+    const handleResponse = responseHandler(info, opts)
+
+    const rateLimiter =
+        opts && opts.rateLimit
+            ? createRateLimiter({
+                  ...(opts.rateLimit === true ? {} : opts.rateLimit),
+                  loadLimits: domain => livePubCall(exchangeInfoPaths[domain]),
+              })
+            : null
+
+    const serverClock =
+        opts && opts.syncTime
+            ? createServerClock({
+                  // Offsets are measured on the clock the calls are timestamped with
+                  getTime: opts.getTime,
+                  ...(opts.syncTime === true ? {} : opts.syncTime),
+                  fetchTime: path =>
+                      livePubCall(path, undefined, 'GET', {}, { retry: false }).then(
+                          r => r.serverTime,
+                      ),
+              })
+            : null
+
+    // Connections are kept alive and shared by every call of the client
+    const agent = createAgent(opts)
+
+    // The private key is parsed once, an unusable key fails here rather than on
+    // the first signed call
+    const sign = getSigner(opts)
+
+    // Requests recorded to or replayed from a cassette file
+    const cassette =
+        opts && opts.cassette
+            ? createCassette({ ...opts.cassette, fetch: opts.fetch || fetch })
+            : null
+
+    // In dry run the calls of the methods resolve with the request they would
+    // send, without going through the rate limiter. The calls the client makes
+    // to prepare them (exchange info, server time...) are still sent.
+    const dryRun = getDryRunOptions(opts && opts.dryRun)
+    const liveOptions = {
         ...opts,
+        fetch: cassette ? cassette.fetch : opts && opts.fetch,
+        agent,
+        rateLimiter,
+        handleResponse,
+        dryRun: null,
+    }
+    const callOptions = dryRun ? { ...liveOptions, rateLimiter: null, dryRun } : liveOptions
+
+    const livePubCall = publicCall({ ...liveOptions, endpoints })
+    const pubCall = dryRun ? publicCall({ ...callOptions, endpoints }) : livePubCall
+    const deliveryPubCall = publicCall({
+        ...callOptions,
         endpoints: { futures: endpoints.delivery },
     })
-    const privCall = privateCall({ ...opts, endpoints, pubCall })
+
+    const privateOptions = {
+        sign,
+        endpoints,
+        pubCall: livePubCall,
+        serverClock,
+        recvWindows: getRecvWindows(opts && opts.recvWindow),
+    }
+    const livePrivCall = privateCall({ ...liveOptions, ...privateOptions })
+    const privCall = dryRun ? privateCall({ ...callOptions, ...privateOptions }) : livePrivCall
     const kCall = keyCall({ ...opts, pubCall })
 
-    return {
+    // Keep the rate limiter in sync with the limits of every exchangeInfo fetched
+    const syncRateLimits = domain => info => {
+        if (rateLimiter && info) {
+            rateLimiter.setLimits(domain, info.rateLimits)
+        }
+        return info
+    }
+
+    // Exchange info cached for symbol lookups, fetched on first use
+    const symbols = createSymbolRegistry({
+        ...(opts && opts.symbols),
+        loadExchangeInfo: domain =>
+            livePubCall(exchangeInfoPaths[domain]).then(syncRateLimits(domain)),
+    })
+
+    // New orders go through the filters of their symbol first when enabled
+    const orderFilter =
+        opts && opts.filters
+            ? createOrderFilter({
+                  ...(typeof opts.filters === 'string' ? { mode: opts.filters } : opts.filters),
+                  getSymbol: symbols.getSymbol,
+                  pubCall: livePubCall,
+                  privCall: livePrivCall,
+              })
+            : null
+    const orderCall = orderFilter
+        ? (path, payload, method) =>
+              orderFilter(path, payload).then(filtered => privCall(path, filtered, method))
+        : privCall
+
+    const methods = {
         // Generic endpoints
         getInfo: () => info,
-        ping: () => pubCall('/api/v3/ping').then(() => true),
-        time: () => pubCall('/api/v3/time').then(r => r.serverTime),
-        exchangeInfo: payload => pubCall('/api/v3/exchangeInfo', payload),
+        rateLimiter,
+        serverClock,
+        symbols,
+        ping: options => pubCall('/api/v3/ping', requestOptionsOnly(options)).then(() => true),
+        time: options =>
+            pubCall('/api/v3/time', requestOptionsOnly(options)).then(r => r.serverTime),
+        exchangeInfo: payload =>
+            pubCall('/api/v3/exchangeInfo', payload).then(syncRateLimits('spot')),
 
         // Market Data endpoints
         book: payload => book(pubCall, payload),
         aggTrades: payload => aggTrades(pubCall, payload),
         candles: payload => candles(pubCall, payload),
+        candlesRange: payload => candlesOfRange(pubCall, payload),
         trades: payload =>
             checkParams('trades', payload, ['symbol']) && pubCall('/api/v3/trades', payload),
         tradesHistory: payload =>
             checkParams('tradesHitory', payload, ['symbol']) &&
             kCall('/api/v3/historicalTrades', payload),
         dailyStats: payload => pubCall('/api/v3/ticker/24hr', payload),
-        prices: payload =>
-            pubCall('/api/v3/ticker/price', payload).then(r =>
-                (Array.isArray(r) ? r : [r]).reduce(
-                    (out, cur) => ((out[cur.symbol] = cur.price), out),
-                    {},
-                ),
-            ),
+        prices: payload => pubCall('/api/v3/ticker/price', payload).then(pricesBySymbol),
         avgPrice: payload => pubCall('/api/v3/avgPrice', payload),
-        allBookTickers: () =>
-            pubCall('/api/v3/ticker/bookTicker').then(r =>
-                (Array.isArray(r) ? r : [r]).reduce(
-                    (out, cur) => ((out[cur.symbol] = cur), out),
-                    {},
-                ),
-            ),
+        allBookTickers: options =>
+            pubCall('/api/v3/ticker/bookTicker', requestOptionsOnly(options)).then(tickersBySymbol),
 
         // Order endpoints
-        order: payload => order(privCall, payload, '/api/v3/order'),
+        order: payload => order(orderCall, payload, '/api/v3/order'),
         updateOrder: payload => updateOrder(privCall, payload, '/api/v3/order/cancelReplace'),
         orderOco: payload => orderOco(privCall, payload, '/api/v3/order/oco'),
-        orderTest: payload => order(privCall, payload, '/api/v3/order/test'),
+        orderTest: payload => order(orderCall, payload, '/api/v3/order/test'),
         getOrder: payload => privCall('/api/v3/order', payload),
         getOrderOco: payload => privCall('/api/v3/orderList', payload),
         cancelOrder: payload => privCall('/api/v3/order', payload, 'DELETE'),
@@ -536,29 +1035,38 @@ export default opts => {
         accountCoins: payload => privCall('/sapi/v1/capital/config/getall', payload),
         getBnbBurn: payload => privCall('/sapi/v1/bnbBurn', payload),
         setBnbBurn: payload => privCall('/sapi/v1/bnbBurn', payload, 'POST'),
-        capitalConfigs: () => privCall('/sapi/v1/capital/config/getall'),
+        capitalConfigs: options =>
+            privCall('/sapi/v1/capital/config/getall', requestOptionsOnly(options)),
 
         // User Data Stream endpoints
-        getDataStream: () => privCall('/api/v3/userDataStream', null, 'POST', true),
+        getDataStream: options =>
+            privCall('/api/v3/userDataStream', requestOptionsOnly(options), 'POST', true),
         keepDataStream: payload => privCall('/api/v3/userDataStream', payload, 'PUT', false, true),
         closeDataStream: payload =>
             privCall('/api/v3/userDataStream', payload, 'DELETE', false, true),
         marginGetListenToken: payload => privCall('/sapi/v1/userListenToken', payload, 'POST'),
-        futuresGetDataStream: () => privCall('/fapi/v1/listenKey', null, 'POST', true),
+        futuresGetDataStream: options =>
+            privCall('/fapi/v1/listenKey', requestOptionsOnly(options), 'POST', true),
         futuresKeepDataStream: payload =>
             privCall('/fapi/v1/listenKey', payload, 'PUT', false, true),
         futuresCloseDataStream: payload =>
             privCall('/fapi/v1/listenKey', payload, 'DELETE', false, true),
-        deliveryGetDataStream: () => privCall('/dapi/v1/listenKey', null, 'POST', true),
+        deliveryGetDataStream: options =>
+            privCall('/dapi/v1/listenKey', requestOptionsOnly(options), 'POST', true),
         deliveryKeepDataStream: payload =>
             privCall('/dapi/v1/listenKey', payload, 'PUT', false, true),
         deliveryCloseDataStream: payload =>
             privCall('/dapi/v1/listenKey', payload, 'DELETE', false, true),
 
         // Futures endpoints
-        futuresPing: () => pubCall('/fapi/v1/ping').then(() => true),
-        futuresTime: () => pubCall('/fapi/v1/time').then(r => r.serverTime),
-        futuresExchangeInfo: () => pubCall('/fapi/v1/exchangeInfo'),
+        futuresPing: options =>
+            pubCall('/fapi/v1/ping', requestOptionsOnly(options)).then(() => true),
+        futuresTime: options =>
+            pubCall('/fapi/v1/time', requestOptionsOnly(options)).then(r => r.serverTime),
+        futuresExchangeInfo: options =>
+            pubCall('/fapi/v1/exchangeInfo', requestOptionsOnly(options)).then(
+                syncRateLimits('futures'),
+            ),
         futuresBook: payload => book(pubCall, payload, '/fapi/v1/depth'),
         futuresAggTrades: payload => aggTrades(pubCall, payload, '/fapi/v1/aggTrades'),
         futuresMarkPrice: payload => pubCall('/fapi/v1/premiumIndex', payload),
@@ -568,54 +1076,23 @@ export default opts => {
         futuresCandles: payload => candles(pubCall, payload, '/fapi/v1/klines'),
         futuresMarkPriceCandles: payload => candles(pubCall, payload, '/fapi/v1/markPriceKlines'),
         futuresIndexPriceCandles: payload => candles(pubCall, payload, '/fapi/v1/indexPriceKlines'),
+        futuresCandlesRange: payload => candlesOfRange(pubCall, payload, '/fapi/v1/klines'),
+        futuresMarkPriceCandlesRange: payload =>
+            candlesOfRange(pubCall, payload, '/fapi/v1/markPriceKlines'),
+        futuresIndexPriceCandlesRange: payload =>
+            candlesOfRange(pubCall, payload, '/fapi/v1/indexPriceKlines'),
         futuresTrades: payload =>
             checkParams('trades', payload, ['symbol']) && pubCall('/fapi/v1/trades', payload),
         futuresDailyStats: payload => pubCall('/fapi/v1/ticker/24hr', payload),
-        futuresPrices: payload =>
-            pubCall('/fapi/v1/ticker/price', payload).then(r =>
-                (Array.isArray(r) ? r : [r]).reduce(
-                    (out, cur) => ((out[cur.symbol] = cur.price), out),
-                    {},
-                ),
-            ),
-        futuresAllBookTickers: () =>
-            pubCall('/fapi/v1/ticker/bookTicker').then(r =>
-                (Array.isArray(r) ? r : [r]).reduce(
-                    (out, cur) => ((out[cur.symbol] = cur), out),
-                    {},
-                ),
+        futuresPrices: payload => pubCall('/fapi/v1/ticker/price', payload).then(pricesBySymbol),
+        futuresAllBookTickers: options =>
+            pubCall('/fapi/v1/ticker/bookTicker', requestOptionsOnly(options)).then(
+                tickersBySymbol,
             ),
         futuresFundingRate: payload =>
             checkParams('fundingRate', payload, ['symbol']) &&
             pubCall('/fapi/v1/fundingRate', payload),
-        futuresOrder: payload => {
-            // Check if this is a conditional order type that should be routed to algo endpoint
-            const orderType = payload?.type?.toUpperCase()
-            const conditionalTypes = [
-                'STOP',
-                'STOP_MARKET',
-                'TAKE_PROFIT',
-                'TAKE_PROFIT_MARKET',
-                'TRAILING_STOP_MARKET',
-            ]
-
-            if (orderType && conditionalTypes.includes(orderType)) {
-                // Route to algo order endpoint
-                const algoPayload = { ...payload }
-                if (!algoPayload.clientAlgoId) {
-                    algoPayload.clientAlgoId = futuresP()
-                }
-                delete algoPayload.newClientOrderId
-                algoPayload.algoType = 'CONDITIONAL'
-                if (algoPayload.stopPrice && !algoPayload.triggerPrice) {
-                    algoPayload.triggerPrice = algoPayload.stopPrice
-                    delete algoPayload.stopPrice
-                }
-                return privCall('/fapi/v1/algoOrder', algoPayload, 'POST')
-            }
-            // Use regular order endpoint
-            return order(privCall, payload, '/fapi/v1/order')
-        },
+        futuresOrder: payload => futuresOrder(orderCall, payload),
         futuresUpdateOrder: payload => {
             if (payload && 'conditional' in payload) {
                 // for now it is not supported
@@ -626,36 +1103,8 @@ export default opts => {
             return privCall('/fapi/v1/order', payload, 'PUT')
         },
         futuresBatchOrders: payload => privCall('/fapi/v1/batchOrders', payload, 'POST'),
-        futuresGetOrder: payload => {
-            // Check if this is a request for a conditional/algo order
-            const isConditional = payload?.conditional
-            const hasAlgoId = payload?.algoId || payload?.clientAlgoId
-            let payloadCopy = payload
-            if (payload && 'conditional' in payload) {
-                payloadCopy = { ...payload }
-                delete payloadCopy.conditional
-            }
-
-            if (isConditional || hasAlgoId) {
-                return privCall('/fapi/v1/algoOrder', payloadCopy)
-            }
-            return privCall('/fapi/v1/order', payloadCopy)
-        },
-        futuresCancelOrder: payload => {
-            // Check if this is a request for a conditional/algo order
-            const isConditional = payload?.conditional
-            const hasAlgoId = payload?.algoId || payload?.clientAlgoId
-            let payloadCopy = payload
-            if (payload && 'conditional' in payload) {
-                payloadCopy = { ...payload }
-                delete payloadCopy.conditional
-            }
-
-            if (isConditional || hasAlgoId) {
-                return privCall('/fapi/v1/algoOrder', payloadCopy, 'DELETE')
-            }
-            return privCall('/fapi/v1/order', payloadCopy, 'DELETE')
-        },
+        futuresGetOrder: payload => futuresOrderRequest(privCall, payload),
+        futuresCancelOrder: payload => futuresOrderRequest(privCall, payload, 'DELETE'),
         futuresCancelAllOpenOrders: payload => {
             const isConditional = payload?.conditional
             let payloadCopy = payload
@@ -733,9 +1182,14 @@ export default opts => {
         futuresGetAllAlgoOrders: payload => privCall('/fapi/v1/allAlgoOrders', payload),
 
         // Delivery endpoints
-        deliveryPing: () => pubCall('/dapi/v1/ping').then(() => true),
-        deliveryTime: () => pubCall('/dapi/v1/time').then(r => r.serverTime),
-        deliveryExchangeInfo: () => pubCall('/dapi/v1/exchangeInfo'),
+        deliveryPing: options =>
+            pubCall('/dapi/v1/ping', requestOptionsOnly(options)).then(() => true),
+        deliveryTime: options =>
+            pubCall('/dapi/v1/time', requestOptionsOnly(options)).then(r => r.serverTime),
+        deliveryExchangeInfo: options =>
+            pubCall('/dapi/v1/exchangeInfo', requestOptionsOnly(options)).then(
+                syncRateLimits('delivery'),
+            ),
         deliveryBook: payload => book(pubCall, payload, '/dapi/v1/depth'),
         deliveryAggTrades: payload => aggTrades(pubCall, payload, '/dapi/v1/aggTrades'),
         deliveryMarkPrice: payload => pubCall('/dapi/v1/premiumIndex', payload),
@@ -746,27 +1200,24 @@ export default opts => {
         deliveryMarkPriceCandles: payload => candles(pubCall, payload, '/dapi/v1/markPriceKlines'),
         deliveryIndexPriceCandles: payload =>
             candles(pubCall, payload, '/dapi/v1/indexPriceKlines'),
+        deliveryCandlesRange: payload => candlesOfRange(pubCall, payload, '/dapi/v1/klines'),
+        deliveryMarkPriceCandlesRange: payload =>
+            candlesOfRange(pubCall, payload, '/dapi/v1/markPriceKlines'),
+        deliveryIndexPriceCandlesRange: payload =>
+            candlesOfRange(pubCall, payload, '/dapi/v1/indexPriceKlines'),
         deliveryTrades: payload =>
             checkParams('trades', payload, ['symbol']) && pubCall('/dapi/v1/trades', payload),
         deliveryDailyStats: payload => pubCall('/dapi/v1/ticker/24hr', payload),
-        deliveryPrices: () =>
-            pubCall('/dapi/v1/ticker/price').then(r =>
-                (Array.isArray(r) ? r : [r]).reduce(
-                    (out, cur) => ((out[cur.symbol] = cur.price), out),
-                    {},
-                ),
-            ),
-        deliveryAllBookTickers: () =>
-            pubCall('/dapi/v1/ticker/bookTicker').then(r =>
-                (Array.isArray(r) ? r : [r]).reduce(
-                    (out, cur) => ((out[cur.symbol] = cur), out),
-                    {},
-                ),
+        deliveryPrices: options =>
+            pubCall('/dapi/v1/ticker/price', requestOptionsOnly(options)).then(pricesBySymbol),
+        deliveryAllBookTickers: options =>
+            pubCall('/dapi/v1/ticker/bookTicker', requestOptionsOnly(options)).then(
+                tickersBySymbol,
             ),
         deliveryFundingRate: payload =>
             checkParams('fundingRate', payload, ['symbol']) &&
             pubCall('/dapi/v1/fundingRate', payload),
-        deliveryOrder: payload => order(privCall, payload, '/dapi/v1/order'),
+        deliveryOrder: payload => order(orderCall, payload, '/dapi/v1/order'),
         deliveryBatchOrders: payload => privCall('/dapi/v1/batchOrders', payload, 'POST'),
         deliveryGetOrder: payload => privCall('/dapi/v1/order', payload),
         deliveryCancelOrder: payload => privCall('/dapi/v1/order', payload, 'DELETE'),
@@ -790,8 +1241,8 @@ export default opts => {
         deliveryIncome: payload => privCall('/dapi/v1/income', payload),
 
         // PAPI endpoints
-        papiPing: () => privCall('/papi/v1/ping'),
-        papiAccount: () => privCall('/papi/v1/account'),
+        papiPing: options => privCall('/papi/v1/ping', requestOptionsOnly(options)),
+        papiAccount: options => privCall('/papi/v1/account', requestOptionsOnly(options)),
         papiBalance: payload => privCall('/papi/v1/balance', payload),
         papiUmOrder: payload => privCall('/papi/v1/um/order', payload),
         papiUmConditionalOrder: payload =>
@@ -870,7 +1321,7 @@ export default opts => {
 
         // Margin endpoints
         marginAllOrders: payload => privCall('/sapi/v1/margin/allOrders', payload),
-        marginOrder: payload => order(privCall, payload, '/sapi/v1/margin/order'),
+        marginOrder: payload => order(orderCall, payload, '/sapi/v1/margin/order'),
         marginOrderOco: payload => orderOco(privCall, payload, '/sapi/v1/margin/order/oco'),
         marginGetOrder: payload => privCall('/sapi/v1/margin/order', payload),
         marginGetOrderOco: payload => privCall('/sapi/v1/margin/orderList', payload),
@@ -898,11 +1349,13 @@ export default opts => {
             privCall('/sapi/v1/margin/isolated/account', payload, 'POST'),
         isolatedMarginAllPairs: payload => privCall('/sapi/v1/margin/isolated/allPairs', payload),
         isolatedMarginAccount: payload => privCall('/sapi/v1/margin/isolated/account', payload),
-        marginAccount: () => privCall('/sapi/v1/margin/account'),
+        marginAccount: options => privCall('/sapi/v1/margin/account', requestOptionsOnly(options)),
 
         // Portfolio Margin endpoints
-        portfolioMarginAccountInfo: () => privCall('/sapi/v1/portfolio/account'),
-        portfolioMarginCollateralRate: () => privCall('/sapi/v1/portfolio/collateralRate'),
+        portfolioMarginAccountInfo: options =>
+            privCall('/sapi/v1/portfolio/account', requestOptionsOnly(options)),
+        portfolioMarginCollateralRate: options =>
+            privCall('/sapi/v1/portfolio/collateralRate', requestOptionsOnly(options)),
         portfolioMarginLoan: payload => privCall('/sapi/v1/portfolio/pmLoan', payload),
         portfolioMarginLoanRepay: payload => privCall('/sapi/v1/portfolio/repay', payload, 'POST'),
         portfolioMarginInterestHistory: payload =>
@@ -914,7 +1367,8 @@ export default opts => {
         savingsRedeem: payload => privCall('/sapi/v1/lending/union/redeem', payload, 'POST'),
         fundingWallet: payload => privCall('/sapi/v1/asset/get-funding-asset', payload, 'POST'),
         convertTradeFlow: payload => privCall('/sapi/v1/convert/tradeFlow', payload),
-        rebateTaxQuery: () => privCall('/sapi/v1/rebate/taxQuery'),
+        rebateTaxQuery: options =>
+            privCall('/sapi/v1/rebate/taxQuery', requestOptionsOnly(options)),
         payTradeHistory: payload => privCall('/sapi/v1/pay/transactions', payload),
         apiRestrictions: payload => privCall('/sapi/v1/account/apiRestrictions', payload),
 
@@ -929,4 +1383,17 @@ export default opts => {
         privateRequest: (method, url, payload) => privCall(url, payload, method),
         publicRequest: (method, url, payload) => pubCall(url, payload, method),
     }
+
+    // Results are converted last, the client itself works on the parsed responses
+    const convert = opts && opts.numbers ? createNumberConverter(opts.numbers) : null
+    const converted = convert ? mapResults(methods, result => result.then(convert)) : methods
+
+    // Async iterators over the history endpoints, e.g. `iterate.myTrades(payload)`.
+    // In dry run they reject with the DryRunError carrying the first request.
+    const iterate = createIterators(converted)
+
+    const client = dryRun ? mapResults(converted, resolveDryRun) : converted
+    client.iterate = iterate
+
+    return client
 }
@@ -0,0 +1,100 @@
+import { describeRequest } from './errors'
+
+const RATE_LIMIT_HEADERS = /^(x-mbx-used-weight|x-mbx-order-count|x-sapi-used|retry-after)/
+
+/**
+ * Rate limit related headers of a response, by lower case name
+ */
+export const getRateLimitHeaders = res => {
+    const out = {}
+    if (res && res.headers) {
+        res.headers.forEach((value, key) => {
+            if (RATE_LIMIT_HEADERS.test(key.toLowerCase())) {
+                out[key.toLowerCase()] = value
+            }
+        })
+    }
+    return out
+}
+
+const REDACTED_HEADERS = ['x-mbx-apikey']
+
+const isRedactedHeader = name => REDACTED_HEADERS.includes(name.toLowerCase())
+
+// Copy of the headers with the api key masked
+const redactHeaders = headers =>
+    Object.keys(headers).reduce((out, name) => {
+        out[name] = isRedactedHeader(name) ? '[REDACTED]' : headers[name]
+        return out
+    }, {})
+
+// Headers changed by the hooks, with the api key they saw masked put back
+const restoreHeaders = (headers, original) =>
+    Object.keys(headers).reduce((out, name) => {
+        out[name] =
+            isRedactedHeader(name) && headers[name] === '[REDACTED]'
+                ? original[name]
+                : headers[name]
+        return out
+    }, {})
+
+// Hooks run one after the other, a hook returning a promise holds the next ones
+const runHooks = (interceptors, hook, context) =>
+    interceptors.reduce(
+        (chain, interceptor) =>
+            interceptor[hook] ? chain.then(() => interceptor[hook](context)) : chain,
+        Promise.resolve(),
+    )
+
+/**
+ * Run a request through the `onRequest`, `onResponse` and `onError` hooks of the
+ * interceptors. Every hook gets the same context, with the redacted url and
+ * params of the request and its headers with the api key masked. The url and
+ * params are read-only, `onRequest` can change the headers in place. Status,
+ * duration and rate limit headers are added once the response is in.
+ *
+ * @param {object|object[]} interceptors Interceptor(s) of the client
+ * @param {string} url Request url
+ * @param {object} fetchOptions Options given to fetch
+ * @param {function} send Sends the request with the given fetch options and response listener
+ * @returns {Promise} The result of the request
+ */
+export const intercept = (interceptors, url, fetchOptions, send) => {
+    const chain = [].concat(interceptors)
+    const context = {
+        ...describeRequest(url, fetchOptions.method, fetchOptions.body),
+        headers: redactHeaders(fetchOptions.headers || {}),
+    }
+    let response = null
+    let start = null
+
+    const complete = () => {
+        context.duration = Date.now() - start
+        if (response) {
+            context.status = response.status
+            context.rateLimits = getRateLimitHeaders(response)
+        }
+    }
+
+    return runHooks(chain, 'onRequest', context).then(() => {
+        start = Date.now()
+
+        const headers = restoreHeaders(context.headers, fetchOptions.headers || {})
+
+        return send({ ...fetchOptions, headers }, res => {
+            response = res
+        }).then(
+            result => {
+                complete()
+                return runHooks(chain, 'onResponse', context).then(() => result)
+            },
+            error => {
+                complete()
+                context.error = error
+                return runHooks(chain, 'onError', context).then(() => {
+                    throw error
+                })
+            },
+        )
+    })
+}
@@ -0,0 +1,613 @@
+import BigNumber from 'bignumber.js'
+
+import { formatAmount, MockExchangeError } from './mock-exchange'
+
+export const fail = (code, msg, status = 400) => {
+    throw new MockExchangeError(status, code, msg)
+}
+
+export const requireParam = (params, name) => {
+    if (params[name] === undefined || params[name] === '') {
+        fail(-1102, `Mandatory parameter '${name}' was not sent, was empty/null, or malformed.`)
+    }
+    return params[name]
+}
+
+const average = (total, quantity) => (quantity.isZero() ? new BigNumber(0) : total.div(quantity))
+
+const isOpen = order => order.status === 'NEW' || order.status === 'PARTIALLY_FILLED'
+
+const spotOrder = order => ({
+    symbol: order.symbol,
+    orderId: order.orderId,
+    orderListId: -1,
+    clientOrderId: order.clientOrderId,
+    price: formatAmount('spot', order.price),
+    origQty: formatAmount('spot', order.quantity),
+    executedQty: formatAmount('spot', order.executedQty),
+    cummulativeQuoteQty: formatAmount('spot', order.cumQuote),
+    status: order.status,
+    timeInForce: order.timeInForce,
+    type: order.type,
+    side: order.side,
+    stopPrice: formatAmount('spot', 0),
+    icebergQty: formatAmount('spot', 0),
+    time: order.time,
+    updateTime: order.updateTime,
+    isWorking: true,
+    workingTime: order.time,
+    origQuoteOrderQty: formatAmount('spot', order.quoteOrderQty || 0),
+    selfTradePreventionMode: 'NONE',
+})
+
+const futuresOrder = order => ({
+    orderId: order.orderId,
+    symbol: order.symbol,
+    status: order.status,
+    clientOrderId: order.clientOrderId,
+    price: formatAmount('futures', order.price),
+    avgPrice: formatAmount('futures', average(order.cumQuote, order.executedQty)),
+    origQty: formatAmount('futures', order.quantity),
+    executedQty: formatAmount('futures', order.executedQty),
+    cumQty: formatAmount('futures', order.executedQty),
+    cumQuote: formatAmount('futures', order.cumQuote),
+    timeInForce: order.timeInForce,
+    type: order.type,
+    reduceOnly: order.reduceOnly,
+    closePosition: false,
+    side: order.side,
+    positionSide: 'BOTH',
+    stopPrice: '0',
+    workingType: 'CONTRACT_PRICE',
+    priceProtect: false,
+    origType: order.type,
+    priceMatch: 'NONE',
+    selfTradePreventionMode: 'NONE',
+    goodTillDate: 0,
+    time: order.time,
+    updateTime: order.updateTime,
+})
+
+const formatOrder = (market, order) => (market === 'spot' ? spotOrder(order) : futuresOrder(order))
+
+export const formatLevels = (market, levels) =>
+    levels.map(([price, quantity]) => [formatAmount(market, price), formatAmount(market, quantity)])
+
+const formatCandle = (market, candle) => [
+    candle.openTime,
+    formatAmount(market, candle.open),
+    formatAmount(market, candle.high),
+    formatAmount(market, candle.low),
+    formatAmount(market, candle.close),
+    formatAmount(market, candle.volume),
+    candle.closeTime,
+    formatAmount(market, candle.quoteVolume),
+    candle.trades,
+    formatAmount(market, candle.takerBuyVolume),
+    formatAmount(market, candle.takerBuyQuoteVolume),
+    '0',
+]
+
+export const klineEvent = (market, symbol, interval, candle, time) => ({
+    e: 'kline',
+    E: time,
+    s: symbol,
+    k: {
+        t: candle.openTime,
+        T: candle.closeTime,
+        s: symbol,
+        i: interval,
+        f: candle.firstTradeId,
+        L: candle.lastTradeId,
+        o: formatAmount(market, candle.open),
+        c: formatAmount(market, candle.close),
+        h: formatAmount(market, candle.high),
+        l: formatAmount(market, candle.low),
+        v: formatAmount(market, candle.volume),
+        n: candle.trades,
+        x: false,
+        q: formatAmount(market, candle.quoteVolume),
+        V: formatAmount(market, candle.takerBuyVolume),
+        Q: formatAmount(market, candle.takerBuyQuoteVolume),
+        B: '0',
+    },
+})
+
+// executionReport of the spot user data stream
+const executionReport = ({ order, executionType, trade }, time) => ({
+    e: 'executionReport',
+    E: time,
+    s: order.symbol,
+    c: order.clientOrderId,
+    S: order.side,
+    o: order.type,
+    f: order.timeInForce,
+    q: formatAmount('spot', order.quantity),
+    p: formatAmount('spot', order.price),
+    P: formatAmount('spot', 0),
+    F: formatAmount('spot', 0),
+    g: -1,
+    C: executionType === 'CANCELED' ? order.clientOrderId : '',
+    x: executionType,
+    X: order.status,
+    r: 'NONE',
+    i: order.orderId,
+    l: formatAmount('spot', trade ? trade.quantity : 0),
+    z: formatAmount('spot', order.executedQty),
+    L: formatAmount('spot', trade ? trade.price : 0),
+    n: formatAmount('spot', trade ? trade.commission : 0),
+    N: trade ? trade.commissionAsset : null,
+    T: trade ? trade.time : order.updateTime,
+    t: trade ? trade.id : -1,
+    w: isOpen(order),
+    m: trade ? trade.isMaker : false,
+    M: false,
+    O: order.time,
+    Z: formatAmount('spot', order.cumQuote),
+    Y: formatAmount('spot', trade ? trade.price.times(trade.quantity) : 0),
+    Q: formatAmount('spot', order.quoteOrderQty || 0),
+    W: order.time,
+    V: 'NONE',
+})
+
+// ORDER_TRADE_UPDATE of the futures user data stream
+const orderTradeUpdate = ({ order, executionType, trade }, time) => ({
+    e: 'ORDER_TRADE_UPDATE',
+    E: time,
+    T: trade ? trade.time : order.updateTime,
+    o: {
+        s: order.symbol,
+        c: order.clientOrderId,
+        S: order.side,
+        o: order.type,
+        f: order.timeInForce,
+        q: formatAmount('futures', order.quantity),
+        p: formatAmount('futures', order.price),
+        ap: formatAmount('futures', average(order.cumQuote, order.executedQty)),
+        sp: '0',
+        x: executionType,
+        X: order.status,
+        i: order.orderId,
+        l: formatAmount('futures', trade ? trade.quantity : 0),
+        z: formatAmount('futures', order.executedQty),
+        L: formatAmount('futures', trade ? trade.price : 0),
+        N: trade ? trade.commissionAsset : 'USDT',
+        n: formatAmount('futures', trade ? trade.commission : 0),
+        T: trade ? trade.time : order.updateTime,
+        t: trade ? trade.id : 0,
+        b: '0',
+        a: '0',
+        m: trade ? trade.isMaker : false,
+        R: order.reduceOnly,
+        wt: 'CONTRACT_PRICE',
+        ot: order.type,
+        ps: 'BOTH',
+        cp: false,
+        rp: formatAmount('futures', trade ? trade.realizedProfit : 0),
+        pP: false,
+        si: 0,
+        ss: 0,
+        V: 'NONE',
+        pm: 'NONE',
+        gtd: 0,
+    },
+})
+
+const accountEvent = (exchange, market, time) => {
+    if (market === 'spot') {
+        const balances = exchange.getBalances()
+        return {
+            e: 'outboundAccountPosition',
+            E: time,
+            u: time,
+            B: Object.keys(balances).map(asset => ({
+                a: asset,
+                f: formatAmount('spot', balances[asset].free),
+                l: formatAmount('spot', balances[asset].locked),
+            })),
+        }
+    }
+
+    const { walletBalance, positions } = exchange.getFuturesAccount()
+    return {
+        e: 'ACCOUNT_UPDATE',
+        E: time,
+        T: time,
+        a: {
+            m: 'ORDER',
+            B: [
+                {
+                    a: 'USDT',
+                    wb: formatAmount('futures', walletBalance),
+                    cw: formatAmount('futures', walletBalance),
+                    bc: '0',
+                },
+            ],
+            P: positions.map(position => ({
+                s: position.symbol,
+                pa: formatAmount('futures', position.amount),
+                ep: formatAmount('futures', position.entryPrice),
+                cr: '0',
+                up: formatAmount('futures', position.unrealizedProfit),
+                mt: 'cross',
+                iw: '0',
+                ps: 'BOTH',
+            })),
+        },
+    }
+}
+
+/**
+ * User data stream event of an `order` or `account` event of a mock exchange,
+ * null for the market events
+ */
+export const userEvent = (exchange, event, time) => {
+    if (event.type === 'order') {
+        return event.market === 'spot'
+            ? executionReport(event, time)
+            : orderTradeUpdate(event, time)
+    }
+    return event.type === 'account' ? accountEvent(exchange, event.market, time) : null
+}
+
+/**
+ * REST endpoints of a mock exchange, by `METHOD path`, answering like the spot
+ * and USDⓈ-M futures api. `security` is NONE, USER_STREAM (api key) or SIGNED.
+ *
+ * @param {object} exchange Mock exchange
+ * @param {function} getTime Exchange clock
+ * @returns {object} Routes, `{ security, handler }` with the handler taking the request params
+ */
+export const createMockRoutes = (exchange, getTime) => {
+    const ticker = (market, params, format) => {
+        const symbols = params.symbol ? [exchange.getSymbol(market, params.symbol).symbol] : null
+        const list = (symbols || exchange.getExchangeInfo(market).symbols.map(s => s.symbol))
+            .map(symbol => ({ symbol, price: exchange.getLastPrice(market, symbol) }))
+            .filter(entry => entry.price !== null)
+            .map(format)
+        return symbols ? list[0] || fail(-1121, 'Invalid symbol.') : list
+    }
+
+    const depth = (market, { symbol, limit = 100 }) => {
+        exchange.getSymbol(market, symbol)
+        const book = exchange.getBook(market, symbol)
+        const time = getTime()
+        return {
+            lastUpdateId: book.lastUpdateId,
+            ...(market === 'futures' ? { E: time, T: time } : {}),
+            bids: formatLevels(market, book.bids.slice(0, Number(limit))),
+            asks: formatLevels(market, book.asks.slice(0, Number(limit))),
+        }
+    }
+
+    const recentTrades = (market, { symbol, limit = 500 }) =>
+        exchange
+            .getTrades(market, exchange.getSymbol(market, symbol).symbol)
+            .slice(-Number(limit))
+            .map(trade => ({
+                id: trade.id,
+                price: formatAmount(market, trade.price),
+                qty: formatAmount(market, trade.quantity),
+                quoteQty: formatAmount(market, new BigNumber(trade.price).times(trade.quantity)),
+                time: trade.time,
+                isBuyerMaker: trade.isBuyerMaker,
+                isBestMatch: true,
+            }))
+
+    const aggTrades = (market, { symbol, limit = 500 }) =>
+        exchange
+            .getTrades(market, exchange.getSymbol(market, symbol).symbol)
+            .slice(-Number(limit))
+            .map(trade => ({
+                a: trade.id,
+                p: formatAmount(market, trade.price),
+                q: formatAmount(market, trade.quantity),
+                f: trade.id,
+                l: trade.id,
+                T: trade.time,
+                m: trade.isBuyerMaker,
+                M: true,
+            }))
+
+    const placeOrder = (market, params) => {
+        const order = exchange.placeOrder(market, params)
+        if (market === 'futures') {
+            return futuresOrder(order)
+        }
+
+        const fills = exchange
+            .getUserTrades('spot', order)
+            .filter(trade => trade.orderId === order.orderId)
+            .map(trade => ({
+                price: formatAmount('spot', trade.price),
+                qty: formatAmount('spot', trade.quantity),
+                commission: formatAmount('spot', trade.commission),
+                commissionAsset: trade.commissionAsset,
+                tradeId: trade.id,
+            }))
+        return { ...spotOrder(order), transactTime: order.time, fills }
+    }
+
+    const cancelResponse = (market, order) =>
+        market === 'spot'
+            ? {
+                  ...spotOrder(order),
+                  origClientOrderId: order.clientOrderId,
+                  transactTime: order.updateTime,
+              }
+            : futuresOrder(order)
+
+    // Cancel an order and place a new one, failing like Binance when either step fails
+    const cancelReplace = params => {
+        requireParam(params, 'cancelReplaceMode')
+        const { cancelReplaceMode, cancelOrderId, cancelOrigClientOrderId, ...newOrder } = params
+        const attempt = step => {
+            try {
+                return { result: 'SUCCESS', response: step() }
+            } catch (error) {
+                if (!(error instanceof MockExchangeError)) throw error
+                return { result: 'FAILURE', response: { code: error.code, msg: error.message } }
+            }
+        }
+
+        const canceled = attempt(() =>
+            cancelResponse(
+                'spot',
+                exchange.cancelOrder('spot', {
+                    symbol: params.symbol,
+                    orderId: cancelOrderId,
+                    origClientOrderId: cancelOrigClientOrderId,
+                }),
+            ),
+        )
+        const placed =
+            canceled.result === 'SUCCESS' || cancelReplaceMode === 'ALLOW_FAILURE'
+                ? attempt(() => placeOrder('spot', newOrder))
+                : { result: 'NOT_ATTEMPTED', response: null }
+
+        if (canceled.result === 'SUCCESS' && placed.result === 'SUCCESS') {
+            return {
+                cancelResult: 'SUCCESS',
+                newOrderResult: 'SUCCESS',
+                cancelResponse: canceled.response,
+                newOrderResponse: placed.response,
+            }
+        }
+        return placed.result === 'SUCCESS' || canceled.result === 'SUCCESS'
+            ? fail(-2021, 'Order cancel-replace partially failed.', 409)
+            : fail(-2022, 'Order cancel-replace failed.')
+    }
+
+    const cancelOpenOrders = (market, params) => {
+        const orders = exchange.cancelOpenOrders(market, params)
+        return market === 'spot'
+            ? orders.map(order => cancelResponse(market, order))
+            : { code: 200, msg: 'The operation of cancel all open order is done.' }
+    }
+
+    const spotAccount = () => {
+        const balances = exchange.getBalances()
+        return {
+            makerCommission: 0,
+            takerCommission: 0,
+            buyerCommission: 0,
+            sellerCommission: 0,
+            commissionRates: { maker: '0', taker: '0', buyer: '0', seller: '0' },
+            canTrade: true,
+            canWithdraw: true,
+            canDeposit: true,
+            brokered: false,
+            requireSelfTradePrevention: false,
+            preventSor: false,
+            updateTime: getTime(),
+            accountType: 'SPOT',
+            balances: Object.keys(balances).map(asset => ({
+                asset,
+                free: formatAmount('spot', balances[asset].free),
+                locked: formatAmount('spot', balances[asset].locked),
+            })),
+            permissions: ['SPOT'],
+            uid: 1,
+        }
+    }
+
+    const futuresAccount = () => {
+        const { walletBalance, positions } = exchange.getFuturesAccount()
+        const unrealized = positions.reduce(
+            (sum, position) => sum.plus(position.unrealizedProfit),
+            new BigNumber(0),
+        )
+        const margin = walletBalance.plus(unrealized)
+        return {
+            totalWalletBalance: formatAmount('futures', walletBalance),
+            totalUnrealizedProfit: formatAmount('futures', unrealized),
+            totalMarginBalance: formatAmount('futures', margin),
+            availableBalance: formatAmount('futures', margin),
+            maxWithdrawAmount: formatAmount('futures', walletBalance),
+            canTrade: true,
+            canDeposit: true,
+            canWithdraw: true,
+            updateTime: 0,
+            assets: [
+                {
+                    asset: 'USDT',
+                    walletBalance: formatAmount('futures', walletBalance),
+                    unrealizedProfit: formatAmount('futures', unrealized),
+                    marginBalance: formatAmount('futures', margin),
+                    availableBalance: formatAmount('futures', margin),
+                    maxWithdrawAmount: formatAmount('futures', walletBalance),
+                },
+            ],
+            positions: positions.map(position => ({
+                symbol: position.symbol,
+                positionAmt: formatAmount('futures', position.amount),
+                entryPrice: formatAmount('futures', position.entryPrice),
+                unrealizedProfit: formatAmount('futures', position.unrealizedProfit),
+                leverage: '20',
+                isolated: false,
+                positionSide: 'BOTH',
+            })),
+        }
+    }
+
+    const positionRisk = ({ symbol }) =>
+        exchange
+            .getFuturesAccount()
+            .positions.filter(position => !symbol || position.symbol === symbol)
+            .map(position => ({
+                symbol: position.symbol,
+                positionAmt: formatAmount('futures', position.amount),
+                entryPrice: formatAmount('futures', position.entryPrice),
+                markPrice: formatAmount('futures', position.markPrice),
+                unRealizedProfit: formatAmount('futures', position.unrealizedProfit),
+                liquidationPrice: '0',
+                leverage: '20',
+                marginType: 'cross',
+                isolatedMargin: '0',
+                positionSide: 'BOTH',
+                notional: formatAmount('futures', position.amount.times(position.markPrice)),
+                updateTime: getTime(),
+            }))
+
+    const userTrades = (market, params) =>
+        exchange.getUserTrades(market, params).map(trade => {
+            const common = {
+                symbol: trade.symbol,
+                id: trade.id,
+                orderId: trade.orderId,
+                price: formatAmount(market, trade.price),
+                qty: formatAmount(market, trade.quantity),
+                quoteQty: formatAmount(market, trade.price.times(trade.quantity)),
+                commission: formatAmount(market, trade.commission),
+                commissionAsset: trade.commissionAsset,
+                time: trade.time,
+            }
+            return market === 'spot'
+                ? {
+                      ...common,
+                      orderListId: -1,
+                      isBuyer: trade.side === 'BUY',
+                      isMaker: trade.isMaker,
+                      isBestMatch: true,
+                  }
+                : {
+                      ...common,
+                      buyer: trade.side === 'BUY',
+                      maker: trade.isMaker,
+                      side: trade.side,
+                      positionSide: 'BOTH',
+                      realizedPnl: formatAmount(market, trade.realizedProfit),
+                  }
+        })
+
+    // Routes of both markets
+    const marketRoutes = (market, prefix) => ({
+        [`GET ${prefix}/ping`]: { handler: () => ({}) },
+        [`GET ${prefix}/time`]: { handler: () => ({ serverTime: getTime() }) },
+        [`GET ${prefix}/exchangeInfo`]: { handler: () => exchange.getExchangeInfo(market) },
+        [`GET ${prefix}/depth`]: { handler: params => depth(market, params) },
+        [`GET ${prefix}/trades`]: { handler: params => recentTrades(market, params) },
+        [`GET ${prefix}/aggTrades`]: { handler: params => aggTrades(market, params) },
+        [`GET ${prefix}/klines`]: {
+            handler: params =>
+                exchange.getCandles(market, params).map(candle => formatCandle(market, candle)),
+        },
+        [`POST ${prefix}/order`]: {
+            security: 'SIGNED',
+            handler: params => placeOrder(market, params),
+        },
+        [`GET ${prefix}/order`]: {
+            security: 'SIGNED',
+            handler: params => formatOrder(market, exchange.getOrder(market, params)),
+        },
+        [`DELETE ${prefix}/order`]: {
+            security: 'SIGNED',
+            handler: params => cancelResponse(market, exchange.cancelOrder(market, params)),
+        },
+        [`GET ${prefix}/openOrders`]: {
+            security: 'SIGNED',
+            handler: params =>
+                exchange.getOpenOrders(market, params).map(order => formatOrder(market, order)),
+        },
+        [`GET ${prefix}/allOrders`]: {
+            security: 'SIGNED',
+            handler: params =>
+                exchange.getOrders(market, params).map(order => formatOrder(market, order)),
+        },
+    })
+
+    return {
+        ...marketRoutes('spot', '/api/v3'),
+        'GET /api/v3/ticker/price': {
+            handler: params => ticker('spot', params, entry => entry),
+        },
+        'GET /api/v3/avgPrice': {
+            handler: ({ symbol }) => ({
+                mins: 5,
+                price: ticker('spot', { symbol }, entry => entry).price,
+                closeTime: getTime(),
+            }),
+        },
+        'POST /api/v3/order/test': {
+            security: 'SIGNED',
+            handler: params => (exchange.getSymbol('spot', params.symbol), {}),
+        },
+        'POST /api/v3/order/cancelReplace': { security: 'SIGNED', handler: cancelReplace },
+        'DELETE /api/v3/openOrders': {
+            security: 'SIGNED',
+            handler: params => cancelOpenOrders('spot', params),
+        },
+        'GET /api/v3/account': { security: 'SIGNED', handler: spotAccount },
+        'GET /api/v3/myTrades': {
+            security: 'SIGNED',
+            handler: params => userTrades('spot', params),
+        },
+
+        ...marketRoutes('futures', '/fapi/v1'),
+        'GET /fapi/v1/ticker/price': {
+            handler: params => ticker('futures', params, entry => ({ ...entry, time: getTime() })),
+        },
+        'GET /fapi/v1/premiumIndex': {
+            handler: params =>
+                ticker('futures', params, ({ symbol, price }) => ({
+                    symbol,
+                    markPrice: price,
+                    indexPrice: price,
+                    estimatedSettlePrice: price,
+                    lastFundingRate: '0',
+                    interestRate: '0',
+                    nextFundingTime: 0,
+                    time: getTime(),
+                })),
+        },
+        'PUT /fapi/v1/order': {
+            security: 'SIGNED',
+            handler: params => formatOrder('futures', exchange.modifyOrder('futures', params)),
+        },
+        'DELETE /fapi/v1/allOpenOrders': {
+            security: 'SIGNED',
+            handler: params => cancelOpenOrders('futures', params),
+        },
+        'GET /fapi/v2/account': { security: 'SIGNED', handler: futuresAccount },
+        'GET /fapi/v2/balance': {
+            security: 'SIGNED',
+            handler: () =>
+                futuresAccount().assets.map(asset => ({
+                    accountAlias: 'mock',
+                    asset: asset.asset,
+                    balance: asset.walletBalance,
+                    crossWalletBalance: asset.walletBalance,
+                    crossUnPnl: asset.unrealizedProfit,
+                    availableBalance: asset.availableBalance,
+                    maxWithdrawAmount: asset.maxWithdrawAmount,
+                    marginAvailable: true,
+                    updateTime: getTime(),
+                })),
+        },
+        'GET /fapi/v2/positionRisk': { security: 'SIGNED', handler: positionRisk },
+        'GET /fapi/v1/userTrades': {
+            security: 'SIGNED',
+            handler: params => userTrades('futures', params),
+        },
+    }
+}
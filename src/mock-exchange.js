@@ -0,0 +1,797 @@
+import BigNumber from 'bignumber.js'
+
+import { applySymbolFilters } from './filters'
+import { BinanceFilterError } from './errors'
+import { addIntervals, alignTime, parseInterval } from './candles-range'
+
+export const MARKETS = ['spot', 'futures']
+
+const DEFAULT_SYMBOLS = [
+    {
+        symbol: 'BTCUSDT',
+        baseAsset: 'BTC',
+        quoteAsset: 'USDT',
+        tickSize: '0.01',
+        stepSize: '0.00001',
+        minNotional: '5',
+    },
+    {
+        symbol: 'ETHUSDT',
+        baseAsset: 'ETH',
+        quoteAsset: 'USDT',
+        tickSize: '0.01',
+        stepSize: '0.0001',
+        minNotional: '5',
+    },
+]
+
+const DEFAULT_BALANCES = { USDT: '100000', BTC: '1', ETH: '10' }
+
+const RATE_LIMITS = [
+    { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000 },
+    { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 100 },
+    { rateLimitType: 'ORDERS', interval: 'DAY', intervalNum: 1, limit: 200000 },
+]
+
+const ZERO = new BigNumber(0)
+
+/**
+ * Error answered by the mock exchange, with the http status and the Binance
+ * code and message of the real one
+ */
+export class MockExchangeError extends Error {
+    constructor(status, code, msg) {
+        super(msg)
+        this.name = 'MockExchangeError'
+        this.status = status
+        this.code = code
+    }
+}
+
+const fail = (code, msg, status = 400) => {
+    throw new MockExchangeError(status, code, msg)
+}
+
+const missingParam = name =>
+    fail(-1102, `Mandatory parameter '${name}' was not sent, was empty/null, or malformed.`)
+
+const requireParams = (params, names) =>
+    names.forEach(name => {
+        if (params[name] === undefined || params[name] === '') missingParam(name)
+    })
+
+// Spot answers with 8 decimals, futures without trailing zeros
+export const formatAmount = (market, value) =>
+    market === 'spot' ? new BigNumber(value).toFixed(8) : new BigNumber(value).toFixed()
+
+const floorToStep = (value, step) => value.div(step).integerValue(BigNumber.ROUND_FLOOR).times(step)
+
+const exchangeFilters = (market, { tickSize, stepSize, minNotional }) => [
+    { filterType: 'PRICE_FILTER', minPrice: tickSize, maxPrice: '1000000', tickSize },
+    { filterType: 'LOT_SIZE', minQty: stepSize, maxQty: '9000', stepSize },
+    { filterType: 'MARKET_LOT_SIZE', minQty: stepSize, maxQty: '1000', stepSize },
+    market === 'spot'
+        ? {
+              filterType: 'NOTIONAL',
+              minNotional,
+              applyMinToMarket: true,
+              maxNotional: '9000000',
+              applyMaxToMarket: false,
+              avgPriceMins: 5,
+          }
+        : { filterType: 'MIN_NOTIONAL', notional: minNotional },
+]
+
+// Exchange info of a symbol, as given when added from a real exchange
+const symbolInfo = (market, info) =>
+    info.exchangeInfo
+        ? info.exchangeInfo
+        : market === 'spot'
+          ? {
+                symbol: info.symbol,
+                status: 'TRADING',
+                baseAsset: info.baseAsset,
+                baseAssetPrecision: 8,
+                quoteAsset: info.quoteAsset,
+                quotePrecision: 8,
+                quoteAssetPrecision: 8,
+                orderTypes: ['LIMIT', 'LIMIT_MAKER', 'MARKET'],
+                isSpotTradingAllowed: true,
+                isMarginTradingAllowed: false,
+                permissions: [],
+                permissionSets: [['SPOT']],
+                filters: exchangeFilters(market, info),
+            }
+          : {
+                symbol: info.symbol,
+                pair: info.symbol,
+                contractType: 'PERPETUAL',
+                status: 'TRADING',
+                baseAsset: info.baseAsset,
+                quoteAsset: info.quoteAsset,
+                marginAsset: info.quoteAsset,
+                pricePrecision: new BigNumber(info.tickSize).decimalPlaces(),
+                quantityPrecision: new BigNumber(info.stepSize).decimalPlaces(),
+                baseAssetPrecision: 8,
+                quotePrecision: 8,
+                orderTypes: ['LIMIT', 'MARKET'],
+                timeInForce: ['GTC', 'IOC', 'FOK', 'GTX'],
+                filters: exchangeFilters(market, info),
+            }
+
+const getFilter = (info, filterType) =>
+    info.filters.find(filter => filter.filterType === filterType) || {}
+
+// Symbol of the mock exchange from the exchange info one of a market
+const fromExchangeInfo = info => ({
+    symbol: info.symbol,
+    baseAsset: info.baseAsset,
+    quoteAsset: info.marginAsset || info.quoteAsset,
+    tickSize: getFilter(info, 'PRICE_FILTER').tickSize || '0.00000001',
+    stepSize: getFilter(info, 'LOT_SIZE').stepSize || '0.00000001',
+    exchangeInfo: info,
+})
+
+// Book levels as `[price, quantity]` strings, bids from the highest price and asks from the lowest
+const sortLevels = (levels, side) =>
+    levels
+        .map(level =>
+            Array.isArray(level)
+                ? [String(level[0]), String(level[1])]
+                : [String(level.price), String(level.quantity)],
+        )
+        .filter(([, quantity]) => !new BigNumber(quantity).isZero())
+        .sort((a, b) =>
+            side === 'bids'
+                ? new BigNumber(b[0]).comparedTo(a[0])
+                : new BigNumber(a[0]).comparedTo(b[0]),
+        )
+
+// Levels of `next` changing from `previous`, removed ones with a zero quantity
+const diffLevels = (previous, next) => {
+    const byPrice = levels =>
+        levels.reduce((out, [price, quantity]) => ((out[price] = quantity), out), {})
+    const before = byPrice(previous)
+    const after = byPrice(next)
+    return [
+        ...next.filter(([price, quantity]) => before[price] !== quantity),
+        ...previous.filter(([price]) => !(price in after)).map(([price]) => [price, '0']),
+    ]
+}
+
+// Whether a limit price accepts a level price, buying at or below it, selling at or above
+const acceptsPrice = (side, limitPrice, price) =>
+    !limitPrice ||
+    (side === 'BUY' ? new BigNumber(price).lte(limitPrice) : new BigNumber(price).gte(limitPrice))
+
+/**
+ * State of a local exchange: symbols, order books and trades set by the tests,
+ * and the orders, balances and positions of a single account.
+ *
+ * Orders take liquidity from the levels of the book without changing them.
+ * Resting limit orders fill in full, at their price, when a trade reaches it.
+ * Spot orders need the balances they spend, futures orders only check reduce
+ * only positions. Fees are charged on the asset received by spot fills and on
+ * the wallet by futures ones, none by default. Every change is reported to the
+ * listeners: `depth`, `trade`, `order` (with the execution) and `account`.
+ *
+ * @param {object} options
+ * @param {object[]} options.symbols `{ symbol, baseAsset, quoteAsset, tickSize, stepSize, minNotional }`
+ *     of both markets, more can be added from an exchange info with `addSymbol`
+ * @param {object} options.balances Spot balances by asset
+ * @param {string} options.futuresBalance Futures wallet balance in USDT
+ * @param {object} options.fees Fee rates by market, e.g. `{ spot: { maker: '0.001', taker: '0.001' } }`
+ * @param {function} options.getTime Exchange clock
+ * @returns {object} Exchange
+ */
+export const createMockExchange = ({
+    symbols = DEFAULT_SYMBOLS,
+    balances = DEFAULT_BALANCES,
+    futuresBalance = '100000',
+    fees = {},
+    getTime = Date.now,
+} = {}) => {
+    const listeners = []
+    const emit = event => listeners.forEach(listener => listener(event))
+
+    const markets = MARKETS.reduce((out, market) => {
+        out[market] = {
+            symbols: symbols.reduce((byName, info) => ((byName[info.symbol] = info), byName), {}),
+            books: {},
+            trades: {},
+            orders: [],
+            userTrades: [],
+        }
+        return out
+    }, {})
+
+    let nextOrderId = 1
+    let nextTradeId = 1
+    let nextUpdateId = 1
+
+    const spotBalances = Object.keys(balances).reduce((out, asset) => {
+        out[asset] = { free: new BigNumber(balances[asset]), locked: ZERO }
+        return out
+    }, {})
+    const futuresAccount = { walletBalance: new BigNumber(futuresBalance), positions: {} }
+
+    const getMarket = market => {
+        if (!markets[market]) {
+            throw new Error(`Unknown market ${market}, expected ${MARKETS.join(' or ')}.`)
+        }
+        return markets[market]
+    }
+
+    const getSymbol = (market, symbol) => {
+        if (!symbol) missingParam('symbol')
+        const info = getMarket(market).symbols[symbol]
+        return info || fail(-1121, 'Invalid symbol.')
+    }
+
+    const symbolOf = order => markets[order.market].symbols[order.symbol]
+
+    // Rate paid by a fill, in the fees of the market
+    const feeRate = (market, isMaker) =>
+        new BigNumber((fees[market] && fees[market][isMaker ? 'maker' : 'taker']) || 0)
+
+    const getBook = (market, symbol) => {
+        const books = getMarket(market).books
+        if (!books[symbol]) books[symbol] = { lastUpdateId: 0, bids: [], asks: [] }
+        return books[symbol]
+    }
+
+    const getTrades = (market, symbol) => {
+        const trades = getMarket(market).trades
+        if (!trades[symbol]) trades[symbol] = []
+        return trades[symbol]
+    }
+
+    // Last trade price, the middle of the book without trades, null without either
+    const getLastPrice = (market, symbol) => {
+        const trades = getTrades(market, symbol)
+        if (trades.length) return trades[trades.length - 1].price
+
+        const { bids, asks } = getBook(market, symbol)
+        if (bids.length && asks.length) {
+            return new BigNumber(bids[0][0]).plus(asks[0][0]).div(2).toFixed()
+        }
+        return bids.length ? bids[0][0] : asks.length ? asks[0][0] : null
+    }
+
+    const getBalance = asset => {
+        if (!spotBalances[asset]) spotBalances[asset] = { free: ZERO, locked: ZERO }
+        return spotBalances[asset]
+    }
+
+    const getPosition = symbol => {
+        const positions = futuresAccount.positions
+        if (!positions[symbol]) positions[symbol] = { amount: ZERO, entryPrice: ZERO }
+        return positions[symbol]
+    }
+
+    const emitAccount = market => emit({ type: 'account', market })
+
+    // Fills of a taker order against the levels of the book its limit price accepts
+    const takeLiquidity = (market, order, limitPrice) => {
+        const info = symbolOf(order)
+        const book = getBook(market, order.symbol)
+        const levels = order.side === 'BUY' ? book.asks : book.bids
+        const fills = []
+        let remaining = order.quantity.minus(order.executedQty)
+        let remainingQuote = order.quoteOrderQty
+
+        for (const [price, available] of levels) {
+            if (!acceptsPrice(order.side, limitPrice, price)) break
+
+            const wanted = remainingQuote
+                ? floorToStep(remainingQuote.div(price), info.stepSize)
+                : remaining
+            const quantity = BigNumber.min(wanted, available)
+            if (quantity.lte(0)) break
+
+            fills.push({ price: new BigNumber(price), quantity })
+            if (remainingQuote) {
+                remainingQuote = remainingQuote.minus(quantity.times(price))
+            } else {
+                remaining = remaining.minus(quantity)
+            }
+            // The level had more than the order wanted
+            if (quantity.lt(available)) break
+        }
+        return fills
+    }
+
+    const fillableQuantity = fills => fills.reduce((sum, fill) => sum.plus(fill.quantity), ZERO)
+
+    // Balance needed by a spot order, locked while it is open
+    const spotReserve = (order, fills) => {
+        if (order.side === 'SELL') {
+            return order.quantity
+        }
+        return order.type === 'MARKET'
+            ? fills.reduce((sum, fill) => sum.plus(fill.price.times(fill.quantity)), ZERO)
+            : order.quantity.times(order.price)
+    }
+
+    const reserveBalance = order => {
+        const info = symbolOf(order)
+        const asset = order.side === 'BUY' ? info.quoteAsset : info.baseAsset
+        const balance = getBalance(asset)
+        if (balance.free.lt(order.reserved)) {
+            fail(-2010, 'Account has insufficient balance for requested action.')
+        }
+        balance.free = balance.free.minus(order.reserved)
+        balance.locked = balance.locked.plus(order.reserved)
+    }
+
+    const releaseBalance = order => {
+        const info = symbolOf(order)
+        const balance = getBalance(order.side === 'BUY' ? info.quoteAsset : info.baseAsset)
+        balance.locked = balance.locked.minus(order.reserved)
+        balance.free = balance.free.plus(order.reserved)
+        order.reserved = ZERO
+    }
+
+    const settleSpotFill = (order, { price, quantity, commission }) => {
+        const info = symbolOf(order)
+        const cost = price.times(quantity)
+        const base = getBalance(info.baseAsset)
+        const quote = getBalance(info.quoteAsset)
+
+        if (order.side === 'BUY') {
+            const reserved = order.type === 'MARKET' ? cost : quantity.times(order.price)
+            quote.locked = quote.locked.minus(reserved)
+            quote.free = quote.free.plus(reserved).minus(cost)
+            base.free = base.free.plus(quantity).minus(commission)
+            order.reserved = order.reserved.minus(reserved)
+        } else {
+            base.locked = base.locked.minus(quantity)
+            quote.free = quote.free.plus(cost).minus(commission)
+            order.reserved = order.reserved.minus(quantity)
+        }
+    }
+
+    // Position and wallet after a futures fill, returns the realized profit
+    const settleFuturesFill = (order, { price, quantity, commission }) => {
+        const position = getPosition(order.symbol)
+        futuresAccount.walletBalance = futuresAccount.walletBalance.minus(commission)
+        const signed = order.side === 'BUY' ? quantity : quantity.negated()
+        const amount = position.amount
+
+        if (amount.isZero() || amount.isPositive() === signed.isPositive()) {
+            const size = amount.abs().plus(quantity)
+            position.entryPrice = amount
+                .abs()
+                .times(position.entryPrice)
+                .plus(quantity.times(price))
+                .div(size)
+            position.amount = amount.plus(signed)
+            return ZERO
+        }
+
+        const closed = BigNumber.min(amount.abs(), quantity)
+        const profit = price
+            .minus(position.entryPrice)
+            .times(closed)
+            .times(amount.isPositive() ? 1 : -1)
+        futuresAccount.walletBalance = futuresAccount.walletBalance.plus(profit)
+        position.amount = amount.plus(signed)
+        if (position.amount.isZero()) {
+            position.entryPrice = ZERO
+        } else if (position.amount.isPositive() !== amount.isPositive()) {
+            position.entryPrice = price
+        }
+        return profit
+    }
+
+    const applyFill = (market, order, { price, quantity }, isMaker) => {
+        const time = getTime()
+        const info = symbolOf(order)
+
+        // Spot buys pay their fee in the base asset they receive, the others in the quote one
+        const baseFee = market === 'spot' && order.side === 'BUY'
+        const commission = (baseFee ? quantity : price.times(quantity)).times(
+            feeRate(market, isMaker),
+        )
+        const fill = { price, quantity, commission }
+        const realizedProfit =
+            market === 'spot' ? (settleSpotFill(order, fill), ZERO) : settleFuturesFill(order, fill)
+
+        order.executedQty = order.executedQty.plus(fill.quantity)
+        order.cumQuote = order.cumQuote.plus(fill.price.times(fill.quantity))
+        order.status = order.executedQty.gte(order.quantity) ? 'FILLED' : 'PARTIALLY_FILLED'
+        order.updateTime = time
+
+        const trade = {
+            id: nextTradeId++,
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side,
+            price,
+            quantity,
+            commission,
+            commissionAsset: baseFee ? info.baseAsset : info.quoteAsset,
+            realizedProfit,
+            isMaker,
+            time,
+        }
+        getMarket(market).userTrades.push(trade)
+        emit({ type: 'order', market, order, executionType: 'TRADE', trade })
+    }
+
+    const closeOrder = (market, order, status) => {
+        order.status = status
+        order.updateTime = getTime()
+        if (market === 'spot') releaseBalance(order)
+        emit({ type: 'order', market, order, executionType: status })
+    }
+
+    const isOpen = order => order.status === 'NEW' || order.status === 'PARTIALLY_FILLED'
+
+    const findOrder = (market, { symbol, orderId, origClientOrderId }) => {
+        getSymbol(market, symbol)
+        if (orderId === undefined && !origClientOrderId) missingParam('orderId')
+
+        const order = getMarket(market).orders.find(
+            order =>
+                order.symbol === symbol &&
+                (orderId !== undefined
+                    ? String(order.orderId) === String(orderId)
+                    : order.clientOrderId === origClientOrderId),
+        )
+        return order || fail(-2013, 'Order does not exist.')
+    }
+
+    // Limit the quantity of a reduce only order to the position it reduces
+    const reduceOnlyQuantity = (order, quantity) => {
+        const amount = getPosition(order.symbol).amount
+        const reduces = order.side === 'BUY' ? amount.isNegative() : amount.isPositive()
+        if (amount.isZero() || !reduces) {
+            fail(-2022, 'ReduceOnly Order is rejected.')
+        }
+        return BigNumber.min(amount.abs(), quantity)
+    }
+
+    // Filters of the symbol, market orders against the last price
+    const checkFilters = (market, info, params) => {
+        try {
+            applySymbolFilters(params, symbolInfo(market, info), {
+                mode: 'validate',
+                referencePrice: getLastPrice(market, params.symbol) || undefined,
+            })
+        } catch (error) {
+            if (error instanceof BinanceFilterError) {
+                fail(-1013, `Filter failure: ${error.filterType}`)
+            }
+            throw error
+        }
+    }
+
+    const placeOrder = (market, params) => {
+        const info = getSymbol(market, params.symbol)
+        requireParams(params, ['side', 'type'])
+
+        const type = String(params.type).toUpperCase()
+        const side = String(params.side).toUpperCase()
+        const limit = type === 'LIMIT' || type === 'LIMIT_MAKER'
+        if (!['LIMIT', 'LIMIT_MAKER', 'MARKET'].includes(type)) {
+            fail(-1116, 'Invalid orderType.')
+        }
+        if (!['BUY', 'SELL'].includes(side)) {
+            fail(-1117, 'Invalid side.')
+        }
+        if (limit) requireParams(params, ['price'])
+        if (type === 'LIMIT') requireParams(params, ['timeInForce'])
+        const byQuote = market === 'spot' && type === 'MARKET' && params.quoteOrderQty
+        if (!byQuote) requireParams(params, ['quantity'])
+
+        const clientOrderId = params.newClientOrderId || `mock${nextOrderId}`
+        if (
+            getMarket(market).orders.some(
+                order => isOpen(order) && order.clientOrderId === clientOrderId,
+            )
+        ) {
+            fail(-2010, 'Duplicate order sent.')
+        }
+
+        checkFilters(market, info, params)
+
+        const time = getTime()
+        const order = {
+            market,
+            symbol: params.symbol,
+            orderId: nextOrderId++,
+            clientOrderId,
+            side,
+            type,
+            timeInForce: type === 'MARKET' ? 'GTC' : params.timeInForce || 'GTC',
+            price: limit ? new BigNumber(params.price) : ZERO,
+            quantity: new BigNumber(params.quantity || 0),
+            quoteOrderQty: byQuote ? new BigNumber(params.quoteOrderQty) : null,
+            reduceOnly: String(params.reduceOnly) === 'true',
+            executedQty: ZERO,
+            cumQuote: ZERO,
+            reserved: ZERO,
+            status: 'NEW',
+            time,
+            updateTime: time,
+        }
+
+        if (market === 'futures' && order.reduceOnly) {
+            order.quantity = reduceOnlyQuantity(order, order.quantity)
+        }
+
+        const fills = takeLiquidity(market, order, limit ? order.price : null)
+        if (order.quoteOrderQty) {
+            order.quantity = fillableQuantity(fills)
+        }
+
+        const postOnly = type === 'LIMIT_MAKER' || order.timeInForce === 'GTX'
+        if (postOnly && fills.length && market === 'spot') {
+            fail(-2010, 'Order would immediately match and take.')
+        }
+        if (type === 'MARKET' && !fills.length) {
+            fail(-2010, 'Market orders need liquidity in the order book.')
+        }
+
+        if (market === 'spot') {
+            order.reserved = spotReserve(order, fills)
+            reserveBalance(order)
+        }
+
+        getMarket(market).orders.push(order)
+        emit({ type: 'order', market, order, executionType: 'NEW' })
+
+        const fillOrKill = order.timeInForce === 'FOK' && fillableQuantity(fills).lt(order.quantity)
+        if (postOnly && fills.length) {
+            closeOrder(market, order, 'EXPIRED')
+        } else if (fillOrKill) {
+            closeOrder(market, order, 'EXPIRED')
+        } else {
+            fills.forEach(fill => applyFill(market, order, fill, false))
+            if (isOpen(order) && (type === 'MARKET' || order.timeInForce === 'IOC')) {
+                closeOrder(market, order, 'EXPIRED')
+            }
+        }
+
+        emitAccount(market)
+        return order
+    }
+
+    const cancelOrder = (market, params) => {
+        const order = findOrder(market, params)
+        if (!isOpen(order)) {
+            fail(-2011, 'Unknown order sent.')
+        }
+        closeOrder(market, order, 'CANCELED')
+        emitAccount(market)
+        return order
+    }
+
+    /**
+     * Change the price and quantity of an open futures limit order, keeping its
+     * id. A price crossing the book fills it like a new order.
+     */
+    const modifyOrder = (market, params) => {
+        const order = findOrder(market, params)
+        requireParams(params, ['side', 'quantity', 'price'])
+        if (!isOpen(order)) {
+            fail(-2013, 'Order does not exist.')
+        }
+        if (order.type !== 'LIMIT') {
+            fail(-1116, 'Invalid orderType.')
+        }
+        if (String(params.side).toUpperCase() !== order.side) {
+            fail(-1117, 'Invalid side.')
+        }
+        if (new BigNumber(params.quantity).lte(order.executedQty)) {
+            fail(-2027, 'Quantity is less than or equal to the executed quantity.')
+        }
+        checkFilters(market, getSymbol(market, order.symbol), { ...params, type: order.type })
+
+        order.price = new BigNumber(params.price)
+        order.quantity = new BigNumber(params.quantity)
+        order.updateTime = getTime()
+        emit({ type: 'order', market, order, executionType: 'AMENDMENT' })
+
+        takeLiquidity(market, order, order.price).forEach(fill =>
+            applyFill(market, order, fill, false),
+        )
+        emitAccount(market)
+        return order
+    }
+
+    const getOpenOrders = (market, { symbol } = {}) => {
+        if (symbol) getSymbol(market, symbol)
+        return getMarket(market).orders.filter(
+            order => isOpen(order) && (!symbol || order.symbol === symbol),
+        )
+    }
+
+    const cancelOpenOrders = (market, { symbol }) => {
+        const orders = getOpenOrders(market, { symbol: getSymbol(market, symbol).symbol })
+        orders.forEach(order => closeOrder(market, order, 'CANCELED'))
+        if (orders.length) emitAccount(market)
+        return orders
+    }
+
+    /**
+     * Replace the levels of a book, the changed levels are reported as a depth update
+     */
+    const setBook = (market, symbol, { bids = [], asks = [] }) => {
+        getSymbol(market, symbol)
+        const book = getBook(market, symbol)
+        const next = { bids: sortLevels(bids, 'bids'), asks: sortLevels(asks, 'asks') }
+        const update = {
+            firstUpdateId: nextUpdateId,
+            finalUpdateId: nextUpdateId,
+            previousUpdateId: book.lastUpdateId,
+            bids: diffLevels(book.bids, next.bids),
+            asks: diffLevels(book.asks, next.asks),
+        }
+        Object.assign(book, next, { lastUpdateId: nextUpdateId++ })
+        emit({ type: 'depth', market, symbol, update, book, time: getTime() })
+        return book
+    }
+
+    /**
+     * Add a market trade, resting orders its price reaches are filled
+     */
+    const addTrade = (market, symbol, { price, quantity, isBuyerMaker = false }) => {
+        getSymbol(market, symbol)
+        const trade = {
+            id: nextTradeId++,
+            symbol,
+            price: new BigNumber(price).toFixed(),
+            quantity: new BigNumber(quantity).toFixed(),
+            isBuyerMaker: Boolean(isBuyerMaker),
+            time: getTime(),
+        }
+        getTrades(market, symbol).push(trade)
+        emit({ type: 'trade', market, trade })
+
+        const reached = getOpenOrders(market, { symbol }).filter(order =>
+            acceptsPrice(order.side, order.price, trade.price),
+        )
+        reached.forEach(order =>
+            applyFill(
+                market,
+                order,
+                { price: order.price, quantity: order.quantity.minus(order.executedQty) },
+                true,
+            ),
+        )
+        if (reached.length) emitAccount(market)
+        return trade
+    }
+
+    /**
+     * Candles of the trades of a symbol, as `[openTime, open, high, low, close, ...]` arrays
+     */
+    const getCandles = (market, { symbol, interval, startTime, endTime, limit = 500 }) => {
+        getSymbol(market, symbol)
+        if (!interval) missingParam('interval')
+        const spec = parseInterval(interval)
+
+        const candles = getTrades(market, symbol)
+            .filter(
+                trade =>
+                    (!startTime || trade.time >= Number(startTime)) &&
+                    (!endTime || trade.time <= Number(endTime)),
+            )
+            .reduce((out, trade) => {
+                const openTime = alignTime(spec, trade.time)
+                const last = out[out.length - 1]
+                const candle =
+                    last && last.openTime === openTime
+                        ? last
+                        : out[out.push({ openTime, trades: [] }) - 1]
+                candle.trades.push(trade)
+                return out
+            }, [])
+
+        return candles.slice(-Number(limit)).map(candle => toCandle(spec, candle))
+    }
+
+    const toCandle = (spec, { openTime, trades }) => {
+        const prices = trades.map(trade => new BigNumber(trade.price))
+        const volume = trades.reduce((sum, trade) => sum.plus(trade.quantity), ZERO)
+        const quoteVolume = trades.reduce(
+            (sum, trade) => sum.plus(new BigNumber(trade.price).times(trade.quantity)),
+            ZERO,
+        )
+        const takerBuys = trades.filter(trade => !trade.isBuyerMaker)
+        return {
+            openTime,
+            closeTime: addIntervals(spec, openTime, 1) - 1,
+            open: prices[0],
+            high: BigNumber.max(...prices),
+            low: BigNumber.min(...prices),
+            close: prices[prices.length - 1],
+            volume,
+            quoteVolume,
+            trades: trades.length,
+            firstTradeId: trades[0].id,
+            lastTradeId: trades[trades.length - 1].id,
+            takerBuyVolume: takerBuys.reduce((sum, trade) => sum.plus(trade.quantity), ZERO),
+            takerBuyQuoteVolume: takerBuys.reduce(
+                (sum, trade) => sum.plus(new BigNumber(trade.price).times(trade.quantity)),
+                ZERO,
+            ),
+        }
+    }
+
+    const getExchangeInfo = market => ({
+        timezone: 'UTC',
+        serverTime: getTime(),
+        rateLimits: RATE_LIMITS,
+        exchangeFilters: [],
+        ...(market === 'futures' ? { assets: [], futuresType: 'U_MARGINED' } : {}),
+        symbols: Object.keys(getMarket(market).symbols).map(symbol =>
+            symbolInfo(market, getMarket(market).symbols[symbol]),
+        ),
+    })
+
+    const getPositions = () =>
+        Object.keys(futuresAccount.positions).map(symbol => {
+            const position = futuresAccount.positions[symbol]
+            const markPrice = new BigNumber(getLastPrice('futures', symbol) || 0)
+            return {
+                symbol,
+                amount: position.amount,
+                entryPrice: position.entryPrice,
+                markPrice,
+                unrealizedProfit: position.amount.isZero()
+                    ? ZERO
+                    : markPrice.minus(position.entryPrice).times(position.amount),
+            }
+        })
+
+    return {
+        getExchangeInfo,
+        getSymbol,
+
+        /**
+         * Add a symbol of a market from its exchange info, with its filters
+         */
+        addSymbol: (market, info) => {
+            getMarket(market).symbols[info.symbol] = fromExchangeInfo(info)
+        },
+        getBook,
+        getTrades,
+        getLastPrice,
+        getCandles,
+        setBook,
+        addTrade,
+        placeOrder,
+        modifyOrder,
+        cancelOrder,
+        cancelOpenOrders,
+        getOrder: findOrder,
+        getOpenOrders,
+        getOrders: (market, { symbol }) =>
+            getMarket(market).orders.filter(
+                order => order.symbol === getSymbol(market, symbol).symbol,
+            ),
+        getUserTrades: (market, { symbol }) =>
+            getMarket(market).userTrades.filter(
+                trade => trade.symbol === getSymbol(market, symbol).symbol,
+            ),
+        getBalances: () => spotBalances,
+        getFuturesAccount: () => ({
+            walletBalance: futuresAccount.walletBalance,
+            positions: getPositions(),
+        }),
+
+        /**
+         * Add a listener of the exchange events, returns a function removing it
+         */
+        onEvent: listener => {
+            listeners.push(listener)
+            return () => {
+                const index = listeners.indexOf(listener)
+                if (index !== -1) listeners.splice(index, 1)
+            }
+        },
+    }
+}
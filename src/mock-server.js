@@ -0,0 +1,590 @@
+import JSONbig from 'json-bigint'
+
+import { createMockExchange, formatAmount, MockExchangeError } from './mock-exchange'
+import {
+    createMockRoutes,
+    fail,
+    formatLevels,
+    klineEvent,
+    requireParam,
+    userEvent,
+} from './mock-api'
+
+const LISTEN_KEY_TTL = 60 * 60e3
+const DEFAULT_RECV_WINDOW = 5000
+
+// Stream connections by market, `/ws` like the spot streams, `/fws` for futures
+const STREAM_PATHS = { ws: 'spot', fws: 'futures' }
+
+const WS_API_PATH = '/ws-api/v3'
+const WS_FAPI_PATH = '/ws-fapi/v1'
+
+// REST routes of the WebSocket API methods
+const WS_API_ROUTES = {
+    exchangeInfo: 'GET /api/v3/exchangeInfo',
+    depth: 'GET /api/v3/depth',
+    'trades.recent': 'GET /api/v3/trades',
+    avgPrice: 'GET /api/v3/avgPrice',
+    'ticker.price': 'GET /api/v3/ticker/price',
+    'order.place': 'POST /api/v3/order',
+    'order.test': 'POST /api/v3/order/test',
+    'order.status': 'GET /api/v3/order',
+    'order.cancel': 'DELETE /api/v3/order',
+    'order.cancelReplace': 'POST /api/v3/order/cancelReplace',
+    'openOrders.status': 'GET /api/v3/openOrders',
+    'openOrders.cancelAll': 'DELETE /api/v3/openOrders',
+    allOrders: 'GET /api/v3/allOrders',
+    myTrades: 'GET /api/v3/myTrades',
+    'account.status': 'GET /api/v3/account',
+}
+
+// REST routes of the futures WebSocket API methods
+const WS_FAPI_ROUTES = {
+    depth: 'GET /fapi/v1/depth',
+    'ticker.price': 'GET /fapi/v1/ticker/price',
+    'order.place': 'POST /fapi/v1/order',
+    'order.modify': 'PUT /fapi/v1/order',
+    'order.status': 'GET /fapi/v1/order',
+    'order.cancel': 'DELETE /fapi/v1/order',
+    'account.position': 'GET /fapi/v2/positionRisk',
+    'v2/account.position': 'GET /fapi/v2/positionRisk',
+    'v2/account.balance': 'GET /fapi/v2/balance',
+    'v2/account.status': 'GET /fapi/v2/account',
+}
+
+// The mock server needs Node.js, its modules are only required when one starts
+const getNodeModules = () => {
+    if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+        throw new Error('The mock server is only supported in Node.js.')
+    }
+    return { http: require('http'), crypto: require('crypto'), ws: require('ws') }
+}
+
+const withoutSignature = text =>
+    text
+        .split('&')
+        .filter(part => part && !part.startsWith('signature='))
+        .join('&')
+
+const parseParams = text => Object.fromEntries(new URLSearchParams(text))
+
+/**
+ * Local Binance exchange for integration tests, serving the core spot and
+ * futures REST endpoints, the market and user data streams and the order,
+ * account and session methods of the spot and futures WebSocket APIs. Orders
+ * are matched by a mock exchange against the books and trades the tests set.
+ *
+ * Signed endpoints check the api key, timestamp and recvWindow and the HMAC
+ * signature of `apiSecret` or the Ed25519/RSA one of `publicKey`, answering
+ * with the codes of Binance.
+ *
+ * @param {object} options Options of the mock exchange, and:
+ * @param {string} options.apiKey Api key of the account, `mock-api-key` by default
+ * @param {string} options.apiSecret HMAC secret, `mock-api-secret` by default
+ * @param {string|object} options.publicKey Ed25519 or RSA public key, PEM or KeyObject
+ * @returns {object} Server, `start` resolves with the options pointing a client at it
+ */
+export const createMockServer = (options = {}) => {
+    const {
+        apiKey = 'mock-api-key',
+        apiSecret = options.publicKey ? null : 'mock-api-secret',
+        publicKey,
+        getTime = Date.now,
+    } = options
+
+    const exchange = createMockExchange({ ...options, getTime })
+    const requests = []
+    const listenKeys = {}
+    // Stream and user data stream connections, WebSocket API sessions
+    const streams = []
+    const sessions = []
+
+    let nodeModules = null
+    let httpServer = null
+    let wsServer = null
+    let nextSubscriptionId = 0
+    const sockets = []
+    const usedWeight = { minute: 0, count: 0 }
+
+    // Public key as a KeyObject, given one or a PEM
+    const getPublicKey = () =>
+        publicKey.type === 'public' ? publicKey : nodeModules.crypto.createPublicKey(publicKey)
+
+    const verifySignature = (payload, signature) => {
+        const { crypto } = nodeModules
+        if (publicKey) {
+            const key = getPublicKey()
+            const algorithm = key.asymmetricKeyType === 'rsa' ? 'RSA-SHA256' : null
+            return crypto.verify(
+                algorithm,
+                Buffer.from(payload),
+                key,
+                Buffer.from(signature, 'base64'),
+            )
+        }
+        const expected = crypto.createHmac('sha256', apiSecret).update(payload).digest('hex')
+        return expected === signature
+    }
+
+    const checkApiKey = key => {
+        if (!key) fail(-2014, 'API-key format invalid.', 401)
+        if (key !== apiKey) fail(-2015, 'Invalid API-key, IP, or permissions for action.', 401)
+    }
+
+    const checkTimestamp = params => {
+        const timestamp = Number(requireParam(params, 'timestamp'))
+        const recvWindow = Number(params.recvWindow || DEFAULT_RECV_WINDOW)
+        const now = getTime()
+        if (recvWindow > 60000) {
+            fail(-1131, 'recvWindow must be less than 60000')
+        }
+        if (timestamp < now - recvWindow || timestamp > now + 1000) {
+            fail(-1021, 'Timestamp for this request is outside of the recvWindow.')
+        }
+    }
+
+    const checkSignature = (params, payload) => {
+        checkTimestamp(params)
+        if (!verifySignature(payload, requireParam(params, 'signature'))) {
+            fail(-1022, 'Signature for this request is not valid.')
+        }
+    }
+
+    const createListenKey = market => {
+        const now = getTime()
+        const existing = Object.keys(listenKeys).find(
+            key => listenKeys[key].market === market && listenKeys[key].expires > now,
+        )
+        const listenKey = existing || nodeModules.crypto.randomBytes(32).toString('hex')
+        listenKeys[listenKey] = { market, expires: now + LISTEN_KEY_TTL }
+        return { listenKey }
+    }
+
+    const getListenKey = (market, params) => {
+        const entry = listenKeys[requireParam(params, 'listenKey')]
+        if (!entry || entry.market !== market || entry.expires <= getTime()) {
+            fail(-1125, 'This listenKey does not exist.')
+        }
+        return entry
+    }
+
+    const closeListenKey = (listenKey, event) => {
+        delete listenKeys[listenKey]
+        streams
+            .filter(stream => stream.listenKey === listenKey)
+            .forEach(stream => {
+                if (event) send(stream.socket, event)
+                stream.socket.close(1000, 'listenKey closed')
+            })
+    }
+
+    const routes = {
+        ...createMockRoutes(exchange, getTime),
+        'POST /api/v3/userDataStream': {
+            security: 'USER_STREAM',
+            handler: () => createListenKey('spot'),
+        },
+        'PUT /api/v3/userDataStream': {
+            security: 'USER_STREAM',
+            handler: params => {
+                getListenKey('spot', params).expires = getTime() + LISTEN_KEY_TTL
+                return {}
+            },
+        },
+        'DELETE /api/v3/userDataStream': {
+            security: 'USER_STREAM',
+            handler: params => {
+                getListenKey('spot', params)
+                closeListenKey(params.listenKey)
+                return {}
+            },
+        },
+        'POST /fapi/v1/listenKey': {
+            security: 'USER_STREAM',
+            handler: () => createListenKey('futures'),
+        },
+        'PUT /fapi/v1/listenKey': {
+            security: 'USER_STREAM',
+            handler: () => {
+                const listenKey = createListenKey('futures').listenKey
+                return { listenKey }
+            },
+        },
+        'DELETE /fapi/v1/listenKey': {
+            security: 'USER_STREAM',
+            handler: () => {
+                Object.keys(listenKeys)
+                    .filter(key => listenKeys[key].market === 'futures')
+                    .forEach(key => closeListenKey(key))
+                return {}
+            },
+        },
+    }
+
+    const countWeight = () => {
+        const minute = Math.floor(getTime() / 60e3)
+        if (usedWeight.minute !== minute) {
+            usedWeight.minute = minute
+            usedWeight.count = 0
+        }
+        return ++usedWeight.count
+    }
+
+    const handleRequest = (req, res, body) => {
+        const [path, query = ''] = req.url.split('?')
+        const params = { ...parseParams(query), ...parseParams(body) }
+        const route = routes[`${req.method} ${path}`]
+        const weight = countWeight()
+        requests.push({ method: req.method, path, params })
+
+        const reply = (status, data) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'x-mbx-used-weight': String(weight),
+                'x-mbx-used-weight-1m': String(weight),
+            })
+            res.end(JSONbig.stringify(data))
+        }
+
+        try {
+            if (!route) {
+                return reply(404, { code: -1000, msg: `Unknown endpoint ${req.method} ${path}.` })
+            }
+            if (route.security) {
+                checkApiKey(req.headers['x-mbx-apikey'])
+            }
+            if (route.security === 'SIGNED') {
+                checkSignature(params, `${withoutSignature(query)}${withoutSignature(body)}`)
+            }
+            return reply(200, route.handler(params))
+        } catch (error) {
+            if (error instanceof MockExchangeError) {
+                return reply(error.status, { code: error.code, msg: error.message })
+            }
+            return reply(500, { code: -1000, msg: error.message })
+        }
+    }
+
+    const send = (socket, data) => {
+        if (socket.readyState === 1) socket.send(JSONbig.stringify(data))
+    }
+
+    // Signed WebSocket API requests sign their params sorted by name
+    const checkWsApiSignature = params => {
+        checkApiKey(params.apiKey)
+        const payload = Object.keys(params)
+            .filter(key => key !== 'signature')
+            .sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&')
+        checkSignature(params, payload)
+    }
+
+    // Requests of a logged on session only need their timestamp
+    const checkWsApiRequest = (params, session) =>
+        session.apiKey && params.signature === undefined
+            ? checkTimestamp(params)
+            : checkWsApiSignature(params)
+
+    // WebSocket API methods answered by a REST route, with the same params and results
+    const routeMethods = table =>
+        Object.keys(table).reduce((out, method) => {
+            const route = routes[table[method]]
+            out[method] = (params, session) => {
+                if (route.security === 'SIGNED') checkWsApiRequest(params, session)
+                return route.handler(params)
+            }
+            return out
+        }, {})
+
+    const sessionStatus = session => ({
+        apiKey: session.apiKey,
+        authorizedSince: session.authorizedSince,
+        connectedSince: session.connectedSince,
+        returnRateLimits: true,
+        serverTime: getTime(),
+    })
+
+    // Session logon, only accepted for Ed25519 keys like on Binance
+    const sessionMethods = {
+        'session.logon': (params, session) => {
+            const key = publicKey && getPublicKey()
+            if (!key || key.asymmetricKeyType !== 'ed25519') {
+                fail(-4056, 'HMAC_SHA256 API key is not supported.')
+            }
+            checkWsApiSignature(params)
+            session.apiKey = params.apiKey
+            session.authorizedSince = getTime()
+            return sessionStatus(session)
+        },
+        'session.status': (params, session) => sessionStatus(session),
+        'session.logout': (params, session) => {
+            session.apiKey = null
+            session.authorizedSince = null
+            return sessionStatus(session)
+        },
+    }
+
+    const subscribeUser = session => {
+        const subscriptionId = nextSubscriptionId++
+        session.subscriptions.push(subscriptionId)
+        return { subscriptionId }
+    }
+
+    // WebSocket API methods of each path, by name, given the params and session of the request
+    const wsApiMethods = {
+        [WS_API_PATH]: {
+            ...routeMethods(WS_API_ROUTES),
+            ...sessionMethods,
+            ping: () => ({}),
+            time: () => ({ serverTime: getTime() }),
+            'userDataStream.subscribe.signature': (params, session) => {
+                checkWsApiSignature(params)
+                return subscribeUser(session)
+            },
+            'userDataStream.subscribe': (params, session) => {
+                if (!session.apiKey) {
+                    fail(-2015, 'Invalid API-key, IP, or permissions for action.', 401)
+                }
+                return subscribeUser(session)
+            },
+            'userDataStream.unsubscribe': (params, session) => {
+                session.subscriptions =
+                    params.subscriptionId === undefined
+                        ? []
+                        : session.subscriptions.filter(id => id !== Number(params.subscriptionId))
+                return {}
+            },
+        },
+        [WS_FAPI_PATH]: { ...routeMethods(WS_FAPI_ROUTES), ...sessionMethods },
+    }
+
+    const handleWsApiMessage = (session, text) => {
+        let message
+        try {
+            message = JSONbig.parse(text)
+        } catch (error) {
+            return send(session.socket, {
+                id: null,
+                status: 400,
+                error: { code: -1000, msg: 'Invalid JSON' },
+            })
+        }
+
+        const { id, method, params = {} } = message
+        const rateLimits = [
+            {
+                rateLimitType: 'REQUEST_WEIGHT',
+                interval: 'MINUTE',
+                intervalNum: 1,
+                limit: 6000,
+                count: countWeight(),
+            },
+        ]
+        try {
+            if (!session.methods[method]) {
+                fail(-1000, `Unknown method ${method}.`)
+            }
+            const result = session.methods[method](params, session)
+            send(session.socket, { id, status: 200, result, rateLimits })
+        } catch (error) {
+            const status = error instanceof MockExchangeError ? error.status : 500
+            send(session.socket, {
+                id,
+                status,
+                error: { code: error.code || -1000, msg: error.message },
+                rateLimits,
+            })
+        }
+    }
+
+    const handleConnection = (socket, req) => {
+        const [path] = req.url.split('?')
+
+        if (wsApiMethods[path]) {
+            const session = {
+                socket,
+                methods: wsApiMethods[path],
+                subscriptions: [],
+                apiKey: null,
+                authorizedSince: null,
+                connectedSince: getTime(),
+            }
+            sessions.push(session)
+            socket.on('message', data => handleWsApiMessage(session, String(data)))
+            socket.on('close', () => sessions.splice(sessions.indexOf(session), 1))
+            return
+        }
+
+        const [, prefix, name] = path.split('/')
+        const market = STREAM_PATHS[prefix]
+        const isStream = name && (name.includes('@') || name.startsWith('!'))
+        const listenKey = market && name && !isStream ? name : null
+
+        if (!market || !name || (listenKey && !listenKeys[listenKey])) {
+            socket.close(1008, 'Invalid stream')
+            return
+        }
+
+        const stream = { socket, market, name: isStream ? name : null, listenKey }
+        streams.push(stream)
+        socket.on('close', () => streams.splice(streams.indexOf(stream), 1))
+    }
+
+    // Market streams of a symbol, by kind: `depth`, `depth5`, `trade`, `kline_1m`...
+    const symbolStreams = (market, symbol) =>
+        streams
+            .filter(stream => stream.market === market && stream.name)
+            .map(stream => {
+                const [streamSymbol, kind] = stream.name.split('@')
+                return streamSymbol === symbol.toLowerCase() ? { ...stream, kind } : null
+            })
+            .filter(Boolean)
+
+    const userStreams = market =>
+        streams.filter(stream => stream.market === market && stream.listenKey)
+
+    const sendUserEvent = (market, event) => {
+        userStreams(market).forEach(stream => send(stream.socket, event))
+        if (market === 'spot') {
+            sessions.forEach(session =>
+                session.subscriptions.forEach(subscriptionId =>
+                    send(session.socket, { subscriptionId, event }),
+                ),
+            )
+        }
+    }
+
+    const depthEvent = (market, { symbol, update, book, time }, kind) => {
+        const level = Number(kind.slice('depth'.length))
+        if (market === 'spot' && level) {
+            return {
+                lastUpdateId: book.lastUpdateId,
+                bids: formatLevels(market, book.bids.slice(0, level)),
+                asks: formatLevels(market, book.asks.slice(0, level)),
+            }
+        }
+        return {
+            e: 'depthUpdate',
+            E: time,
+            ...(market === 'futures' ? { T: time } : {}),
+            s: symbol,
+            U: update.firstUpdateId,
+            u: update.finalUpdateId,
+            ...(market === 'futures' ? { pu: update.previousUpdateId } : {}),
+            b: formatLevels(market, level ? book.bids.slice(0, level) : update.bids),
+            a: formatLevels(market, level ? book.asks.slice(0, level) : update.asks),
+        }
+    }
+
+    const tradeEvent = (market, kind, trade) => {
+        const time = getTime()
+        if (kind.startsWith('kline_')) {
+            const interval = kind.slice('kline_'.length)
+            const [candle] = exchange.getCandles(market, {
+                symbol: trade.symbol,
+                interval,
+                limit: 1,
+            })
+            return klineEvent(market, trade.symbol, interval, candle, time)
+        }
+
+        const common = {
+            E: time,
+            s: trade.symbol,
+            p: formatAmount(market, trade.price),
+            q: formatAmount(market, trade.quantity),
+            T: trade.time,
+            m: trade.isBuyerMaker,
+        }
+        return kind === 'trade'
+            ? { e: 'trade', ...common, t: trade.id, M: true }
+            : { e: 'aggTrade', ...common, a: trade.id, f: trade.id, l: trade.id, M: true }
+    }
+
+    exchange.onEvent(event => {
+        const { market } = event
+        const time = getTime()
+
+        if (event.type === 'depth') {
+            symbolStreams(market, event.symbol)
+                .filter(stream => stream.kind.startsWith('depth'))
+                .forEach(stream => send(stream.socket, depthEvent(market, event, stream.kind)))
+        } else if (event.type === 'trade') {
+            symbolStreams(market, event.trade.symbol)
+                .filter(
+                    stream =>
+                        ['trade', 'aggTrade'].includes(stream.kind) ||
+                        stream.kind.startsWith('kline_'),
+                )
+                .forEach(stream =>
+                    send(stream.socket, tradeEvent(market, stream.kind, event.trade)),
+                )
+        } else {
+            sendUserEvent(market, userEvent(exchange, event, time))
+        }
+    })
+
+    return {
+        exchange,
+        /** Requests received, `{ method, path, params }` */
+        requests,
+
+        /**
+         * Listen on a local port, 0 picks a free one. Resolves with the client
+         * options of the server: `httpBase`, `httpFutures`, `wsBase`, `wsFutures`,
+         * `wsApi` and `wsFuturesApi`
+         */
+        start: (port = 0, host = '127.0.0.1') => {
+            nodeModules = getNodeModules()
+            httpServer = nodeModules.http.createServer((req, res) => {
+                let body = ''
+                req.on('data', chunk => (body += chunk))
+                req.on('end', () => handleRequest(req, res, body))
+            })
+            httpServer.on('connection', socket => {
+                sockets.push(socket)
+                socket.on('close', () => sockets.splice(sockets.indexOf(socket), 1))
+            })
+            wsServer = new nodeModules.ws.Server({ server: httpServer })
+            wsServer.on('connection', handleConnection)
+
+            return new Promise((resolve, reject) => {
+                httpServer.once('error', reject)
+                httpServer.listen(port, host, () => {
+                    const address = `${host}:${httpServer.address().port}`
+                    resolve({
+                        httpBase: `http://${address}`,
+                        httpFutures: `http://${address}`,
+                        wsBase: `ws://${address}/ws`,
+                        wsFutures: `ws://${address}/fws`,
+                        wsApi: `ws://${address}${WS_API_PATH}`,
+                        wsFuturesApi: `ws://${address}${WS_FAPI_PATH}`,
+                    })
+                })
+            })
+        },
+
+        /**
+         * Close every connection and stop listening
+         */
+        stop: () =>
+            new Promise(resolve => {
+                if (!httpServer) return resolve()
+                wsServer.clients.forEach(socket => socket.terminate())
+                wsServer.close()
+                sockets.forEach(socket => socket.destroy())
+                httpServer.close(() => resolve())
+                httpServer = null
+            }),
+
+        setBook: (symbol, book, market = 'spot') => exchange.setBook(market, symbol, book),
+        trade: (symbol, trade, market = 'spot') => exchange.addTrade(market, symbol, trade),
+
+        /**
+         * Expire a listen key, its streams get a `listenKeyExpired` event and are closed
+         */
+        expireListenKey: listenKey =>
+            closeListenKey(listenKey, { e: 'listenKeyExpired', E: getTime(), listenKey }),
+    }
+}
@@ -0,0 +1,2 @@
+// Entry point of `binance-api-node/mock`, kept apart so client bundles don't carry the mock exchange
+export { createMockServer } from 'mock-server'
@@ -0,0 +1,105 @@
+/* global BigInt */
+import BigNumber from 'bignumber.js'
+
+export const NUMBER_MODES = ['string', 'number', 'decimal', 'bigint']
+
+const NUMERIC_STRING = /^-?\d+(\.\d+)?$/
+const INTEGER_STRING = /^-?\d+$/
+
+// Fields holding identifiers or text which may only be made of digits
+const TEXT_KEYS =
+    /(client\w*id|^symbol|^pair|^asset|^coin|^network|^address\w*|^memo|^tag|^txid|^withdraworderid|^name|^listen\w*)$/i
+
+const toText = value =>
+    BigNumber.isBigNumber(value)
+        ? value.toFixed()
+        : typeof value === 'number'
+          ? new BigNumber(value).toFixed()
+          : String(value)
+
+const converters = {
+    string: toText,
+    number: value => (BigNumber.isBigNumber(value) ? value.toNumber() : Number(value)),
+    decimal: value => (BigNumber.isBigNumber(value) ? value : new BigNumber(toText(value))),
+    // Decimals can't be BigInts, they are kept as strings
+    bigint: value => {
+        const text = toText(value)
+        return INTEGER_STRING.test(text) ? BigInt(text) : text
+    },
+}
+
+const isNumeric = (value, key) =>
+    typeof value === 'number'
+        ? isFinite(value)
+        : typeof value === 'string'
+          ? NUMERIC_STRING.test(value) && !(key && TEXT_KEYS.test(key))
+          : BigNumber.isBigNumber(value)
+
+// Leaves errors, dates and BigNumbers alone
+const isPlainObject = value => {
+    if (!value || typeof value !== 'object') return false
+    const proto = Object.getPrototypeOf(value)
+    return proto === Object.prototype || proto === null
+}
+
+/**
+ * Converter giving every number of a parsed response one type: the JSON
+ * numbers, the BigNumbers of json-bigint and the numeric strings, except those
+ * of fields like client order ids, assets, addresses and tags.
+ *
+ * @param {string} mode `string`, `number`, `decimal` (BigNumber) or `bigint`
+ * (integers as BigInt, decimals as strings)
+ * @returns {function} Deep converter, returns new objects and arrays
+ */
+export const createNumberConverter = mode => {
+    if (!NUMBER_MODES.includes(mode)) {
+        throw new Error(`Unknown numbers mode ${mode}, expected ${NUMBER_MODES.join(', ')}.`)
+    }
+
+    const toNumber = converters[mode]
+
+    const convert = (value, key) => {
+        if (isNumeric(value, key)) {
+            return toNumber(value)
+        }
+        if (Array.isArray(value)) {
+            // Array items belong to the field of the array, like a list of client order ids
+            return value.map(item => convert(item, key))
+        }
+        if (isPlainObject(value)) {
+            return Object.keys(value).reduce((out, k) => {
+                out[k] = convert(value[k], k)
+                return out
+            }, {})
+        }
+        return value
+    }
+
+    return value => convert(value)
+}
+
+// Raw streams have no transformed events to convert
+const RAW_STREAMS = ['customSubStream', 'futuresCustomSubStream', 'deliveryCustomSubStream']
+
+/**
+ * Stream methods with their transformed events converted, the callback being
+ * the first function argument and the transform flag the argument after it
+ */
+export const convertEvents = (methods, convert) =>
+    Object.keys(methods).reduce((out, name) => {
+        const method = methods[name]
+        out[name] = RAW_STREAMS.includes(name)
+            ? method
+            : (...args) => {
+                  const index = args.findIndex(arg => typeof arg === 'function')
+                  if (index === -1 || args[index + 1] === false) {
+                      return method(...args)
+                  }
+
+                  const cb = args[index]
+                  const converted = [...args]
+                  converted[index] = event => cb(convert(event))
+                  return method(...converted)
+              }
+        return out
+    }, {})
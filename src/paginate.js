@@ -0,0 +1,189 @@
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const WEEK = 7 * DAY
+
+// Income ids are only unique by type
+const incomeKey = income => `${income.tranId}-${income.incomeType}`
+
+/**
+ * How to walk each history endpoint. `cursor` is the id param pages continue
+ * from, endpoints without one are walked by time. `window` is the longest
+ * startTime to endTime span the endpoint accepts, `maxLimit` the most items of
+ * a page, the default page size.
+ */
+export const paginators = {
+    myTrades: { cursor: 'fromId', id: 'id', time: 'time', window: DAY, maxLimit: 1000 },
+    allOrders: { cursor: 'orderId', id: 'orderId', time: 'time', window: DAY, maxLimit: 1000 },
+    aggTrades: { cursor: 'fromId', id: 'aggId', time: 'timestamp', window: HOUR, maxLimit: 1000 },
+    futuresAggTrades: {
+        cursor: 'fromId',
+        id: 'aggId',
+        time: 'timestamp',
+        window: HOUR,
+        maxLimit: 1000,
+    },
+    futuresUserTrades: { cursor: 'fromId', id: 'id', time: 'time', window: WEEK, maxLimit: 1000 },
+    futuresAllOrders: {
+        cursor: 'orderId',
+        id: 'orderId',
+        time: 'time',
+        window: WEEK,
+        maxLimit: 1000,
+    },
+    futuresIncome: { id: incomeKey, time: 'time', maxLimit: 1000 },
+    deliveryAggTrades: {
+        cursor: 'fromId',
+        id: 'aggId',
+        time: 'timestamp',
+        window: HOUR,
+        maxLimit: 1000,
+    },
+    deliveryUserTrades: { cursor: 'fromId', id: 'id', time: 'time', window: WEEK, maxLimit: 1000 },
+    deliveryAllOrders: {
+        cursor: 'orderId',
+        id: 'orderId',
+        time: 'time',
+        window: WEEK,
+        maxLimit: 100,
+    },
+    deliveryIncome: { id: incomeKey, time: 'time', maxLimit: 1000 },
+    marginMyTrades: { cursor: 'fromId', id: 'id', time: 'time', window: DAY, maxLimit: 1000 },
+    marginAllOrders: { cursor: 'orderId', id: 'orderId', time: 'time', window: DAY, maxLimit: 500 },
+}
+
+const getKey = (spec, item) => String(typeof spec.id === 'function' ? spec.id(item) : item[spec.id])
+
+/**
+ * Async iterator over every item of a history endpoint, fetching pages on demand.
+ *
+ * Endpoints with an id cursor are walked by time window from `startTime` until
+ * the first item, then by id. A cursor param in the payload wins over
+ * `startTime`, without either they start from the first id. Time only endpoints
+ * need `startTime` and move it to the last item of each page. Items repeated at
+ * page edges are only yielded once.
+ *
+ * @param {function} fetchPage Client method returning one page for a payload
+ * @param {object} spec Entry of `paginators`
+ * @param {object} payload Params of the endpoint, with optional `startTime` and `endTime`
+ * @param {function} now Clock bounding open ended time walks
+ * @returns {object} Async iterable iterator
+ */
+export const paginate = (fetchPage, spec, payload = {}, now = Date.now) => {
+    // A page shorter than the limit is the last one, so it can't be above the endpoint's
+    const { limit: requested = spec.maxLimit, ...params } = payload
+    const limit = Math.min(Number(requested), spec.maxLimit)
+    const endTime = params.endTime !== undefined ? Number(params.endTime) : null
+    const lastTime = () => (endTime !== null ? endTime : now())
+
+    let cursor = spec.cursor ? params[spec.cursor] : undefined
+    let windowStart =
+        params.startTime !== undefined && cursor === undefined ? Number(params.startTime) : null
+
+    if (!spec.cursor && windowStart === null) {
+        throw new Error('Paginating this endpoint requires a startTime parameter.')
+    }
+
+    // Start from the first id when there is neither a time nor an id to start from
+    if (spec.cursor && cursor === undefined && windowStart === null) {
+        cursor = 0
+    }
+
+    let buffer = []
+    let done = false
+    let previousKeys = {}
+
+    const dedupe = items => {
+        const keys = {}
+        const fresh = items.filter(item => {
+            const key = getKey(spec, item)
+            keys[key] = true
+            return !previousKeys[key]
+        })
+        previousKeys = keys
+        return fresh
+    }
+
+    const fetchByCursor = () => {
+        const query = { ...params, [spec.cursor]: cursor, limit }
+        delete query.startTime
+        delete query.endTime
+
+        return fetchPage(query).then(items => {
+            const inRange =
+                endTime === null ? items : items.filter(item => Number(item[spec.time]) <= endTime)
+
+            done = items.length < limit || inRange.length < items.length
+            if (items.length) {
+                cursor = Number(items[items.length - 1][spec.id]) + 1
+            }
+            buffer = dedupe(inRange)
+        })
+    }
+
+    const fetchByTime = () => {
+        const windowEnd = spec.window
+            ? Math.min(windowStart + spec.window - 1, lastTime())
+            : endTime !== null
+              ? endTime
+              : undefined
+        const query = { ...params, startTime: windowStart, limit }
+        delete query.endTime
+        if (windowEnd !== undefined) query.endTime = windowEnd
+
+        return fetchPage(query).then(items => {
+            buffer = dedupe(items)
+
+            if (spec.cursor && items.length) {
+                // Found the first item, ids are faster to walk than time windows
+                cursor = Number(items[items.length - 1][spec.id]) + 1
+                done = items.length < limit && windowEnd >= lastTime()
+                if (!done) windowStart = null
+                return
+            }
+
+            if (items.length === limit) {
+                // Continue from the last item, its siblings at the same time are deduplicated.
+                // A page with nothing new can only be left by moving past its last time.
+                const last = Number(items[items.length - 1][spec.time])
+                windowStart = buffer.length ? last : last + 1
+            } else if (windowEnd === undefined) {
+                done = true
+                return
+            } else {
+                windowStart = windowEnd + 1
+            }
+
+            done = windowStart > lastTime()
+        })
+    }
+
+    const step = () => {
+        if (buffer.length) {
+            return Promise.resolve({ value: buffer.shift(), done: false })
+        }
+        if (done) {
+            return Promise.resolve({ value: undefined, done: true })
+        }
+        return (windowStart === null ? fetchByCursor() : fetchByTime()).then(step)
+    }
+
+    // Calls to next() are queued so concurrent readers never fetch the same page
+    let pending = Promise.resolve()
+
+    return {
+        next: () => (pending = pending.then(step, step)),
+        // eslint-disable-next-line no-undef
+        [Symbol.asyncIterator]() {
+            return this
+        },
+    }
+}
+
+/**
+ * `iterate` helpers of a client, one per paginated method
+ */
+export const createIterators = methods =>
+    Object.keys(paginators).reduce((out, name) => {
+        out[name] = payload => paginate(methods[name], paginators[name], payload)
+        return out
+    }, {})
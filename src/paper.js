@@ -0,0 +1,235 @@
+import JSONbig from 'json-bigint'
+
+import httpMethods, { fetch } from './http-client'
+import wsMethods, { userEventHandler } from './websocket'
+import { describeRequest } from './errors'
+import { createResponse } from './cassette'
+import { createMockExchange, MockExchangeError } from './mock-exchange'
+import { createMockRoutes, userEvent } from './mock-api'
+import { convertEvents, createNumberConverter } from './numbers'
+
+// Binance default fee rates of regular accounts
+const DEFAULT_FEES = {
+    spot: { maker: '0.001', taker: '0.001' },
+    futures: { maker: '0.0002', taker: '0.0005' },
+}
+
+const DEFAULT_BALANCES = { USDT: '10000' }
+
+const DEPTH_LEVEL = 20
+
+// Time an order waits for the first book of its symbol
+const DEFAULT_BOOK_TIMEOUT = 10e3
+
+const getPaperOptions = paper => (paper === true || !paper ? {} : paper)
+
+const getMarket = endpoint => (endpoint.startsWith('/fapi/') ? 'futures' : 'spot')
+
+const jsonResponse = (url, status, data) =>
+    createResponse(url, {
+        status,
+        statusText: status === 200 ? 'OK' : 'Bad Request',
+        headers: { 'content-type': 'application/json' },
+        body: JSONbig.stringify(data),
+    })
+
+/**
+ * Client trading against a local matching engine instead of the account.
+ *
+ * Orders, cancellations and account requests of the spot and USDⓈ-M futures
+ * apis are answered by a mock exchange holding simulated balances and
+ * positions, with the same methods and results as the regular client. Other
+ * public requests are sent as usual, other signed ones are rejected so nothing
+ * reaches the account. Orders fill against the books and trades of the
+ * `ws.partialDepth` and `ws.trades` streams of their symbol, subscribed on
+ * their first order, or against the data given to `client.paper` with
+ * `marketData` false. Fills pay the fees and are sent to the `ws.user` and
+ * `ws.futuresUser` callbacks as user data stream events.
+ *
+ * @param {object} opts Client options, with `paper` being true or:
+ * @param {object} opts.paper.balances Spot balances by asset, 10000 USDT by default
+ * @param {string} opts.paper.futuresBalance Futures wallet balance in USDT, 10000 by default
+ * @param {object} opts.paper.fees Fee rates by market, `{ spot: { maker, taker }, futures: {...} }`
+ * @param {boolean} opts.paper.marketData Subscribe to the market streams, true by default
+ * @param {number} opts.paper.bookTimeout Time an order waits for the first book of its symbol
+ * @returns {object} Client, with `paper` to feed and inspect the simulation
+ */
+export const createPaperClient = (opts = {}) => {
+    const {
+        balances = DEFAULT_BALANCES,
+        futuresBalance = '10000',
+        fees = DEFAULT_FEES,
+        marketData = true,
+        bookTimeout = DEFAULT_BOOK_TIMEOUT,
+    } = getPaperOptions(opts.paper)
+    const getTime = opts.getTime || Date.now
+
+    const exchange = createMockExchange({ symbols: [], balances, futuresBalance, fees, getTime })
+    const routes = createMockRoutes(exchange, getTime)
+
+    // Symbols are loaded from the exchange info by a client without the paper options.
+    // The matching engine reads the filters as Binance sends them, so this client has
+    // no `numbers` conversion: its exchange info differs from the one of `client`.
+    const live = httpMethods({ ...opts, paper: undefined, numbers: undefined, dryRun: undefined })
+    const ws = wsMethods(opts)
+    // node-fetch in Node.js, which honours the proxy and keep-alive agent of the requests
+    const liveFetch = opts.fetch || fetch
+
+    const watched = {}
+    const subscriptions = []
+
+    const hasSymbol = (market, symbol) => {
+        try {
+            return Boolean(exchange.getSymbol(market, symbol))
+        } catch (error) {
+            return false
+        }
+    }
+
+    const loadSymbol = (market, symbol) =>
+        (market === 'spot' ? live.exchangeInfo({ symbol }) : live.futuresExchangeInfo()).then(
+            info => {
+                const found = info.symbols.find(s => s.symbol === symbol)
+                if (found) exchange.addSymbol(market, found)
+            },
+        )
+
+    // Feed the book and trades of a symbol from its streams, resolves with the first book
+    const subscribe = (market, symbol) =>
+        new Promise(resolve => {
+            const timer = setTimeout(resolve, bookTimeout)
+            const setBook = book => {
+                exchange.setBook(market, symbol, book)
+                clearTimeout(timer)
+                resolve()
+            }
+
+            if (market === 'spot') {
+                subscriptions.push(
+                    ws.partialDepth({ symbol, level: DEPTH_LEVEL }, setBook),
+                    ws.trades(symbol, trade => exchange.addTrade(market, symbol, trade)),
+                )
+            } else {
+                subscriptions.push(
+                    ws.futuresPartialDepth({ symbol, level: DEPTH_LEVEL }, depth =>
+                        setBook({ bids: depth.bidDepth, asks: depth.askDepth }),
+                    ),
+                    ws.futuresAggTrades(symbol, trade => exchange.addTrade(market, symbol, trade)),
+                )
+            }
+        })
+
+    // Load a symbol and subscribe to its market data once
+    const watch = (market, symbol) => {
+        if (!symbol) {
+            return Promise.resolve()
+        }
+
+        const key = `${market} ${symbol}`
+        if (!watched[key]) {
+            watched[key] = (
+                hasSymbol(market, symbol) ? Promise.resolve() : loadSymbol(market, symbol)
+            )
+                .then(() =>
+                    marketData && hasSymbol(market, symbol) ? subscribe(market, symbol) : null,
+                )
+                .catch(error => {
+                    delete watched[key]
+                    throw error
+                })
+        }
+        return watched[key]
+    }
+
+    const paperFetch = (url, options = {}) => {
+        const { method, endpoint, params } = describeRequest(url, options.method, options.body)
+        const route = routes[`${method} ${endpoint}`]
+
+        if (!route || !route.security) {
+            if (params.signature) {
+                return Promise.resolve(
+                    jsonResponse(url, 400, {
+                        code: -1000,
+                        msg: `Paper trading does not simulate ${method} ${endpoint}.`,
+                    }),
+                )
+            }
+            return liveFetch(url, options)
+        }
+
+        return watch(getMarket(endpoint), params.symbol).then(() => {
+            try {
+                return jsonResponse(url, 200, route.handler(params))
+            } catch (error) {
+                if (error instanceof MockExchangeError) {
+                    return jsonResponse(url, error.status, { code: error.code, msg: error.message })
+                }
+                throw error
+            }
+        })
+    }
+
+    // User data stream of a market, from the events of the exchange
+    const user =
+        market =>
+        (cb, transform = true) => {
+            const handler = userEventHandler(cb, transform, market === 'spot' ? undefined : market)
+            const remove = exchange.onEvent(event => {
+                const data = event.market === market && userEvent(exchange, event, getTime())
+                // Sent after the request resolving, like the events of the streams
+                if (data) setTimeout(() => handler({ data: JSONbig.stringify(data) }))
+            })
+            return Promise.resolve(() => remove())
+        }
+
+    // Converted by the `numbers` option like the events of the live streams
+    const userStreams = { user: user('spot'), futuresUser: user('futures') }
+
+    const client = httpMethods({
+        ...opts,
+        apiKey: opts.apiKey || 'paper',
+        apiSecret: opts.apiSecret || (opts.privateKey || opts.signer ? undefined : 'paper'),
+        fetch: paperFetch,
+    })
+
+    return {
+        ...client,
+        ws: {
+            ...ws,
+            ...(opts.numbers
+                ? convertEvents(userStreams, createNumberConverter(opts.numbers))
+                : userStreams),
+        },
+        paper: {
+            exchange,
+
+            /**
+             * Load a symbol, and subscribe to its market data unless `marketData` is false
+             */
+            watch: (symbol, market = 'spot') => watch(market, symbol),
+
+            /**
+             * Replace the book of a symbol, with `[price, quantity]` or `{ price, quantity }`
+             * levels like the `ws.partialDepth` and `ws.futuresPartialDepth` payloads
+             */
+            setBook: (symbol, book, market = 'spot') =>
+                watch(market, symbol).then(() =>
+                    exchange.setBook(market, symbol, {
+                        bids: book.bids || book.bidDepth,
+                        asks: book.asks || book.askDepth,
+                    }),
+                ),
+
+            /**
+             * Add a market trade like the `ws.trades` payloads, filling the resting orders it reaches
+             */
+            trade: (symbol, trade, market = 'spot') =>
+                watch(market, symbol).then(() => exchange.addTrade(market, symbol, trade)),
+
+            /**
+             * Close the market data subscriptions
+             */
+            close: () => subscriptions.splice(0).forEach(close => close()),
+        },
+    }
+}
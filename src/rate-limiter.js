@@ -0,0 +1,449 @@
+import { BinanceRateLimitError, createAbortError } from './errors'
+import { getApiDomain } from './api-domain'
+
+const INTERVALS = {
+    SECOND: 1000,
+    MINUTE: 60e3,
+    HOUR: 3600e3,
+    DAY: 86400e3,
+}
+
+const HEADER_INTERVALS = {
+    s: INTERVALS.SECOND,
+    m: INTERVALS.MINUTE,
+    h: INTERVALS.HOUR,
+    d: INTERVALS.DAY,
+}
+
+/**
+ * Limits used until the real ones are read from exchangeInfo
+ */
+export const defaultRateLimits = {
+    spot: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000 },
+        { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 100 },
+        { rateLimitType: 'ORDERS', interval: 'DAY', intervalNum: 1, limit: 200000 },
+        { rateLimitType: 'RAW_REQUESTS', interval: 'MINUTE', intervalNum: 5, limit: 61000 },
+    ],
+    futures: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 2400 },
+        { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+        { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 300 },
+    ],
+    delivery: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 2400 },
+        { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+    ],
+    portfolioMargin: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000 },
+        { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+    ],
+}
+
+/**
+ * Api domain a path belongs to. The /sapi endpoints have their own per-endpoint
+ * limits and are not tracked.
+ */
+export const getRateLimitDomain = path => {
+    const domain = getApiDomain(path)
+    return domain !== 'spot' || path.startsWith('/api') ? domain : null
+}
+
+const byLimit = (steps, fallback) => data => {
+    const limit = data && data.limit ? Number(data.limit) : fallback
+    const step = steps.find(([max]) => limit <= max)
+    return step ? step[1] : steps[steps.length - 1][1]
+}
+
+const bySymbol = (withSymbol, without) => data =>
+    data && (data.symbol || data.pair) ? withSymbol : without
+
+const spotDepth = byLimit(
+    [
+        [100, 5],
+        [500, 25],
+        [1000, 50],
+        [5000, 250],
+    ],
+    100,
+)
+
+const contractDepth = byLimit(
+    [
+        [50, 2],
+        [100, 5],
+        [500, 10],
+        [1000, 20],
+    ],
+    500,
+)
+
+const contractKlines = byLimit(
+    [
+        [99, 1],
+        [499, 2],
+        [1000, 5],
+        [1500, 10],
+    ],
+    500,
+)
+
+/**
+ * Request weight of the endpoints, by path or `METHOD path`. Endpoints not
+ * listed weigh 1.
+ */
+export const endpointWeights = {
+    // Spot
+    '/api/v3/depth': spotDepth,
+    '/api/v3/trades': 25,
+    '/api/v3/historicalTrades': 25,
+    '/api/v3/aggTrades': 4,
+    '/api/v3/klines': 2,
+    '/api/v3/avgPrice': 2,
+    '/api/v3/ticker/24hr': bySymbol(2, 80),
+    '/api/v3/ticker/price': bySymbol(2, 4),
+    '/api/v3/ticker/bookTicker': bySymbol(2, 4),
+    '/api/v3/exchangeInfo': 20,
+    'GET /api/v3/order': 4,
+    'GET /api/v3/openOrders': bySymbol(6, 80),
+    'GET /api/v3/orderList': 4,
+    '/api/v3/allOrders': 20,
+    '/api/v3/allOrderList': 20,
+    '/api/v3/account': 20,
+    '/api/v3/myTrades': 20,
+    '/api/v3/userDataStream': 2,
+
+    // USD-M futures
+    '/fapi/v1/depth': contractDepth,
+    '/fapi/v1/rpiDepth': 20,
+    '/fapi/v1/klines': contractKlines,
+    '/fapi/v1/markPriceKlines': contractKlines,
+    '/fapi/v1/indexPriceKlines': contractKlines,
+    '/fapi/v1/trades': 5,
+    '/fapi/v1/aggTrades': 20,
+    '/fapi/v1/ticker/24hr': bySymbol(1, 40),
+    '/fapi/v1/ticker/price': bySymbol(1, 2),
+    '/fapi/v1/ticker/bookTicker': bySymbol(2, 5),
+    '/fapi/v1/allForceOrders': bySymbol(20, 50),
+    'POST /fapi/v1/batchOrders': 5,
+    'PUT /fapi/v1/batchOrders': 5,
+    'GET /fapi/v1/openOrders': bySymbol(1, 40),
+    'GET /fapi/v1/allOrders': 5,
+    '/fapi/v2/account': 5,
+    '/fapi/v2/balance': 5,
+    '/fapi/v2/positionRisk': 5,
+    '/fapi/v1/userTrades': 5,
+    '/fapi/v1/income': 30,
+    '/fapi/v1/commissionRate': 20,
+    '/fapi/v1/positionSide/dual': 30,
+    '/fapi/v1/multiAssetsMargin': 30,
+
+    // COIN-M futures
+    '/dapi/v1/depth': contractDepth,
+    '/dapi/v1/klines': contractKlines,
+    '/dapi/v1/markPriceKlines': contractKlines,
+    '/dapi/v1/indexPriceKlines': contractKlines,
+    '/dapi/v1/trades': 5,
+    '/dapi/v1/aggTrades': 20,
+    '/dapi/v1/ticker/24hr': bySymbol(1, 40),
+    '/dapi/v1/ticker/price': bySymbol(1, 2),
+    '/dapi/v1/ticker/bookTicker': bySymbol(2, 5),
+    '/dapi/v1/allForceOrders': bySymbol(20, 50),
+    'POST /dapi/v1/batchOrders': 5,
+    'GET /dapi/v1/openOrders': bySymbol(1, 40),
+    'GET /dapi/v1/allOrders': bySymbol(20, 40),
+    '/dapi/v1/account': 5,
+    '/dapi/v1/userTrades': bySymbol(20, 40),
+    '/dapi/v1/income': 20,
+
+    // Portfolio margin
+    '/papi/v1/account': 20,
+    '/papi/v1/balance': 20,
+    'GET /papi/v1/um/openOrders': bySymbol(1, 40),
+    'GET /papi/v1/cm/openOrders': bySymbol(1, 40),
+    '/papi/v1/um/allOrders': 5,
+    '/papi/v1/cm/allOrders': bySymbol(20, 40),
+    '/papi/v1/um/userTrades': 5,
+    '/papi/v1/cm/userTrades': bySymbol(20, 40),
+    '/papi/v1/margin/allOrders': 100,
+    '/papi/v1/margin/myTrades': 5,
+}
+
+const ORDER_PATH = /\/(order|batchOrders|orderList|algoOrder|sor)(\/|$)/
+
+/**
+ * Calls placing or amending orders, they count against the ORDERS limits
+ */
+export const isOrderCall = (path, method) =>
+    (method === 'POST' || method === 'PUT') && ORDER_PATH.test(path) && !path.endsWith('/test')
+
+export const getEndpointWeight = (path, method = 'GET', data, weights = endpointWeights) => {
+    const weight = weights[`${method} ${path}`] || weights[path] || 1
+    return typeof weight === 'function' ? weight(data) : weight
+}
+
+const toLimits = rateLimits =>
+    rateLimits.map(({ rateLimitType, interval, intervalNum = 1, limit }) => ({
+        type: rateLimitType,
+        interval: INTERVALS[interval] * intervalNum,
+        limit,
+        used: 0,
+        windowStart: 0,
+    }))
+
+// Binance counts usage in fixed windows aligned on the clock
+const rollWindow = (limit, now) => {
+    const windowStart = Math.floor(now / limit.interval) * limit.interval
+    if (windowStart !== limit.windowStart) {
+        limit.windowStart = windowStart
+        limit.used = 0
+    }
+}
+
+const getCost = (limit, cost) =>
+    limit.type === 'REQUEST_WEIGHT'
+        ? cost.weight
+        : limit.type === 'ORDERS'
+          ? cost.orders
+          : limit.type === 'RAW_REQUESTS'
+            ? 1
+            : 0
+
+const createRateLimitError = (domain, limit, waitTime) =>
+    new BinanceRateLimitError(
+        `Rate limit would be exceeded: ${limit.type} ${limit.used}/${limit.limit} per ${
+            limit.interval / 1000
+        }s on ${domain}`,
+        { domain, rateLimitType: limit.type, waitTime },
+    )
+
+/**
+ * Client side limiter keeping each api domain under its request weight and
+ * order limits.
+ *
+ * @param {object} options
+ * @param {string} options.mode `queue` to delay calls until they fit, `reject` to fail them
+ * @param {number} options.margin Share of each limit kept in reserve, 0.1 by default
+ * @param {object} options.weights Extra or overridden endpoint weights
+ * @param {object} options.limits Limits by domain, in the exchangeInfo `rateLimits` format
+ * @param {function} options.loadLimits Fetches exchangeInfo for a domain
+ * @param {function} options.now Clock, defaults to Date.now
+ */
+export const createRateLimiter = ({
+    mode = 'queue',
+    margin = 0.1,
+    weights = {},
+    limits = {},
+    loadLimits,
+    now = Date.now,
+} = {}) => {
+    const allWeights = { ...endpointWeights, ...weights }
+    const domains = {}
+
+    const getDomain = name => {
+        if (!domains[name]) {
+            domains[name] = {
+                limits: toLimits(limits[name] || defaultRateLimits[name]),
+                queue: [],
+                timer: null,
+            }
+        }
+        return domains[name]
+    }
+
+    const getMax = limit => Math.floor(limit.limit * (1 - margin))
+
+    // Reserve the cost if it fits in every window, else return the time to wait
+    const reserve = (name, cost) => {
+        const domain = getDomain(name)
+        const time = now()
+        let wait = 0
+
+        for (const limit of domain.limits) {
+            rollWindow(limit, time)
+            const amount = getCost(limit, cost)
+            if (amount && limit.used + amount > getMax(limit)) {
+                if (amount > getMax(limit)) {
+                    throw createRateLimitError(name, limit, null)
+                }
+                wait = Math.max(wait, limit.windowStart + limit.interval - time, 1)
+            }
+        }
+
+        if (!wait) {
+            domain.limits.forEach(limit => (limit.used += getCost(limit, cost)))
+        }
+
+        return wait
+    }
+
+    const processQueue = name => {
+        const domain = getDomain(name)
+        domain.timer = null
+
+        while (domain.queue.length) {
+            const entry = domain.queue[0]
+            let wait
+            try {
+                wait = reserve(name, entry.cost)
+            } catch (err) {
+                domain.queue.shift()
+                entry.reject(err)
+                continue
+            }
+
+            if (wait) {
+                domain.timer = setTimeout(() => processQueue(name), wait)
+                return
+            }
+
+            domain.queue.shift()
+            entry.resolve()
+        }
+    }
+
+    /**
+     * Wait until a call fits within the limits of its domain
+     *
+     * @param {string} path Endpoint path
+     * @param {string} method HTTP verb
+     * @param {object} data Payload, some weights depend on it
+     * @param {AbortSignal} signal Gives up waiting
+     * @returns {Promise} Resolves once the call can be sent
+     */
+    const acquire = (path, method = 'GET', data, signal) => {
+        const name = getRateLimitDomain(path)
+        if (!name) return Promise.resolve()
+
+        const cost = {
+            weight: getEndpointWeight(path, method, data, allWeights),
+            orders: isOrderCall(path, method) ? 1 : 0,
+        }
+        const domain = getDomain(name)
+
+        if (!domain.queue.length) {
+            let wait
+            try {
+                wait = reserve(name, cost)
+            } catch (err) {
+                return Promise.reject(err)
+            }
+            if (!wait) return Promise.resolve()
+
+            if (mode === 'reject') {
+                const limit = domain.limits.find(
+                    l => getCost(l, cost) && l.used + getCost(l, cost) > getMax(l),
+                )
+                return Promise.reject(createRateLimitError(name, limit, wait))
+            }
+        } else if (mode === 'reject') {
+            return Promise.reject(createRateLimitError(name, domain.limits[0], null))
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { cost, resolve, reject }
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = domain.queue.indexOf(entry)
+                    if (index !== -1) {
+                        domain.queue.splice(index, 1)
+                        reject(createAbortError())
+                    }
+                }
+                signal.addEventListener('abort', onAbort)
+                entry.resolve = () => {
+                    signal.removeEventListener('abort', onAbort)
+                    resolve()
+                }
+            }
+
+            domain.queue.push(entry)
+            if (!domain.timer) processQueue(name)
+        })
+    }
+
+    /**
+     * Sync usage with the `x-mbx-used-weight-*` and `x-mbx-order-count-*`
+     * headers, they also count calls made by other clients on the same IP/account
+     */
+    const update = (path, headers) => {
+        const name = getRateLimitDomain(path)
+        if (!name || !headers) return
+
+        const domain = getDomain(name)
+        const time = now()
+
+        headers.forEach((value, key) => {
+            const match = key.toLowerCase().match(/^x-mbx-(used-weight|order-count)-(\d+)([smhd])$/)
+            if (!match) return
+
+            const type = match[1] === 'used-weight' ? 'REQUEST_WEIGHT' : 'ORDERS'
+            const interval = Number(match[2]) * HEADER_INTERVALS[match[3]]
+            const limit = domain.limits.find(l => l.type === type && l.interval === interval)
+
+            if (limit) {
+                rollWindow(limit, time)
+                limit.used = Math.max(limit.used, Number(value))
+            }
+        })
+    }
+
+    /**
+     * Replace the limits of a domain with the `rateLimits` of its exchangeInfo
+     */
+    const setLimits = (name, rateLimits) => {
+        if (!rateLimits || !rateLimits.length) return
+
+        const domain = getDomain(name)
+        const previous = domain.limits
+        domain.limits = toLimits(rateLimits)
+
+        // Keep the usage already counted in the current windows
+        domain.limits.forEach(limit => {
+            const match = previous.find(l => l.type === limit.type && l.interval === limit.interval)
+            if (match) {
+                limit.used = match.used
+                limit.windowStart = match.windowStart
+            }
+        })
+    }
+
+    return {
+        acquire,
+        update,
+        setLimits,
+
+        /**
+         * Read the limits of the spot, futures and delivery domains from their exchangeInfo
+         */
+        loadLimits: (names = ['spot', 'futures', 'delivery']) =>
+            Promise.all(
+                names.map(name =>
+                    loadLimits(name).then(info => setLimits(name, info && info.rateLimits)),
+                ),
+            ),
+
+        /**
+         * Current usage of every domain
+         */
+        usage: () => {
+            const time = now()
+            return Object.keys(domains).reduce((out, name) => {
+                out[name] = {
+                    queued: domains[name].queue.length,
+                    limits: domains[name].limits.map(limit => {
+                        rollWindow(limit, time)
+                        return {
+                            rateLimitType: limit.type,
+                            interval: limit.interval,
+                            limit: limit.limit,
+                            used: limit.used,
+                        }
+                    }),
+                }
+                return out
+            }, {})
+        },
+    }
+}
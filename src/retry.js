@@ -0,0 +1,104 @@
+import { ErrorCodes, createAbortError } from './errors'
+
+const defaultRetryOptions = {
+    retries: 3,
+    minDelay: 500,
+    maxDelay: 30e3,
+    factor: 2,
+    jitter: true,
+    retryPost: false,
+    onRetry: null,
+}
+
+/**
+ * Normalize the `retry` client option, `true` or a number of retries enable the
+ * default policy, an object overrides parts of it
+ */
+export const getRetryOptions = retry => {
+    if (!retry) return null
+    if (retry === true) return defaultRetryOptions
+    if (typeof retry === 'number') return { ...defaultRetryOptions, retries: retry }
+    return { ...defaultRetryOptions, ...retry }
+}
+
+// Binance rejects rate limited requests before processing them
+const isRateLimited = error => error.status === 429 || error.code === ErrorCodes.TOO_MANY_REQUESTS
+
+/**
+ * Decide if a failed call can be sent again. 5xx, -1007 and timeouts mean the
+ * execution status is unknown, so POSTs (orders, withdrawals...) are only
+ * replayed when they were rejected for rate limits, unless `retryPost` is set
+ */
+export const shouldRetry = (error, method, options) => {
+    // IP ban, hitting the api again only extends it
+    if (error.status === 418) return false
+
+    if (isRateLimited(error)) return true
+    if (method === 'POST' && !options.retryPost) return false
+
+    return typeof error.isRetryable === 'function' && error.isRetryable()
+}
+
+/**
+ * Delay before the next attempt, the `Retry-After` header wins over the
+ * exponential backoff
+ */
+export const getRetryDelay = (error, attempt, options) => {
+    if (error.retryAfter) return Number(error.retryAfter) * 1000
+
+    const delay = Math.min(options.maxDelay, options.minDelay * options.factor ** attempt)
+    return options.jitter ? delay / 2 + (Math.random() * delay) / 2 : delay
+}
+
+const sleep = (delay, signal) =>
+    new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(createAbortError())
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort)
+            resolve()
+        }, delay)
+
+        if (signal && signal.aborted) {
+            onAbort()
+        } else if (signal) {
+            signal.addEventListener('abort', onAbort)
+        }
+    })
+
+/**
+ * Run a call, sending it again according to the retry policy
+ *
+ * @param {function} call Performs one attempt and returns a promise
+ * @param {string} method HTTP verb of the call
+ * @param {object} options Normalized retry options, no retry when empty
+ * @param {AbortSignal} signal Stops waiting between attempts
+ * @returns {Promise} The result of the first successful attempt
+ */
+export const withRetry = (call, method, options, signal) => {
+    if (!options) return call()
+
+    const attempt = n =>
+        call().catch(error => {
+            if (n >= options.retries || !shouldRetry(error, method, options)) {
+                throw error
+            }
+
+            const delay = getRetryDelay(error, n, options)
+
+            // Waiting longer than the policy allows, let the caller decide
+            if (delay > options.maxDelay) {
+                throw error
+            }
+
+            if (options.onRetry) {
+                options.onRetry(error, n + 1, delay)
+            }
+
+            return sleep(delay, signal).then(() => attempt(n + 1))
+        })
+
+    return attempt(0)
+}
@@ -0,0 +1,103 @@
+import { getApiDomain } from './api-domain'
+
+/**
+ * Time endpoint used to measure the clock offset of each api domain. The
+ * portfolio margin api has none, its servers share the futures clock.
+ */
+export const timePaths = {
+    spot: '/api/v3/time',
+    futures: '/fapi/v1/time',
+    delivery: '/dapi/v1/time',
+    portfolioMargin: '/fapi/v1/time',
+}
+
+/**
+ * Keeps track of the offset between the local clock and the server clock of
+ * every api domain, measured in the background once the domain is used.
+ *
+ * @param {object} options
+ * @param {function} options.fetchTime Resolves the server time of a time endpoint path
+ * @param {function} options.getTime Local clock, defaults to Date.now
+ * @param {number} options.interval Delay between two measures in ms, 60s by default
+ * @returns {object} The server clock
+ */
+export const createServerClock = ({ fetchTime, getTime = Date.now, interval = 60e3 }) => {
+    const domains = {}
+    let timer = null
+
+    const measure = name => {
+        const domain = domains[name]
+        const start = getTime()
+
+        domain.pending = fetchTime(timePaths[name])
+            .then(serverTime => {
+                const end = getTime()
+
+                // The server time was read about halfway through the round trip
+                domain.rtt = end - start
+                domain.offset = Number(serverTime) - (start + domain.rtt / 2)
+                domain.syncedAt = end
+            })
+            .catch(() => {
+                // Keep the last known offset, the next measure may succeed
+            })
+            .then(() => {
+                domain.pending = null
+            })
+
+        return domain.pending
+    }
+
+    const refresh = () => Object.keys(domains).forEach(name => measure(name))
+
+    const getDomain = name => {
+        if (!domains[name]) {
+            domains[name] = { offset: 0, rtt: null, syncedAt: null, pending: null }
+            measure(name)
+
+            if (!timer && interval) {
+                timer = setInterval(refresh, interval)
+                // Don't keep Node.js processes alive for the sync
+                if (timer.unref) timer.unref()
+            }
+        }
+        return domains[name]
+    }
+
+    return {
+        /**
+         * Server time for a request path, waits for the first measure of its domain
+         */
+        now: path => {
+            const domain = getDomain(getApiDomain(path))
+            const time = () => Math.round(getTime() + domain.offset)
+            return domain.syncedAt === null && domain.pending
+                ? domain.pending.then(time)
+                : Promise.resolve(time())
+        },
+
+        /**
+         * Measure the offset of the domain of a path again
+         */
+        sync: path => {
+            const name = getApiDomain(path)
+            const domain = getDomain(name)
+            return domain.pending || measure(name)
+        },
+
+        /**
+         * Offset, round trip time and last sync time of every domain in use
+         */
+        offsets: () =>
+            Object.keys(domains).reduce((out, name) => {
+                const { offset, rtt, syncedAt } = domains[name]
+                out[name] = { offset, rtt, syncedAt }
+                return out
+            }, {}),
+
+        stop: () => {
+            clearInterval(timer)
+            timer = null
+        },
+    }
+}
@@ -23,7 +23,11 @@ let nodeCrypto
 
 if (isNode) {
     // Node.js environment
-    nodeCrypto = require('crypto')
+    try {
+        nodeCrypto = require('crypto')
+    } catch (e) {
+        // Deno without Node.js compatibility, Web Crypto is used instead
+    }
 }
 
 /**
@@ -33,7 +37,7 @@ if (isNode) {
  * @returns {Promise<string>} Hex-encoded signature
  */
 export const createHmacSignature = async (data, secret) => {
-    if (isNode) {
+    if (nodeCrypto) {
         // Node.js - synchronous crypto
         return nodeCrypto.createHmac('sha256', secret).update(data).digest('hex')
     }
@@ -60,20 +64,282 @@ export const createHmacSignature = async (data, secret) => {
     /* eslint-enable no-undef */
 }
 
-export const createAsymmetricSignature = (data, privateKey) => {
-    // Handles RSA and ECDASA (Ed25519) private keys
-    const privateKeyObj = { key: privateKey }
-    const keyObject = nodeCrypto.createPrivateKey(privateKeyObj)
+const PEM_PATTERN = /-----BEGIN ([A-Z ]+)-----([\s\S]+?)-----END \1-----/
+
+// DER encoded object identifiers of the supported key types
+const ED25519_OID = [0x06, 0x03, 0x2b, 0x65, 0x70]
+const RSA_OID = [0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01]
+
+// PKCS#8 header of a raw 32 bytes Ed25519 private key
+const ED25519_PKCS8_PREFIX = [
+    0x30,
+    0x2e,
+    0x02,
+    0x01,
+    0x00,
+    0x30,
+    0x05,
+    ...ED25519_OID,
+    0x04,
+    0x22,
+    0x04,
+    0x20,
+]
+
+/* eslint-disable no-undef */
+const fromBase64 = str => Uint8Array.from(atob(str), c => c.charCodeAt(0))
+const toBase64 = bytes => btoa(String.fromCharCode(...bytes))
+
+const fromHex = str => Uint8Array.from(str.match(/../g), byte => parseInt(byte, 16))
+
+const derLength = length =>
+    length < 0x80 ? [length] : length < 0x100 ? [0x81, length] : [0x82, length >> 8, length & 0xff]
+
+const derSequence = bytes => [0x30, ...derLength(bytes.length), ...bytes]
+
+// PKCS#1 RSA keys wrapped in PKCS#8, the only private key format Web Crypto imports
+const wrapRsaKey = pkcs1 =>
+    Uint8Array.from(
+        derSequence([
+            0x02,
+            0x01,
+            0x00,
+            ...derSequence([...RSA_OID, 0x05, 0x00]),
+            0x04,
+            ...derLength(pkcs1.length),
+            ...pkcs1,
+        ]),
+    )
+
+// PEMs pasted from env files often have escaped line breaks or indented lines
+const normalizePem = pem =>
+    pem
+        .replace(/\\n/g, '\n')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n')
+
+// Text of a PEM key, given as a string or as bytes
+const getPem = privateKey => {
+    const text =
+        typeof privateKey === 'string'
+            ? privateKey
+            : privateKey instanceof Uint8Array
+              ? new TextDecoder().decode(privateKey)
+              : ''
+    return text.includes('-----BEGIN') ? normalizePem(text) : null
+}
+
+const includesBytes = (bytes, pattern) => {
+    for (let i = 0; i <= bytes.length - pattern.length; i++) {
+        if (pattern.every((byte, j) => bytes[i + j] === byte)) return true
+    }
+    return false
+}
+
+/**
+ * PKCS#8 DER bytes and type of a private key, given as a PEM (PKCS#8 or PKCS#1
+ * RSA), a base64 DER or a raw Ed25519 key (32 bytes, hex or base64 encoded)
+ *
+ * @param {string|Uint8Array|ArrayBuffer} privateKey
+ * @returns {object} `{ type: 'ed25519'|'rsa', der }`
+ */
+export const parsePrivateKey = privateKey => {
+    const text = getPem(privateKey) || (typeof privateKey === 'string' ? privateKey : null)
+    let der
+
+    if (text !== null) {
+        const pem = text.match(PEM_PATTERN)
+        const body = (pem ? pem[2] : text).replace(/\s+/g, '')
 
-    let signature = ''
+        if (pem && (pem[1] === 'ENCRYPTED PRIVATE KEY' || pem[2].includes('ENCRYPTED'))) {
+            throw new Error('Encrypted private keys are only supported with Node.js crypto.')
+        }
 
-    if (privateKey.length > 120) {
-        // RSA key
-        signature = nodeCrypto.sign('RSA-SHA256', Buffer.from(data), keyObject).toString('base64')
-        // if (encode) signature = encodeURIComponent(signature);
+        try {
+            der = /^[0-9a-f]{64}$/i.test(body) ? fromHex(body) : fromBase64(body)
+        } catch (e) {
+            throw new Error(
+                'Invalid private key, expected a PEM, a base64 DER or a raw Ed25519 key.',
+            )
+        }
+
+        if (pem && pem[1] === 'RSA PRIVATE KEY') {
+            der = wrapRsaKey(der)
+        }
     } else {
-        // Ed25519 key
-        signature = nodeCrypto.sign(null, Buffer.from(data), keyObject).toString('base64')
+        der = new Uint8Array(privateKey)
+    }
+
+    if (der.length === 32) {
+        der = Uint8Array.from([...ED25519_PKCS8_PREFIX, ...der])
     }
-    return signature
+
+    if (includesBytes(der, ED25519_OID)) return { type: 'ed25519', der }
+    if (includesBytes(der, RSA_OID)) return { type: 'rsa', der }
+
+    throw new Error('Unsupported private key, expected an Ed25519 or RSA key.')
+}
+
+/* eslint-enable no-undef */
+
+const importWebCryptoKey = privateKey => {
+    const { type, der } = parsePrivateKey(privateKey)
+    const algorithm =
+        type === 'rsa' ? { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' } : { name: 'Ed25519' }
+
+    return crypto.subtle.importKey('pkcs8', der, algorithm, false, ['sign'])
+}
+
+const signWithCryptoKey = async (data, key) => {
+    const signature = await crypto.subtle.sign(
+        key.algorithm.name,
+        key,
+        new TextEncoder().encode(data),
+    )
+    return toBase64(new Uint8Array(signature)) // eslint-disable-line no-undef
+}
+
+/**
+ * Create an Ed25519 or RSA-SHA256 signature with the Web Crypto API, for
+ * browsers and runtimes without Node.js crypto
+ * @param {string} data - Data to sign
+ * @param {string|Uint8Array} privateKey - PEM, base64 DER or raw Ed25519 key
+ * @returns {Promise<string>} Base64-encoded signature
+ */
+export const createWebCryptoSignature = async (data, privateKey) =>
+    signWithCryptoKey(data, await importWebCryptoKey(privateKey))
+
+const SUPPORTED_KEY_TYPES = ['ed25519', 'rsa']
+
+const isKeyObject = key => Boolean(nodeCrypto.KeyObject) && key instanceof nodeCrypto.KeyObject
+
+const createNodeKey = (privateKey, passphrase) => {
+    const pem = getPem(privateKey)
+
+    if (!pem) {
+        const { der } = parsePrivateKey(privateKey)
+        return nodeCrypto.createPrivateKey({ key: Buffer.from(der), format: 'der', type: 'pkcs8' })
+    }
+
+    if (pem.includes('ENCRYPTED') && !passphrase) {
+        throw new Error('The private key is encrypted, privateKeyPassphrase is required.')
+    }
+
+    try {
+        return nodeCrypto.createPrivateKey({ key: pem, passphrase })
+    } catch (e) {
+        throw new Error(`Invalid private key: ${e.message}`)
+    }
+}
+
+/**
+ * Check a private key and prepare it for signing, so that unusable keys fail
+ * before the first call. Node.js gets a KeyObject, Web Crypto keys are only
+ * parsed and kept as they are.
+ *
+ * @param {string|Uint8Array|KeyObject} privateKey PEM, DER, raw Ed25519 key or KeyObject
+ * @param {string} passphrase Passphrase of an encrypted PEM
+ * @returns {KeyObject|string|Uint8Array} Key for createAsymmetricSignature
+ */
+export const loadPrivateKey = (privateKey, passphrase) => {
+    if (!nodeCrypto) {
+        parsePrivateKey(privateKey)
+        return privateKey
+    }
+
+    const keyObject = isKeyObject(privateKey) ? privateKey : createNodeKey(privateKey, passphrase)
+
+    if (keyObject.type !== 'private') {
+        throw new Error(`Expected a private key, got a ${keyObject.type} key.`)
+    }
+    if (!SUPPORTED_KEY_TYPES.includes(keyObject.asymmetricKeyType)) {
+        throw new Error(
+            `Unsupported ${keyObject.asymmetricKeyType} private key, expected an Ed25519 or RSA key.`,
+        )
+    }
+
+    return keyObject
+}
+
+// Ed25519 or RSA-SHA256 signature with Node.js crypto
+const createNodeSignature = (data, privateKey, passphrase) => {
+    const keyObject = loadPrivateKey(privateKey, passphrase)
+    const algorithm = keyObject.asymmetricKeyType === 'rsa' ? 'RSA-SHA256' : null
+
+    return nodeCrypto.sign(algorithm, Buffer.from(data), keyObject).toString('base64')
+}
+
+/**
+ * Create an Ed25519 or RSA-SHA256 signature, with Node.js crypto when available
+ * @param {string} data - Data to sign
+ * @param {string|Uint8Array|KeyObject} privateKey - PEM, DER, raw Ed25519 key or KeyObject
+ * @param {string} [passphrase] - Passphrase of an encrypted PEM, Node.js only
+ * @returns {Promise<string>} Base64-encoded signature
+ */
+export const createAsymmetricSignature = (data, privateKey, passphrase) =>
+    nodeCrypto
+        ? Promise.resolve().then(() => createNodeSignature(data, privateKey, passphrase))
+        : createWebCryptoSignature(data, privateKey)
+
+/**
+ * Signing function of a client, from its `signer`, `apiSecret` or `privateKey`
+ * in that order. The private key is loaded right away so unusable keys throw here.
+ *
+ * @param {object} opts Client options
+ * @param {function} opts.signer External signer, `async payload => signature`
+ * @returns {function|null} `payload => Promise<signature>`, null without credentials
+ */
+export const getSigner = ({ signer, apiSecret, privateKey, privateKeyPassphrase } = {}) => {
+    if (signer) {
+        return payload =>
+            Promise.resolve()
+                .then(() => signer(payload))
+                .then(signature => {
+                    if (typeof signature !== 'string' || !signature) {
+                        throw new Error('The signer must resolve to a non empty signature string.')
+                    }
+                    return signature
+                })
+    }
+
+    if (apiSecret) {
+        return payload => createHmacSignature(payload, apiSecret)
+    }
+
+    if (privateKey) {
+        const key = loadPrivateKey(privateKey, privateKeyPassphrase)
+        if (nodeCrypto) {
+            return payload => createAsymmetricSignature(payload, key)
+        }
+
+        // Web Crypto key of the client, importing is much slower than signing
+        let cryptoKey = null
+        return payload => {
+            if (!cryptoKey) {
+                cryptoKey = Promise.resolve().then(() => importWebCryptoKey(key))
+                cryptoKey.catch(() => (cryptoKey = null))
+            }
+            return cryptoKey.then(imported => signWithCryptoKey(payload, imported))
+        }
+    }
+
+    return null
+}
+
+/**
+ * Type of the key signing the calls of a client, from the same options as
+ * getSigner. External signers have no known type.
+ *
+ * @param {object} opts Client options
+ * @returns {string|null} `hmac`, `ed25519`, `rsa`, or null
+ */
+export const getKeyType = ({ signer, apiSecret, privateKey, privateKeyPassphrase } = {}) => {
+    if (signer) return null
+    if (apiSecret) return 'hmac'
+    if (!privateKey) return null
+
+    const key = loadPrivateKey(privateKey, privateKeyPassphrase)
+    return nodeCrypto && isKeyObject(key) ? key.asymmetricKeyType : parsePrivateKey(key).type
 }
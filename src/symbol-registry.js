@@ -0,0 +1,218 @@
+import { formatDecimal } from './decimal'
+
+const DOMAINS = ['spot', 'futures', 'delivery']
+
+const DEFAULT_TTL = 60 * 60e3
+
+// Decimals of a step like `0.00100000`, 3
+const stepDecimals = step => {
+    const formatted = formatDecimal(step)
+    const point = formatted.indexOf('.')
+    return point === -1 ? 0 : formatted.length - point - 1
+}
+
+const getFilter = (symbolInfo, filterType) =>
+    (symbolInfo.filters || []).find(filter => filter.filterType === filterType)
+
+// Spot lists permissions in `permissionSets` and used to in `permissions`
+const getPermissions = symbolInfo =>
+    [].concat(symbolInfo.permissions || [], ...(symbolInfo.permissionSets || []))
+
+// Added, removed and status change events between two symbol lists
+const diffSymbols = (domain, previous, next) => {
+    const events = []
+
+    Object.keys(next).forEach(symbol => {
+        const before = previous[symbol]
+        const after = next[symbol]
+        if (!before) {
+            events.push({ domain, type: 'added', symbol, status: after.status })
+        } else if (before.status !== after.status) {
+            events.push({
+                domain,
+                type: 'status',
+                symbol,
+                status: after.status,
+                previous: before.status,
+            })
+        }
+    })
+
+    Object.keys(previous)
+        .filter(symbol => !next[symbol])
+        .forEach(symbol =>
+            events.push({ domain, type: 'removed', symbol, previous: previous[symbol].status }),
+        )
+
+    return events
+}
+
+/**
+ * Cached exchange info of the spot, futures and delivery apis. Each api is
+ * fetched on first use and again once older than `ttl`, a failed refresh keeps
+ * serving the last exchange info. Refreshes after the first one report the
+ * symbols added, removed or changing status to the change listeners.
+ *
+ * @param {object} options
+ * @param {function} options.loadExchangeInfo Resolves the exchangeInfo of a domain
+ * @param {number} options.ttl Lifetime of an exchange info in ms, 1 hour by default, 0 never expires
+ * @param {function} options.onChange Change listener
+ * @param {function} options.getTime Local clock, defaults to Date.now
+ * @returns {object} Registry
+ */
+export const createSymbolRegistry = ({
+    loadExchangeInfo,
+    ttl = DEFAULT_TTL,
+    onChange,
+    getTime = Date.now,
+}) => {
+    // Exchange info, symbols by name and fetch time, by domain
+    const cache = {}
+    const pending = {}
+    const listeners = onChange ? [onChange] : []
+
+    const unknownDomain = domain =>
+        Promise.reject(
+            new Error(`Unknown exchange info domain ${domain}, expected ${DOMAINS.join(', ')}.`),
+        )
+
+    const refresh = (domain = 'spot') => {
+        if (!DOMAINS.includes(domain)) {
+            return unknownDomain(domain)
+        }
+
+        if (!pending[domain]) {
+            pending[domain] = loadExchangeInfo(domain)
+                .then(info => {
+                    const symbols = (info.symbols || []).reduce(
+                        (out, symbolInfo) => ((out[symbolInfo.symbol] = symbolInfo), out),
+                        {},
+                    )
+                    const previous = cache[domain]
+                    cache[domain] = { info, symbols, time: getTime() }
+
+                    if (previous) {
+                        diffSymbols(domain, previous.symbols, symbols).forEach(event =>
+                            listeners.forEach(listener => listener(event)),
+                        )
+                    }
+                    return info
+                })
+                .then(
+                    info => {
+                        delete pending[domain]
+                        return info
+                    },
+                    error => {
+                        delete pending[domain]
+                        throw error
+                    },
+                )
+        }
+
+        return pending[domain]
+    }
+
+    // Cached entry of a domain, refreshed first when missing or expired
+    const load = (domain = 'spot') => {
+        if (!DOMAINS.includes(domain)) {
+            return unknownDomain(domain)
+        }
+
+        const entry = cache[domain]
+
+        if (entry && (!ttl || getTime() - entry.time < ttl)) {
+            return Promise.resolve(entry)
+        }
+
+        return refresh(domain).then(
+            () => cache[domain],
+            error => {
+                if (cache[domain]) return cache[domain]
+                throw error
+            },
+        )
+    }
+
+    const getSymbol = (symbol, domain) => load(domain).then(entry => entry.symbols[symbol] || null)
+
+    return {
+        getExchangeInfo: domain => load(domain).then(entry => entry.info),
+
+        getSymbol,
+
+        /**
+         * Symbols matching every given criteria, `permissions` are all required
+         */
+        listSymbols: ({ domain, quoteAsset, baseAsset, status, permissions } = {}) =>
+            load(domain).then(entry => {
+                const required = [].concat(permissions || [])
+                return Object.keys(entry.symbols)
+                    .map(symbol => entry.symbols[symbol])
+                    .filter(
+                        symbolInfo =>
+                            (!quoteAsset || symbolInfo.quoteAsset === quoteAsset) &&
+                            (!baseAsset || symbolInfo.baseAsset === baseAsset) &&
+                            (!status || symbolInfo.status === status) &&
+                            required.every(permission =>
+                                getPermissions(symbolInfo).includes(permission),
+                            ),
+                    )
+            }),
+
+        /**
+         * Precision of the assets of a symbol and decimals of its tick and step
+         * sizes, null for unknown symbols
+         */
+        getPrecision: (symbol, domain) =>
+            getSymbol(symbol, domain).then(symbolInfo => {
+                if (!symbolInfo) return null
+
+                const priceFilter = getFilter(symbolInfo, 'PRICE_FILTER')
+                const lotSize = getFilter(symbolInfo, 'LOT_SIZE')
+                return {
+                    baseAsset: symbolInfo.baseAsset,
+                    quoteAsset: symbolInfo.quoteAsset,
+                    baseAssetPrecision: symbolInfo.baseAssetPrecision,
+                    // Futures only have the older `quotePrecision`
+                    quoteAssetPrecision:
+                        symbolInfo.quoteAssetPrecision !== undefined
+                            ? symbolInfo.quoteAssetPrecision
+                            : symbolInfo.quotePrecision,
+                    tickSize: priceFilter ? priceFilter.tickSize : undefined,
+                    stepSize: lotSize ? lotSize.stepSize : undefined,
+                    priceDecimals: priceFilter ? stepDecimals(priceFilter.tickSize) : undefined,
+                    quantityDecimals: lotSize ? stepDecimals(lotSize.stepSize) : undefined,
+                }
+            }),
+
+        /**
+         * Precision of an asset, from the first symbol trading it, null when none does
+         */
+        getAssetPrecision: (asset, domain) =>
+            load(domain).then(entry => {
+                const symbols = Object.keys(entry.symbols).map(symbol => entry.symbols[symbol])
+                const base = symbols.find(symbolInfo => symbolInfo.baseAsset === asset)
+                if (base) return base.baseAssetPrecision
+
+                const quote = symbols.find(symbolInfo => symbolInfo.quoteAsset === asset)
+                if (!quote) return null
+                return quote.quoteAssetPrecision !== undefined
+                    ? quote.quoteAssetPrecision
+                    : quote.quotePrecision
+            }),
+
+        refresh,
+
+        /**
+         * Add a change listener, returns a function removing it
+         */
+        onChange: listener => {
+            listeners.push(listener)
+            return () => {
+                const index = listeners.indexOf(listener)
+                if (index !== -1) listeners.splice(index, 1)
+            }
+        },
+    }
+}
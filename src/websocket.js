@@ -3,7 +3,9 @@ import JSONbig from 'json-bigint'
 
 import httpMethods from 'http-client'
 import _openWebSocket from 'open-websocket'
-import { createHmacSignature, createAsymmetricSignature } from 'signature'
+import { getSigner } from 'signature'
+import { convertEvents, createNumberConverter } from 'numbers'
+import { getWsApiUrl, usesSessionLogon } from 'ws-api'
 
 const endpoints = {
     base: 'wss://stream.binance.com:9443/ws',
@@ -1109,50 +1111,52 @@ const getStreamMethods = (opts, variator = '') => {
 export const keepStreamAlive = (method, listenKey) => method({ listenKey })
 
 const userWebSocketApi = opts => (cb, transform) => {
-    const isDemo = opts.testnet && !(opts.httpBase && opts.httpBase.includes('testnet'))
-    const isTestnet = !isDemo && opts.httpBase && opts.httpBase.includes('testnet')
-    const wsApiUrl =
-        opts.wsApi ||
-        (isDemo
-            ? 'wss://demo-ws-api.binance.com/ws-api/v3'
-            : isTestnet
-              ? opts.wsApiTestnet || 'wss://ws-api.testnet.binance.vision/ws-api/v3'
-              : 'wss://ws-api.binance.com:443/ws-api/v3')
+    const wsApiUrl = getWsApiUrl(opts)
 
     let requestId = 1
     const errorHandler = userErrorHandler(cb, transform)
+    const sign = getSigner(opts)
+    const logon = usesSessionLogon(opts)
     const w = openWebSocket(wsApiUrl)
+    // Methods of the requests waiting for their response, by id
+    const sentMethods = {}
 
-    const sendSubscribe = () => {
+    const send = (method, params) => {
+        const id = requestId++
+        sentMethods[id] = method
+        w.send(JSONbig.stringify({ id, method, ...(params ? { params } : {}) }))
+    }
+
+    const sendSigned = method => {
         const timestamp = opts.getTime ? opts.getTime() : Date.now()
         const paramsStr = `apiKey=${opts.apiKey}&timestamp=${timestamp}`
 
-        const doSend = signature => {
-            w.send(
-                JSONbig.stringify({
-                    id: requestId++,
-                    method: 'userDataStream.subscribe.signature',
-                    params: {
-                        apiKey: opts.apiKey,
-                        timestamp,
-                        signature,
-                    },
-                }),
-            )
-        }
-
-        if (opts.apiSecret) {
-            createHmacSignature(paramsStr, opts.apiSecret).then(doSend)
-        } else if (opts.privateKey) {
-            doSend(createAsymmetricSignature(paramsStr, opts.privateKey))
-        }
+        return sign
+            ? sign(paramsStr).then(signature =>
+                  send(method, { apiKey: opts.apiKey, timestamp, signature }),
+              )
+            : Promise.resolve()
     }
 
+    // Ed25519 keys log on each connection and subscribe without signature
+    const sendSubscribe = () =>
+        sendSigned(logon ? 'session.logon' : 'userDataStream.subscribe.signature')
+
     return new Promise((resolve, reject) => {
         let resolved = false
 
+        const handleSendError = err => {
+            // External signers can fail, e.g. an unreachable KMS
+            if (!resolved) {
+                resolved = true
+                reject(err)
+            } else if (opts.emitStreamErrors) {
+                errorHandler(err)
+            }
+        }
+
         w.onopen = () => {
-            sendSubscribe()
+            sendSubscribe().catch(handleSendError)
             if (opts.emitSocketOpens) {
                 userOpenHandler(cb, transform)()
             }
@@ -1161,8 +1165,20 @@ const userWebSocketApi = opts => (cb, transform) => {
         w.onmessage = msg => {
             const data = JSONbig.parse(msg.data)
 
+            // Logon response, a refused logon falls back to the signed subscription
+            if (sentMethods[data.id] === 'session.logon') {
+                delete sentMethods[data.id]
+                if (data.error) {
+                    sendSigned('userDataStream.subscribe.signature').catch(handleSendError)
+                } else {
+                    send('userDataStream.subscribe')
+                }
+                return
+            }
+
             // Control response (subscription/unsubscription)
             if ('id' in data) {
+                delete sentMethods[data.id]
                 if (data.error) {
                     const err = new Error(data.error.msg || 'WebSocket API error')
                     err.code = data.error.code
@@ -1536,7 +1552,7 @@ export default opts => {
         wsOptions.proxy = opts.proxy
     }
 
-    return {
+    const methods = {
         depth,
         partialDepth,
         candles,
@@ -1593,4 +1609,8 @@ export default opts => {
         deliveryCustomSubStream: (payload, cb) => customSubStream(payload, cb, 'delivery'),
         futuresAllMarkPrices: (payload, cb) => futuresAllMarkPrices(payload, cb),
     }
+
+    return opts && opts.numbers
+        ? convertEvents(methods, createNumberConverter(opts.numbers))
+        : methods
 }
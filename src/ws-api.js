@@ -0,0 +1,541 @@
+import JSONbig from 'json-bigint'
+
+import openWebSocket from './open-websocket'
+import { getKeyType, getSigner } from './signature'
+import {
+    book,
+    checkRecvWindow,
+    extractRequestOptions,
+    futuresOrder,
+    futuresOrderRequest,
+    order,
+    pricesBySymbol,
+    requestOptionsOnly,
+    tickersBySymbol,
+    updateOrder,
+} from './http-client'
+import { getDryRunOptions } from './dry-run'
+import { createNumberConverter } from './numbers'
+import {
+    BinanceApiError,
+    BinanceNetworkError,
+    BinanceTimeoutError,
+    createAbortError,
+    redactParams,
+} from './errors'
+
+const DEFAULT_TIMEOUT = 10e3
+
+// Error of `session.logon` for the key types Binance refuses, e.g. HMAC ones
+const UNSUPPORTED_KEY_CODE = -4056
+
+// Methods of the connection itself, not resolving with results
+const CONNECTION_METHODS = ['connect', 'close', 'getSession', 'getRateLimits']
+
+/**
+ * Url of the spot WebSocket API: the `wsApi` option, or the one of the demo or
+ * testnet environment the client uses
+ */
+export const getWsApiUrl = opts => {
+    const isDemo = opts.testnet && !(opts.httpBase && opts.httpBase.includes('testnet'))
+    const isTestnet = !isDemo && opts.httpBase && opts.httpBase.includes('testnet')
+
+    return (
+        opts.wsApi ||
+        (isDemo
+            ? 'wss://demo-ws-api.binance.com/ws-api/v3'
+            : isTestnet
+              ? opts.wsApiTestnet || 'wss://ws-api.testnet.binance.vision/ws-api/v3'
+              : 'wss://ws-api.binance.com:443/ws-api/v3')
+    )
+}
+
+/**
+ * Url of the USDⓈ-M futures WebSocket API: the `wsFuturesApi` option, or the
+ * testnet one with `testnet`
+ */
+export const getFuturesWsApiUrl = opts =>
+    opts.wsFuturesApi ||
+    (opts.testnet
+        ? 'wss://testnet.binancefuture.com/ws-fapi/v1'
+        : 'wss://ws-fapi.binance.com/ws-fapi/v1')
+
+// Futures WebSocket API methods of the REST requests made by the futures payload builders
+const FUTURES_METHODS = {
+    'POST /fapi/v1/order': 'order.place',
+    'PUT /fapi/v1/order': 'order.modify',
+    'GET /fapi/v1/order': 'order.status',
+    'DELETE /fapi/v1/order': 'order.cancel',
+    'POST /fapi/v1/algoOrder': 'algoOrder.place',
+    'DELETE /fapi/v1/algoOrder': 'algoOrder.cancel',
+}
+
+/**
+ * Whether the WebSocket API connections of a client log on: with Ed25519 keys
+ * unless the `sessionLogon` option is false, external signers when it is true
+ */
+export const usesSessionLogon = opts =>
+    opts.sessionLogon === undefined
+        ? getKeyType(opts) === 'ed25519'
+        : Boolean(opts.sessionLogon && opts.apiKey && getSigner(opts))
+
+// Query string of signed params, sorted by name as the WebSocket API expects
+const signedPayload = params =>
+    Object.keys(params)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&')
+
+// Rate limit usage, by type and interval, from the `rateLimits` of a response
+const rateLimitKey = ({ rateLimitType, interval, intervalNum }) =>
+    `${rateLimitType}_${intervalNum}${interval}`
+
+/**
+ * Request and response connection to a Binance WebSocket API.
+ *
+ * Requests get an id matching them to their response, they resolve with its
+ * `result` or reject with a BinanceApiError, or a BinanceTimeoutError once
+ * their `timeout` elapses. The connection is opened by the first request and
+ * reopened when it drops, the requests waiting for a response are then
+ * rejected with a BinanceNetworkError as their outcome is unknown. Signed
+ * requests carry the api key, timestamp and signature of the client keys.
+ *
+ * Connections of Ed25519 keys log on with `session.logon` before their first
+ * signed request and again after each reconnection, signed requests then only
+ * carry their timestamp. Other keys, or a refused logon, sign each request.
+ * The `rateLimits` of the responses are kept for `getRateLimits`.
+ *
+ * @param {object} opts Client options
+ * @param {object} options
+ * @param {string} options.url Url of the WebSocket API
+ * @param {string} options.domain Api family of the `recvWindow` option, `spot` by default
+ * @returns {object} Connection
+ */
+export const createWebSocketApiConnection = (opts, { url, domain = 'spot' }) => {
+    const sign = getSigner(opts)
+    const dryRun = getDryRunOptions(opts.dryRun)
+    const defaultTimeout = opts.timeout === undefined ? DEFAULT_TIMEOUT : opts.timeout
+    const recvWindow =
+        opts.recvWindow && typeof opts.recvWindow === 'object'
+            ? opts.recvWindow[domain]
+            : opts.recvWindow
+
+    let w = null
+    let nextId = 1
+    // Logon wanted for the connection, its result once logged on, the logon request in flight
+    let wantsSession = !dryRun && usesSessionLogon(opts)
+    let session = null
+    let logonRequest = null
+    const pending = {}
+    const rateLimits = {}
+
+    // Requests waiting for their response, or for the connection to open to be sent
+    const rejectPending = (error, filter = () => true) =>
+        Object.keys(pending)
+            .filter(id => filter(pending[id]))
+            .forEach(id => pending[id].reject(error(pending[id])))
+
+    const handleMessage = msg => {
+        const data = JSONbig.parse(msg.data)
+        const request = pending[data.id]
+
+        if (data.rateLimits) {
+            data.rateLimits.forEach(limit => (rateLimits[rateLimitKey(limit)] = limit))
+        }
+        if (!request) {
+            return
+        }
+
+        if (data.error) {
+            const { code, msg: message, data: details } = data.error
+            request.reject(
+                new BinanceApiError(message, {
+                    status: data.status,
+                    code,
+                    method: request.method,
+                    url,
+                    params: request.params,
+                    retryAfter: details && details.retryAfter,
+                }),
+            )
+        } else {
+            request.resolve(data.result)
+        }
+    }
+
+    const send = request => {
+        request.sent = true
+        w.send(request.message)
+    }
+
+    // Requests are only handed to an open socket, so that a rejected request is never sent
+    const flush = () =>
+        Object.keys(pending)
+            .sort((a, b) => a - b)
+            .forEach(id => {
+                if (!pending[id].sent) send(pending[id])
+            })
+
+    const connect = () => {
+        if (!w) {
+            w = openWebSocket(url, opts.proxy ? { proxy: opts.proxy } : undefined)
+            w.addEventListener('message', handleMessage)
+            w.addEventListener('open', flush)
+            // Log on again once reconnected, the session ended with the previous connection
+            w.addEventListener('open', () => awaitSession())
+            w.addEventListener('close', () => {
+                // The session of a logon ends with its connection
+                session = null
+                rejectPending(
+                    request =>
+                        new BinanceNetworkError(
+                            new Error(
+                                request.sent
+                                    ? 'WebSocket API connection closed before the response'
+                                    : 'WebSocket API connection closed before the request was sent',
+                            ),
+                            { method: request.method, url, params: request.params },
+                        ),
+                )
+            })
+            // A failed connection rejects the requests still waiting for it, whether or not
+            // a close follows
+            w.addEventListener('error', event =>
+                rejectPending(
+                    request =>
+                        new BinanceNetworkError(
+                            event.error ||
+                                new Error(event.message || 'WebSocket API connection failed'),
+                            { method: request.method, url, params: request.params },
+                        ),
+                    request => !request.sent,
+                ),
+            )
+        }
+        return w
+    }
+
+    const withTimestamp = params => {
+        if (params.recvWindow !== undefined) {
+            checkRecvWindow(params.recvWindow, domain)
+        }
+        return {
+            ...(recvWindow ? { recvWindow } : {}),
+            ...params,
+            timestamp: opts.getTime ? opts.getTime() : Date.now(),
+        }
+    }
+
+    const signParams = params => {
+        if (!opts.apiKey || !sign) {
+            throw new Error(
+                'You need to pass an API key and secret/privateKey to make authenticated calls.',
+            )
+        }
+
+        const signed = withTimestamp({ ...params, apiKey: opts.apiKey })
+        return Promise.resolve(sign(signedPayload(signed))).then(signature => ({
+            ...signed,
+            signature,
+        }))
+    }
+
+    const startLogon = () => {
+        if (!logonRequest) {
+            logonRequest = request('session.logon', {}, { signed: true }).then(
+                result => {
+                    logonRequest = null
+                    session = result
+                    return result
+                },
+                error => {
+                    logonRequest = null
+                    // Keys Binance refuses sign each request from then on, other failures
+                    // like a clock drift log on again with the next request or connection
+                    if (error instanceof BinanceApiError && error.code === UNSUPPORTED_KEY_CODE) {
+                        wantsSession = false
+                    }
+                    throw error
+                },
+            )
+        }
+        return logonRequest
+    }
+
+    // Resolves once the connection is logged on, or failed to, when it should be
+    const awaitSession = () =>
+        wantsSession && !session ? startLogon().catch(() => null) : Promise.resolve()
+
+    // Signed requests of a logged on session only need their timestamp
+    const requestParams = (method, data, signed) => {
+        if (!signed || method === 'session.logon') {
+            return signed ? signParams(data) : data
+        }
+        return awaitSession().then(() => (session ? withTimestamp(data) : signParams(data)))
+    }
+
+    // Request as it would be sent, the api key and signature masked unless `redact` is false
+    const prepare = (method, params) => ({
+        method,
+        url,
+        params:
+            dryRun.redact && params.apiKey
+                ? { ...redactParams(params), apiKey: '[REDACTED]' }
+                : params,
+    })
+
+    /**
+     * Send a request, `signed` ones with the api key, timestamp and signature.
+     * The `timeout` of the payload overrides the one of the client, `0` disables it,
+     * and its `signal` cancels the request. Both also cover the wait for the
+     * connection and the logon.
+     */
+    const request = (method, payload = {}, { signed = false } = {}) => {
+        const [data, { timeout = defaultTimeout, signal }] = extractRequestOptions(payload)
+
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError(url))
+        }
+
+        return new Promise((resolve, reject) => {
+            let id = null
+            let redacted = redactParams(data)
+            let timer = null
+            let settled = false
+
+            const onAbort = () => settle(reject)(createAbortError(url))
+            // Settles once, dropping the request from `pending` so a late response is ignored
+            const settle = callback => value => {
+                if (settled) return
+                settled = true
+                delete pending[id]
+                clearTimeout(timer)
+                if (signal) signal.removeEventListener('abort', onAbort)
+                callback(value)
+            }
+
+            if (timeout > 0) {
+                timer = setTimeout(
+                    () =>
+                        settle(reject)(
+                            new BinanceTimeoutError(timeout, { method, url, params: redacted }),
+                        ),
+                    timeout,
+                )
+            }
+            if (signal) signal.addEventListener('abort', onAbort)
+
+            new Promise(done => done(requestParams(method, data, signed)))
+                .then(params => {
+                    // Timed out or aborted while waiting for the logon
+                    if (settled) return
+                    if (dryRun) return settle(resolve)(prepare(method, params))
+
+                    const socket = connect()
+                    id = nextId++
+                    redacted = redactParams(params)
+                    pending[id] = {
+                        method,
+                        params: redacted,
+                        resolve: settle(resolve),
+                        reject: settle(reject),
+                        message: JSONbig.stringify({ id, method, params }),
+                        sent: false,
+                    }
+                    // Sent once the connection is open, kept in `pending` until then
+                    if (socket.readyState === 1) send(pending[id])
+                })
+                .catch(settle(reject))
+        })
+    }
+
+    return {
+        request,
+
+        /**
+         * Open the connection ahead of the first request, resolves once it is open
+         */
+        connect: () =>
+            new Promise(resolve => {
+                const socket = connect()
+                if (socket.readyState === 1) return resolve()
+                const onOpen = () => {
+                    socket.removeEventListener('open', onOpen)
+                    resolve()
+                }
+                socket.addEventListener('open', onOpen)
+            }),
+
+        /**
+         * Log on with `session.logon`, the following signed requests are sent
+         * without api key and signature, again after reconnections. Binance only
+         * accepts Ed25519 keys.
+         */
+        logon: () => {
+            if (dryRun) {
+                return request('session.logon', {}, { signed: true })
+            }
+            wantsSession = true
+            return startLogon()
+        },
+
+        /**
+         * Log out with `session.logout`, signed requests are signed again
+         */
+        logout: () => {
+            wantsSession = false
+            return request('session.logout').then(result => {
+                if (!dryRun) session = null
+                return result
+            })
+        },
+
+        /**
+         * Ask the session status with `session.status`, updating the one of `getSession`
+         */
+        sessionStatus: () =>
+            request('session.status').then(result => {
+                if (!dryRun) session = result.apiKey ? { ...session, ...result } : null
+                return result
+            }),
+
+        /**
+         * Session of the connection: `active` once logged on with its logon result,
+         * `pending` while logging on, `none` when requests are signed
+         */
+        getSession: () =>
+            session
+                ? { status: 'active', ...session }
+                : { status: logonRequest ? 'pending' : 'none' },
+
+        /**
+         * Close the connection, the requests waiting for a response are rejected
+         */
+        close: () => {
+            if (w) {
+                w.close(1000, 'Close handle was called', { keepClosed: true })
+                w = null
+            }
+            session = null
+            rejectPending(
+                request =>
+                    new BinanceNetworkError(new Error('WebSocket API connection closed'), {
+                        method: request.method,
+                        url,
+                        params: request.params,
+                    }),
+            )
+        },
+
+        /**
+         * Last known usage of each rate limit, from the responses
+         */
+        getRateLimits: () => Object.keys(rateLimits).map(key => ({ ...rateLimits[key] })),
+    }
+}
+
+// Results converted to the type of the `numbers` option, prepared requests of dry run left alone
+const convertResults = (methods, opts) => {
+    if (!opts.numbers || getDryRunOptions(opts.dryRun)) {
+        return methods
+    }
+
+    const convert = createNumberConverter(opts.numbers)
+    return Object.keys(methods).reduce((out, name) => {
+        const method = methods[name]
+        out[name] = CONNECTION_METHODS.includes(name)
+            ? method
+            : (...args) => method(...args).then(convert)
+        return out
+    }, {})
+}
+
+/**
+ * Spot WebSocket API client, methods named after the REST client ones with the
+ * same payloads and defaults, resolving with the `result` of the responses
+ */
+export const createWebSocketApi = (opts = {}) => {
+    const connection = createWebSocketApiConnection(opts, { url: getWsApiUrl(opts) })
+    const { request } = connection
+
+    const publicCall = method => payload => request(method, payload)
+    const signedCall = method => payload => request(method, payload, { signed: true })
+
+    const methods = {
+        ...connection,
+        ping: options => request('ping', requestOptionsOnly(options)).then(() => true),
+        time: options => request('time', requestOptionsOnly(options)).then(r => r.serverTime),
+        exchangeInfo: publicCall('exchangeInfo'),
+        book: payload => book((path, params) => request('depth', params), payload),
+        trades: publicCall('trades.recent'),
+        avgPrice: publicCall('avgPrice'),
+        prices: payload => request('ticker.price', payload).then(pricesBySymbol),
+        allBookTickers: payload => request('ticker.book', payload).then(tickersBySymbol),
+
+        order: payload =>
+            order(
+                (path, params) => request('order.place', params, { signed: true }),
+                payload,
+                '/api/v3/order',
+            ),
+        orderTest: payload =>
+            order(
+                (path, params) => request('order.test', params, { signed: true }),
+                payload,
+                '/api/v3/order/test',
+            ),
+        updateOrder: payload =>
+            updateOrder(
+                (path, params) => request('order.cancelReplace', params, { signed: true }),
+                payload,
+                '/api/v3/order/cancelReplace',
+            ),
+        getOrder: signedCall('order.status'),
+        cancelOrder: signedCall('order.cancel'),
+        openOrders: signedCall('openOrders.status'),
+        cancelOpenOrders: signedCall('openOrders.cancelAll'),
+        allOrders: signedCall('allOrders'),
+        myTrades: signedCall('myTrades'),
+        accountInfo: signedCall('account.status'),
+    }
+    return convertResults(methods, opts)
+}
+
+/**
+ * USDⓈ-M futures WebSocket API client, methods named after the REST client
+ * ones without their `futures` prefix, with the same payloads and defaults
+ */
+export const createFuturesWebSocketApi = (opts = {}) => {
+    const connection = createWebSocketApiConnection(opts, {
+        url: getFuturesWsApiUrl(opts),
+        domain: 'futures',
+    })
+    const { request } = connection
+
+    // REST requests of the futures payload builders, sent as their WebSocket API method
+    const privCall = (path, params, method = 'GET') => {
+        const wsMethod = FUTURES_METHODS[`${method} ${path}`]
+        return wsMethod
+            ? request(wsMethod, params, { signed: true })
+            : Promise.reject(
+                  new Error(`The futures WebSocket API has no ${method} ${path} method.`),
+              )
+    }
+    const signedCall = method => payload => request(method, payload, { signed: true })
+
+    const methods = {
+        ...connection,
+        book: payload => book((path, params) => request('depth', params), payload),
+        prices: payload => request('ticker.price', payload).then(pricesBySymbol),
+        allBookTickers: payload => request('ticker.book', payload).then(tickersBySymbol),
+
+        order: payload => futuresOrder(privCall, payload),
+        updateOrder: payload => privCall('/fapi/v1/order', payload, 'PUT'),
+        getOrder: payload => futuresOrderRequest(privCall, payload),
+        cancelOrder: payload => futuresOrderRequest(privCall, payload, 'DELETE'),
+        positionRisk: signedCall('v2/account.position'),
+        accountBalance: signedCall('v2/account.balance'),
+        accountInfo: signedCall('v2/account.status'),
+    }
+    return convertResults(methods, opts)
+}
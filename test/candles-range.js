@@ -0,0 +1,243 @@
+import test from 'ava'
+
+import Binance from 'index'
+import { candlesRange, parseInterval } from 'candles-range'
+
+const MINUTE = 60e3
+
+// Serves one minute candles from `from` to `to`, skipping the `missing` open times
+const candlesPager = (from, to, missing = []) => {
+    const queries = []
+    let pending = 0
+    let maxPending = 0
+    const fetchCandles = query => {
+        queries.push(query)
+        pending++
+        maxPending = Math.max(maxPending, pending)
+        const candles = []
+        for (let openTime = Math.max(from, query.startTime); openTime <= to; openTime += MINUTE) {
+            if (openTime > query.endTime || candles.length === query.limit) break
+            if (!missing.includes(openTime)) {
+                candles.push({ openTime, closeTime: openTime + MINUTE - 1 })
+            }
+        }
+        return new Promise(resolve =>
+            setTimeout(() => {
+                pending--
+                resolve(candles)
+            }, 5),
+        )
+    }
+    return { fetchCandles, queries, maxPending: () => maxPending }
+}
+
+test('[CANDLES] Splits the range in limit sized requests', async t => {
+    const { fetchCandles, queries, maxPending } = candlesPager(0, 100 * MINUTE)
+
+    const { candles, gaps } = await candlesRange(
+        fetchCandles,
+        {
+            symbol: 'ETHBTC',
+            interval: '1m',
+            startTime: 30e3,
+            endTime: 45 * MINUTE,
+            limit: 10,
+            concurrency: 2,
+        },
+        () => 100 * MINUTE,
+    )
+
+    t.is(candles.length, 45)
+    t.is(candles[0].openTime, MINUTE)
+    t.is(candles[44].openTime, 45 * MINUTE)
+    t.deepEqual(gaps, [])
+    t.deepEqual(
+        queries.map(query => [query.startTime, query.endTime]),
+        [
+            [MINUTE, 11 * MINUTE - 1],
+            [11 * MINUTE, 21 * MINUTE - 1],
+            [21 * MINUTE, 31 * MINUTE - 1],
+            [31 * MINUTE, 41 * MINUTE - 1],
+            [41 * MINUTE, 45 * MINUTE],
+        ],
+    )
+    t.true(queries.every(query => query.symbol === 'ETHBTC' && query.limit === 10))
+    t.is(maxPending(), 2)
+})
+
+test('[CANDLES] Reports missing candles up to the current one', async t => {
+    const { fetchCandles } = candlesPager(5 * MINUTE, 20 * MINUTE, [
+        8 * MINUTE,
+        9 * MINUTE,
+        12 * MINUTE,
+    ])
+
+    const { candles, gaps } = await candlesRange(
+        fetchCandles,
+        { symbol: 'ETHBTC', interval: '1m', startTime: 0, endTime: 60 * MINUTE },
+        () => 22 * MINUTE + 30e3,
+    )
+
+    t.is(candles.length, 13)
+    t.deepEqual(gaps, [
+        { startTime: 0, endTime: 4 * MINUTE, count: 5 },
+        { startTime: 8 * MINUTE, endTime: 9 * MINUTE, count: 2 },
+        { startTime: 12 * MINUTE, endTime: 12 * MINUTE, count: 1 },
+        { startTime: 21 * MINUTE, endTime: 22 * MINUTE, count: 2 },
+    ])
+})
+
+test('[CANDLES] Ranges ending in the future are fetched up to the current candle', async t => {
+    const { fetchCandles, queries } = candlesPager(0, 22 * MINUTE)
+
+    const { candles, gaps } = await candlesRange(
+        fetchCandles,
+        { interval: '1m', startTime: 0, endTime: 1000 * MINUTE, limit: 10 },
+        () => 22 * MINUTE + 30e3,
+    )
+
+    t.is(candles.length, 23)
+    t.deepEqual(gaps, [])
+    t.deepEqual(
+        queries.map(query => [query.startTime, query.endTime]),
+        [
+            [0, 10 * MINUTE - 1],
+            [10 * MINUTE, 20 * MINUTE - 1],
+            [20 * MINUTE, 22 * MINUTE + 30e3],
+        ],
+    )
+})
+
+test('[CANDLES] Duplicated candles are merged', async t => {
+    const candle = openTime => ({ openTime, close: String(openTime) })
+    const fetchCandles = query =>
+        Promise.resolve([candle(query.startTime), candle(query.startTime + MINUTE)])
+
+    const { candles } = await candlesRange(
+        fetchCandles,
+        { symbol: 'ETHBTC', interval: '1m', startTime: 0, endTime: 3 * MINUTE, limit: 1 },
+        () => 3 * MINUTE,
+    )
+
+    t.deepEqual(
+        candles.map(c => c.openTime),
+        [0, MINUTE, 2 * MINUTE, 3 * MINUTE],
+    )
+})
+
+test('[CANDLES] Weekly and monthly candles follow the calendar', async t => {
+    const queries = []
+    const fetchCandles = query => {
+        queries.push(query)
+        return Promise.resolve([])
+    }
+
+    const { gaps } = await candlesRange(
+        fetchCandles,
+        {
+            symbol: 'ETHBTC',
+            interval: '1M',
+            startTime: Date.UTC(2024, 0, 15),
+            endTime: Date.UTC(2024, 4, 1),
+            limit: 2,
+        },
+        () => Date.UTC(2025, 0, 1),
+    )
+
+    t.deepEqual(
+        queries.map(query => new Date(query.startTime).toISOString().slice(0, 10)),
+        ['2024-02-01', '2024-04-01'],
+    )
+    t.deepEqual(gaps, [
+        { startTime: Date.UTC(2024, 1, 1), endTime: Date.UTC(2024, 4, 1), count: 4 },
+    ])
+
+    // 2024-01-01 was a Monday
+    const weeks = await candlesRange(
+        fetchCandles,
+        { symbol: 'ETHBTC', interval: '1w', startTime: Date.UTC(2024, 0, 3) },
+        () => Date.UTC(2024, 0, 20),
+    )
+    t.deepEqual(weeks.gaps, [
+        { startTime: Date.UTC(2024, 0, 8), endTime: Date.UTC(2024, 0, 15), count: 2 },
+    ])
+})
+
+test('[CANDLES] Invalid ranges are rejected', async t => {
+    const fetchCandles = () => Promise.resolve([])
+
+    t.throws(() => parseInterval('5x'), { message: 'Unknown candle interval 5x.' })
+    await t.throwsAsync(() => candlesRange(fetchCandles, { symbol: 'ETHBTC' }), {
+        message: /requires a startTime/,
+    })
+    await t.throwsAsync(
+        () => candlesRange(fetchCandles, { symbol: 'ETHBTC', interval: '0m', startTime: 0 }),
+        { message: /Unknown candle interval/ },
+    )
+})
+
+test('[CANDLES] Client range methods call their endpoint', async t => {
+    const urls = []
+    const client = Binance({
+        fetch: url => {
+            urls.push(url)
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                url,
+                headers: new Map(),
+                text: () =>
+                    Promise.resolve('[[0,"1","2","0.5","1.5","10",59999,"15",3,"5","7.5"]]'),
+            })
+        },
+    })
+
+    const { candles } = await client.futuresMarkPriceCandlesRange({
+        symbol: 'BTCUSDT',
+        interval: '1m',
+        startTime: 0,
+        endTime: 0,
+    })
+    await client.deliveryIndexPriceCandlesRange({
+        pair: 'BTCUSD',
+        interval: '1m',
+        startTime: 0,
+        endTime: 0,
+    })
+
+    t.is(candles[0].close, '1.5')
+    t.true(urls[0].startsWith('https://fapi.binance.com/fapi/v1/markPriceKlines?'))
+    t.true(urls[0].includes('symbol=BTCUSDT'))
+    t.true(urls[1].startsWith('https://dapi.binance.com/dapi/v1/indexPriceKlines?'))
+    t.true(urls[1].includes('pair=BTCUSD'))
+})
+
+test('[CANDLES] Delivery requests span at most 200 days', async t => {
+    const DAY = 24 * 60 * MINUTE
+    const spans = []
+    const client = Binance({
+        fetch: url => {
+            const query = new URL(url).searchParams
+            spans.push(Number(query.get('endTime')) - Number(query.get('startTime')))
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                url,
+                headers: new Map(),
+                text: () => Promise.resolve('[]'),
+            })
+        },
+    })
+
+    const range = { symbol: 'BTCUSD_PERP', interval: '1d', startTime: 0, endTime: 999 * DAY }
+    await client.deliveryCandlesRange(range)
+    t.deepEqual(spans, [...Array(4).fill(200 * DAY - 1), 199 * DAY])
+
+    spans.length = 0
+    await client.deliveryCandlesRange({ ...range, interval: '1M', endTime: 365 * DAY })
+    t.true(spans.every(span => span <= 200 * DAY))
+
+    spans.length = 0
+    await client.futuresCandlesRange(range)
+    t.deepEqual(spans, [999 * DAY])
+})
@@ -0,0 +1,116 @@
+import test from 'ava'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import Binance, { createCassette } from 'index'
+
+const tmpCassette = name =>
+    path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'binance-cassette-')), `${name}.json`)
+
+const jsonResponse = body => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Map([
+        ['x-mbx-used-weight-1m', '10'],
+        ['set-cookie', 'session=1'],
+    ]),
+    text: () => Promise.resolve(JSON.stringify(body)),
+})
+
+const offline = () => Promise.reject(new Error('Offline'))
+
+test('[CASSETTE] Records and replays requests', async t => {
+    const cassettePath = tmpCassette('account')
+    let time = 1700000000000
+    let balance = 0
+    const sent = []
+
+    const recording = Binance({
+        apiKey: 'my-api-key',
+        apiSecret: 'my-api-secret',
+        getTime: () => time++,
+        cassette: { path: cassettePath, mode: 'record' },
+        fetch: (url, options) => {
+            sent.push({ url, options })
+            return Promise.resolve(
+                url.includes('/api/v3/account')
+                    ? jsonResponse({ balances: [{ asset: 'BTC', free: String(++balance) }] })
+                    : jsonResponse({ serverTime: 1700000000000 }),
+            )
+        },
+    })
+
+    const recorded = [
+        await recording.time(),
+        await recording.accountInfo(),
+        await recording.accountInfo(),
+    ]
+    t.is(sent.length, 3)
+
+    const text = fs.readFileSync(cassettePath, 'utf8')
+    const signature = new URL(sent[1].url).searchParams.get('signature')
+    t.false(text.includes('my-api-key'))
+    t.false(text.includes(signature))
+    t.false(text.includes('session=1'))
+    t.true(text.includes('x-mbx-used-weight-1m'))
+
+    // Replayed later, with other timestamps and no network
+    time = 1800000000000
+    const replaying = Binance({
+        apiKey: 'my-api-key',
+        apiSecret: 'my-api-secret',
+        getTime: () => time++,
+        cassette: { path: cassettePath },
+        fetch: offline,
+    })
+
+    t.deepEqual(
+        [await replaying.time(), await replaying.accountInfo(), await replaying.accountInfo()],
+        recorded,
+    )
+    // Past the recorded ones, the last response is repeated
+    t.deepEqual(await replaying.accountInfo(), recorded[2])
+    t.is(replaying.getInfo()['api.binance.com'].usedWeight1m, '10')
+
+    await t.throwsAsync(replaying.prices({ symbol: 'ETHBTC' }), {
+        message: /No recorded response for GET https:\/\/api.binance.com\/api\/v3\/ticker\/price/,
+    })
+})
+
+test('[CASSETTE] Masks the stream keys of responses', async t => {
+    const cassettePath = tmpCassette('stream')
+    const recording = Binance({
+        apiKey: 'my-api-key',
+        apiSecret: 'my-api-secret',
+        cassette: { path: cassettePath, mode: 'record' },
+        fetch: () => Promise.resolve(jsonResponse({ listenKey: 'my-listen-key' })),
+    })
+
+    // The client gets the real key, the cassette a masked one
+    t.deepEqual(await recording.getDataStream(), { listenKey: 'my-listen-key' })
+    await recording.keepDataStream({ listenKey: 'my-listen-key' })
+
+    const text = fs.readFileSync(cassettePath, 'utf8')
+    t.false(text.includes('my-listen-key'))
+
+    const replaying = Binance({
+        apiKey: 'my-api-key',
+        apiSecret: 'my-api-secret',
+        cassette: { path: cassettePath },
+        fetch: offline,
+    })
+    t.deepEqual(await replaying.getDataStream(), { listenKey: '[REDACTED]' })
+})
+
+test('[CASSETTE] Cassette options', t => {
+    t.throws(() => createCassette({ mode: 'record' }), { message: /needs a path/ })
+    t.throws(() => createCassette({ path: 'x.json', mode: 'record' }), {
+        message: /needs a fetch/,
+    })
+    t.throws(() => createCassette({ path: 'x.json', mode: 'live' }), {
+        message: /Unknown cassette mode live/,
+    })
+    t.is(createCassette({ path: 'x.json' }).mode, 'replay')
+})
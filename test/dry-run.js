@@ -0,0 +1,77 @@
+import test from 'ava'
+
+import Binance, { DryRunError } from 'index'
+
+const dryClient = options => {
+    const calls = []
+    const client = Binance({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        getTime: () => 1700000000000,
+        fetch: url => {
+            calls.push(url)
+            return Promise.reject(new Error(`Unexpected fetch of ${url}`))
+        },
+        dryRun: true,
+        ...options,
+    })
+    return { client, calls }
+}
+
+test('[DRY RUN] Orders resolve with the redacted request', async t => {
+    const { client, calls } = dryClient()
+
+    const prepared = await client.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'LIMIT',
+        quantity: '0.001',
+        price: '60000',
+        timeInForce: 'GTC',
+    })
+
+    t.is(calls.length, 0)
+    t.is(prepared.method, 'POST')
+    t.is(prepared.endpoint, '/api/v3/order')
+    t.true(prepared.url.startsWith('https://api.binance.com/api/v3/order?'))
+    t.notRegex(prepared.url, /signature=[0-9a-f]{64}/)
+    t.is(prepared.params.symbol, 'BTCUSDT')
+    t.is(prepared.params.timestamp, '1700000000000')
+    t.is(prepared.signature, '[REDACTED]')
+    t.is(prepared.headers['X-MBX-APIKEY'], '[REDACTED]')
+})
+
+test('[DRY RUN] Full requests are kept with redact false', async t => {
+    const { client, calls } = dryClient({ dryRun: { redact: false } })
+
+    const prepared = await client.withdraw({ coin: 'USDT', address: 'abc', amount: 10 })
+
+    t.is(calls.length, 0)
+    t.is(prepared.method, 'POST')
+    t.is(prepared.endpoint, '/sapi/v1/capital/withdraw/apply')
+    t.regex(prepared.signature, /^[0-9a-f]{64}$/)
+    t.true(prepared.url.endsWith(`&signature=${prepared.signature}`))
+    t.is(prepared.params.address, 'abc')
+    t.is(prepared.headers['X-MBX-APIKEY'], 'key')
+})
+
+test('[DRY RUN] Params sent in the body', async t => {
+    const { client, calls } = dryClient({ dryRun: { redact: false }, paramsInBody: true })
+
+    const batchOrders = JSON.stringify([{ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET' }])
+    const prepared = await client.futuresBatchOrders({ batchOrders })
+
+    t.is(calls.length, 0)
+    t.is(prepared.url, 'https://fapi.binance.com/fapi/v1/batchOrders')
+    t.is(prepared.params.batchOrders, batchOrders)
+    t.true(prepared.body.includes(`signature=${prepared.signature}`))
+})
+
+test('[DRY RUN] Iterators reject with the first request', async t => {
+    const { client } = dryClient()
+
+    const error = await t.throwsAsync(client.iterate.myTrades({ symbol: 'BTCUSDT' }).next(), {
+        instanceOf: DryRunError,
+    })
+    t.is(error.request.endpoint, '/api/v3/myTrades')
+})
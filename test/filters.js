@@ -0,0 +1,275 @@
+import test from 'ava'
+
+import Binance, { BinanceFilterError, applySymbolFilters } from 'index'
+import { needsReferencePrice } from 'filters'
+
+const ethbtc = {
+    symbol: 'ETHBTC',
+    filters: [
+        {
+            filterType: 'PRICE_FILTER',
+            minPrice: '0.00001000',
+            maxPrice: '922327.00000000',
+            tickSize: '0.00001000',
+        },
+        {
+            filterType: 'LOT_SIZE',
+            minQty: '0.00010000',
+            maxQty: '100000.00000000',
+            stepSize: '0.00010000',
+        },
+        { filterType: 'ICEBERG_PARTS', limit: 10 },
+        {
+            filterType: 'MARKET_LOT_SIZE',
+            minQty: '0.00000000',
+            maxQty: '1000.00000000',
+            stepSize: '0.00000000',
+        },
+        {
+            filterType: 'PERCENT_PRICE_BY_SIDE',
+            bidMultiplierUp: '5',
+            bidMultiplierDown: '0.2',
+            askMultiplierUp: '5',
+            askMultiplierDown: '0.2',
+            avgPriceMins: 5,
+        },
+        {
+            filterType: 'NOTIONAL',
+            minNotional: '0.00010000',
+            applyMinToMarket: true,
+            maxNotional: '9000000.00000000',
+            applyMaxToMarket: false,
+            avgPriceMins: 5,
+        },
+        { filterType: 'MAX_NUM_ORDERS', maxNumOrders: 200 },
+    ],
+}
+
+const btcusdt = {
+    symbol: 'BTCUSDT',
+    filters: [
+        { filterType: 'PRICE_FILTER', minPrice: '556.80', maxPrice: '4529764', tickSize: '0.10' },
+        { filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' },
+        { filterType: 'MARKET_LOT_SIZE', minQty: '0.001', maxQty: '120', stepSize: '0.001' },
+        { filterType: 'MAX_NUM_ORDERS', limit: 200 },
+        { filterType: 'MIN_NOTIONAL', notional: '100' },
+        {
+            filterType: 'PERCENT_PRICE',
+            multiplierUp: '1.0500',
+            multiplierDown: '0.9500',
+            multiplierDecimal: '4',
+        },
+    ],
+}
+
+const rejects = (t, fn, filterType, message) => {
+    const error = t.throws(fn, { instanceOf: BinanceFilterError, message })
+    t.is(error.filterType, filterType)
+    return error
+}
+
+test('[FILTERS] Rounds prices to the tick and quantities to the step', t => {
+    const order = { symbol: 'ETHBTC', side: 'BUY', type: 'LIMIT', quantity: 1.23456789 }
+
+    t.deepEqual(applySymbolFilters({ ...order, price: '0.0512349' }, ethbtc), {
+        ...order,
+        price: '0.05123',
+        quantity: '1.2345',
+    })
+    t.is(
+        applySymbolFilters({ ...order, side: 'SELL', price: '0.0512341' }, ethbtc).price,
+        '0.05124',
+    )
+    t.is(
+        applySymbolFilters({ ...order, type: 'STOP_LOSS', stopPrice: '0.051236' }, ethbtc)
+            .stopPrice,
+        '0.05124',
+    )
+
+    // Exact math, 0.3 / 0.1 has no float remainder issue
+    const exact = applySymbolFilters(
+        { symbol: 'BTCUSDT', side: 'BUY', price: '60000.3', quantity: '0.003' },
+        btcusdt,
+    )
+    t.is(exact.price, '60000.3')
+    t.is(exact.quantity, '0.003')
+})
+
+test('[FILTERS] Validate mode throws on values off their step', t => {
+    const order = { symbol: 'ETHBTC', side: 'BUY', price: '0.05', quantity: '1.00005' }
+
+    const error = rejects(
+        t,
+        () => applySymbolFilters(order, ethbtc, { mode: 'validate' }),
+        'LOT_SIZE',
+        'Filter failure: LOT_SIZE, quantity 1.00005 is not a multiple of 0.00010000 for ETHBTC.',
+    )
+    t.is(error.field, 'quantity')
+    t.is(error.symbol, 'ETHBTC')
+    t.false(error.isRetryable())
+    t.notThrows(() => applySymbolFilters({ ...order, quantity: '1' }, ethbtc, { mode: 'validate' }))
+})
+
+test('[FILTERS] Ranges and notional are checked', t => {
+    const order = { symbol: 'BTCUSDT', side: 'BUY', price: '60000' }
+
+    rejects(
+        t,
+        () => applySymbolFilters({ ...order, quantity: '0.0009' }, btcusdt),
+        'LOT_SIZE',
+        /quantity 0 is below the minimum 0.001/,
+    )
+    rejects(
+        t,
+        () => applySymbolFilters({ ...order, price: '500', quantity: '1' }, btcusdt),
+        'PRICE_FILTER',
+        /price 500 is below the minimum 556.8/,
+    )
+    const error = rejects(
+        t,
+        () => applySymbolFilters({ ...order, quantity: '0.001' }, btcusdt),
+        'MIN_NOTIONAL',
+        'Filter failure: MIN_NOTIONAL, notional 60 is below the minimum 100 for BTCUSDT.',
+    )
+    t.is(error.field, 'quantity')
+
+    // Reduce only orders are exempt from the minimum notional
+    t.notThrows(() =>
+        applySymbolFilters({ ...order, quantity: '0.001', reduceOnly: 'true' }, btcusdt),
+    )
+
+    // Market orders use MARKET_LOT_SIZE as well and the reference price
+    rejects(
+        t,
+        () =>
+            applySymbolFilters({ ...order, type: 'MARKET', quantity: '121' }, btcusdt, {
+                referencePrice: '60000',
+            }),
+        'MARKET_LOT_SIZE',
+        /above the maximum 120/,
+    )
+    rejects(
+        t,
+        () =>
+            applySymbolFilters({ ...order, type: 'MARKET', quantity: '0.001' }, btcusdt, {
+                referencePrice: '60000',
+            }),
+        'MIN_NOTIONAL',
+        /notional 60 is below/,
+    )
+    rejects(
+        t,
+        () =>
+            applySymbolFilters(
+                { symbol: 'ETHBTC', side: 'BUY', type: 'MARKET', quoteOrderQty: '0.00001' },
+                ethbtc,
+            ),
+        'NOTIONAL',
+        /notional 0.00001 is below the minimum 0.0001/,
+    )
+})
+
+test('[FILTERS] Prices are checked against the reference price', t => {
+    const order = { symbol: 'BTCUSDT', side: 'SELL', quantity: '1' }
+
+    t.true(needsReferencePrice({ ...order, price: '60000' }, btcusdt))
+    t.false(needsReferencePrice({ ...order, price: '60000' }, { symbol: 'X', filters: [] }))
+    rejects(
+        t,
+        () =>
+            applySymbolFilters({ ...order, price: '63001' }, btcusdt, { referencePrice: '60000' }),
+        'PERCENT_PRICE',
+        /price 63001 is above the maximum 63000/,
+    )
+    t.notThrows(() =>
+        applySymbolFilters({ ...order, price: '63000' }, btcusdt, { referencePrice: '60000' }),
+    )
+    rejects(
+        t,
+        () =>
+            applySymbolFilters(
+                { symbol: 'ETHBTC', side: 'BUY', price: '0.009', quantity: '1' },
+                ethbtc,
+                { referencePrice: '0.05' },
+            ),
+        'PERCENT_PRICE_BY_SIDE',
+        /below the minimum 0.01/,
+    )
+})
+
+test('[FILTERS] Open orders are checked against MAX_NUM_ORDERS', t => {
+    const order = { symbol: 'ETHBTC', side: 'BUY', price: '0.05', quantity: '1' }
+
+    rejects(
+        t,
+        () => applySymbolFilters(order, ethbtc, { openOrders: 200 }),
+        'MAX_NUM_ORDERS',
+        /200 orders are already open, the maximum is 200/,
+    )
+    t.notThrows(() => applySymbolFilters(order, ethbtc, { openOrders: 199 }))
+})
+
+const fakeFetch = routes => {
+    const urls = []
+    const fetch = url => {
+        urls.push(url)
+        const path = new URL(url).pathname
+        return Promise.resolve({
+            ok: true,
+            status: 200,
+            url,
+            headers: new Map(),
+            text: () => Promise.resolve(JSON.stringify(routes[path])),
+        })
+    }
+    return { fetch, urls }
+}
+
+test('[FILTERS] Client orders go through the filters of their symbol', async t => {
+    const { fetch, urls } = fakeFetch({
+        '/api/v3/exchangeInfo': { rateLimits: [], symbols: [ethbtc] },
+        '/api/v3/avgPrice': { mins: 5, price: '0.05' },
+        '/api/v3/openOrders': [],
+        '/api/v3/order/test': {},
+        '/fapi/v1/exchangeInfo': { rateLimits: [], symbols: [btcusdt] },
+        '/fapi/v1/premiumIndex': { symbol: 'BTCUSDT', markPrice: '60000' },
+        '/fapi/v1/openOrders': [],
+    })
+    const client = Binance({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        fetch,
+        filters: { mode: 'adjust', countOpenOrders: true },
+    })
+
+    await client.orderTest({
+        symbol: 'ETHBTC',
+        side: 'BUY',
+        price: '0.0512349',
+        quantity: '1.23456',
+    })
+    await client.orderTest({ symbol: 'ETHBTC', side: 'SELL', price: '0.06', quantity: '1' })
+
+    const orders = urls.filter(url => url.includes('/order/test'))
+    t.true(orders[0].includes('price=0.05123'))
+    t.true(orders[0].includes('quantity=1.2345'))
+    t.is(urls.filter(url => url.includes('/exchangeInfo')).length, 1)
+    t.is(urls.filter(url => url.includes('/avgPrice')).length, 2)
+
+    await t.throwsAsync(
+        () =>
+            client.futuresOrder({
+                symbol: 'BTCUSDT',
+                side: 'BUY',
+                price: '60000',
+                quantity: 0.001,
+            }),
+        { instanceOf: BinanceFilterError, message: /MIN_NOTIONAL/ },
+    )
+    t.false(urls.some(url => url.includes('/fapi/v1/order')))
+
+    await t.throwsAsync(() => client.orderTest({ symbol: 'XRPBTC', side: 'BUY', quantity: 1 }), {
+        message: 'Unknown symbol XRPBTC.',
+    })
+    t.throws(() => Binance({ filters: 'round' }), { message: /Unknown filters mode round/ })
+})
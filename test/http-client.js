@@ -0,0 +1,956 @@
+import crypto from 'crypto'
+import http from 'http'
+import net from 'net'
+import test from 'ava'
+
+import Binance, {
+    BinanceApiError,
+    BinanceHttpError,
+    BinanceNetworkError,
+    BinanceRateLimitError,
+    BinanceTimeoutError,
+    ErrorCodes,
+} from 'index'
+
+import { createHttpServer } from './utils'
+
+const hangingServer = () =>
+    createHttpServer(() => {
+        // Never answer, the client has to give up by itself
+    })
+
+test.serial('[REST] Client timeout cancels a hung request', async t => {
+    const server = hangingServer()
+    const client = Binance({ httpBase: server.url, timeout: 100 })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() => client.ping())
+        t.true(error instanceof BinanceTimeoutError)
+        t.is(error.timeout, 100)
+        t.is(error.url, `${server.url}/api/v3/ping`)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Per-call timeout overrides the client default', async t => {
+    const server = hangingServer()
+    const client = Binance({ httpBase: server.url, timeout: 60e3 })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() => client.trades({ symbol: 'ETHBTC', timeout: 50 }))
+        t.true(error instanceof BinanceTimeoutError)
+        t.is(error.timeout, 50)
+        t.is(error.url, `${server.url}/api/v3/trades?symbol=ETHBTC`)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Per-call signal aborts a signed request', async t => {
+    const server = hangingServer()
+    const client = Binance({ httpBase: server.url, apiKey: 'key', apiSecret: 'secret' })
+    const controller = new AbortController()
+
+    try {
+        await server.start()
+        const call = client.openOrders({ symbol: 'ETHBTC', signal: controller.signal })
+        setTimeout(() => controller.abort(), 50)
+        const error = await t.throwsAsync(() => call)
+        t.is(error.name, 'AbortError')
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Already aborted signal rejects without a request', async t => {
+    let requests = 0
+    const server = createHttpServer((req, res) => {
+        requests++
+        res.end('{}')
+    })
+    const client = Binance({ httpBase: server.url })
+    const controller = new AbortController()
+    controller.abort()
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() => client.avgPrice({ signal: controller.signal }))
+        t.is(error.name, 'AbortError')
+        t.is(requests, 0)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Request options are not sent to the api', async t => {
+    let url = null
+    const server = createHttpServer((req, res) => {
+        url = req.url
+        res.end('[]')
+    })
+    const client = Binance({ httpBase: server.url })
+
+    try {
+        await server.start()
+        await client.trades({
+            symbol: 'ETHBTC',
+            timeout: 1000,
+            signal: new AbortController().signal,
+        })
+        t.is(url, '/api/v3/trades?symbol=ETHBTC')
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Methods without a payload take the request options', async t => {
+    const server = hangingServer()
+    const client = Binance({ httpBase: server.url, apiKey: 'key', apiSecret: 'secret' })
+    const controller = new AbortController()
+
+    try {
+        await server.start()
+        const timedOut = await t.throwsAsync(() => client.ping({ timeout: 50, foo: 'bar' }))
+        t.true(timedOut instanceof BinanceTimeoutError)
+        t.is(timedOut.url, `${server.url}/api/v3/ping`)
+
+        const call = client.marginAccount({ signal: controller.signal })
+        setTimeout(() => controller.abort(), 50)
+        t.is((await t.throwsAsync(() => call)).name, 'AbortError')
+    } finally {
+        await server.stop()
+    }
+})
+
+const sequenceServer = replies => {
+    const requests = []
+    const server = createHttpServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`)
+        const {
+            status = 200,
+            body = {},
+            headers = {},
+        } = replies[Math.min(requests.length - 1, replies.length - 1)]
+        res.writeHead(status, headers)
+        res.end(typeof body === 'string' ? body : JSON.stringify(body))
+    })
+    server.requests = requests
+    return server
+}
+
+const fastRetry = { retries: 3, minDelay: 1, maxDelay: 1000, jitter: false }
+
+test.serial('[REST] Retry 5xx responses until success', async t => {
+    const server = sequenceServer([
+        { status: 502, body: '<html>Bad Gateway</html>' },
+        { status: 503, body: '<html>Unavailable</html>' },
+        { body: { serverTime: 1 } },
+    ])
+    const client = Binance({ httpBase: server.url, retry: fastRetry })
+
+    try {
+        await server.start()
+        t.is(await client.time(), 1)
+        t.is(server.requests.length, 3)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Retry -1003 and honour Retry-After', async t => {
+    const server = sequenceServer([
+        {
+            status: 429,
+            body: { code: -1003, msg: 'Too many requests' },
+            headers: { 'Retry-After': '0' },
+        },
+        { body: [] },
+    ])
+    const retries = []
+    const client = Binance({
+        httpBase: server.url,
+        retry: { ...fastRetry, onRetry: (error, attempt, delay) => retries.push(delay) },
+    })
+
+    try {
+        await server.start()
+        t.deepEqual(await client.trades({ symbol: 'ETHBTC' }), [])
+        t.deepEqual(retries, [0])
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Give up when Retry-After exceeds maxDelay', async t => {
+    const server = sequenceServer([
+        {
+            status: 429,
+            body: { code: -1003, msg: 'Too many requests' },
+            headers: { 'Retry-After': '60' },
+        },
+    ])
+    const client = Binance({ httpBase: server.url, retry: fastRetry })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() => client.ping())
+        t.is(error.code, -1003)
+        t.is(error.status, 429)
+        t.is(server.requests.length, 1)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Never retry an IP ban', async t => {
+    const server = sequenceServer([{ status: 418, body: { code: -1003, msg: 'IP banned' } }])
+    const client = Binance({ httpBase: server.url, retry: fastRetry })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() => client.ping())
+        t.is(error.status, 418)
+        t.is(server.requests.length, 1)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Stop after the configured number of retries', async t => {
+    const server = sequenceServer([{ status: 500, body: { code: -1000, msg: 'Unknown' } }])
+    const client = Binance({ httpBase: server.url, retry: fastRetry })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() => client.ping())
+        t.is(error.code, -1000)
+        t.is(server.requests.length, 4)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Do not replay orders with an unknown execution status', async t => {
+    const server = sequenceServer([
+        { status: 503, body: { code: -1007, msg: 'Timeout waiting for response' } },
+        { body: {} },
+    ])
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        retry: fastRetry,
+    })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() =>
+            client.order({ symbol: 'ETHBTC', side: 'BUY', quantity: 1, price: 1 }),
+        )
+        t.is(error.code, -1007)
+        t.is(server.requests.length, 1)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Re-sign rate limited orders before sending them again', async t => {
+    const server = sequenceServer([
+        { status: 429, body: { code: -1003, msg: 'Too many requests' } },
+        { body: {} },
+    ])
+    let time = 1000
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        getTime: () => time++,
+        retry: fastRetry,
+    })
+
+    try {
+        await server.start()
+        await client.order({ symbol: 'ETHBTC', side: 'BUY', quantity: 1, price: 1 })
+        t.is(server.requests.length, 2)
+        t.true(server.requests[0].includes('timestamp=1000'))
+        t.true(server.requests[1].includes('timestamp=1001'))
+    } finally {
+        await server.stop()
+    }
+})
+
+const weightLimit = limit => [
+    { rateLimitType: 'REQUEST_WEIGHT', interval: 'SECOND', intervalNum: 1, limit },
+]
+
+test.serial('[REST] Rate limiter queues calls until the window resets', async t => {
+    const server = sequenceServer([{ body: {} }])
+    const client = Binance({
+        httpBase: server.url,
+        rateLimit: { margin: 0, limits: { spot: weightLimit(2) } },
+    })
+
+    try {
+        await server.start()
+        const start = Date.now()
+        await Promise.all([client.ping(), client.ping(), client.ping()])
+        const { spot } = client.rateLimiter.usage()
+
+        t.is(server.requests.length, 3)
+        t.is(spot.queued, 0)
+        t.true(Date.now() - start <= 2000)
+        t.true(spot.limits[0].used <= 2)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Rate limiter rejects calls in reject mode', async t => {
+    const server = sequenceServer([{ body: [] }])
+    const client = Binance({
+        httpBase: server.url,
+        rateLimit: {
+            mode: 'reject',
+            margin: 0,
+            limits: { spot: [{ ...weightLimit(30)[0], interval: 'MINUTE' }] },
+        },
+    })
+
+    try {
+        await server.start()
+        await client.trades({ symbol: 'ETHBTC' })
+        const error = await t.throwsAsync(() => client.trades({ symbol: 'ETHBTC' }))
+
+        t.true(error instanceof BinanceRateLimitError)
+        t.is(error.domain, 'spot')
+        t.is(error.rateLimitType, 'REQUEST_WEIGHT')
+        t.true(error.waitTime > 0)
+        t.is(server.requests.length, 1)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Rate limiter syncs usage from headers per domain', async t => {
+    const server = sequenceServer([
+        { body: {}, headers: { 'x-mbx-used-weight-1m': '1500', 'x-mbx-order-count-1m': '7' } },
+    ])
+    const client = Binance({ httpBase: server.url, httpFutures: server.url, rateLimit: true })
+
+    try {
+        await server.start()
+        await client.futuresPing()
+        const usage = client.rateLimiter.usage()
+        const used = type =>
+            usage.futures.limits.find(l => l.rateLimitType === type && l.interval === 60e3).used
+
+        t.is(used('REQUEST_WEIGHT'), 1500)
+        t.is(used('ORDERS'), 7)
+        t.falsy(usage.spot)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Rate limiter reads limits from exchangeInfo', async t => {
+    const server = sequenceServer([
+        {
+            body: {
+                rateLimits: [
+                    {
+                        rateLimitType: 'REQUEST_WEIGHT',
+                        interval: 'MINUTE',
+                        intervalNum: 1,
+                        limit: 1200,
+                    },
+                ],
+            },
+        },
+    ])
+    const client = Binance({ httpBase: server.url, rateLimit: true })
+
+    try {
+        await server.start()
+        await client.exchangeInfo()
+        const { spot } = client.rateLimiter.usage()
+
+        t.is(spot.limits.length, 1)
+        t.is(spot.limits[0].limit, 1200)
+        t.is(spot.limits[0].used, 20)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Rate limiter counts orders', async t => {
+    const server = sequenceServer([{ body: {} }])
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        rateLimit: true,
+    })
+
+    try {
+        await server.start()
+        await client.order({ symbol: 'ETHBTC', side: 'BUY', quantity: 1, price: 1 })
+        await client.getOrder({ symbol: 'ETHBTC', orderId: 1 })
+        const { spot } = client.rateLimiter.usage()
+        const orders = spot.limits.find(l => l.rateLimitType === 'ORDERS')
+        const weight = spot.limits.find(l => l.rateLimitType === 'REQUEST_WEIGHT')
+
+        t.is(orders.used, 1)
+        t.is(weight.used, 5)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Limits info is kept per client', async t => {
+    let weight = 0
+    const server = createHttpServer((req, res) => {
+        weight += 10
+        res.writeHead(200, { 'x-mbx-used-weight-1m': String(weight) })
+        res.end('{}')
+    })
+    const first = Binance({ httpBase: server.url, apiKey: 'first' })
+    const second = Binance({ httpBase: server.url, apiKey: 'second' })
+
+    try {
+        await server.start()
+        await first.ping()
+        await second.ping()
+
+        t.deepEqual(first.getInfo(), { '127.0.0.1': { usedWeight1m: '10' } })
+        t.deepEqual(second.getInfo(), { '127.0.0.1': { usedWeight1m: '20' } })
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Usage change events when crossing thresholds', async t => {
+    const weights = ['900', '1100', '2500', '40']
+    const server = createHttpServer((req, res) => {
+        res.writeHead(200, { 'x-mbx-used-weight-1m': weights.shift() })
+        res.end('{}')
+    })
+    const events = []
+    const client = Binance({
+        httpBase: server.url,
+        usageThresholds: { usedWeight1m: [1000, 2000] },
+        onUsageChange: event => events.push(event),
+    })
+
+    try {
+        await server.start()
+        for (let i = 0; i < 4; i++) {
+            await client.ping()
+        }
+
+        t.deepEqual(
+            events.map(({ threshold, direction, value }) => [threshold, direction, value]),
+            [
+                [1000, 'up', '1100'],
+                [2000, 'up', '2500'],
+                [1000, 'down', '40'],
+                [2000, 'down', '40'],
+            ],
+        )
+        t.is(events[0].domain, '127.0.0.1')
+        t.is(events[0].key, 'usedWeight1m')
+        t.is(events[0].previous, '900')
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Api errors carry the request details', async t => {
+    const server = sequenceServer([
+        { status: 400, body: { code: -1021, msg: 'Timestamp outside of the recvWindow.' } },
+    ])
+    const client = Binance({ httpBase: server.url, apiKey: 'key', apiSecret: 'secret' })
+
+    try {
+        await server.start()
+        const error = await t.throwsAsync(() =>
+            client.cancelOrder({ symbol: 'ETHBTC', orderId: 1 }),
+        )
+
+        t.true(error instanceof BinanceApiError)
+        t.is(error.message, 'Timestamp outside of the recvWindow.')
+        t.is(error.status, 400)
+        t.is(error.code, ErrorCodes.INVALID_TIMESTAMP)
+        t.is(error.codeName, 'INVALID_TIMESTAMP')
+        t.is(error.method, 'DELETE')
+        t.is(error.endpoint, '/api/v3/order')
+        t.is(error.params.symbol, 'ETHBTC')
+        t.is(error.params.signature, '[REDACTED]')
+        t.true(error.url.includes('signature=%5BREDACTED%5D'))
+        t.false(error.isRetryable())
+        t.false(error.isRateLimit())
+        t.false(error.isAuth())
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Error classification helpers', async t => {
+    const server = sequenceServer([
+        {
+            status: 401,
+            body: { code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' },
+        },
+        { status: 429, body: { code: -1003, msg: 'Too many requests' } },
+        { status: 418, body: { code: -1003, msg: 'IP banned' } },
+        { status: 502, body: '<html>Bad Gateway</html>' },
+    ])
+    const client = Binance({ httpBase: server.url })
+
+    try {
+        await server.start()
+        const auth = await t.throwsAsync(() => client.ping())
+        const rateLimit = await t.throwsAsync(() => client.ping())
+        const ban = await t.throwsAsync(() => client.ping())
+        const gateway = await t.throwsAsync(() => client.ping())
+
+        t.true(auth.isAuth())
+        t.false(auth.isRetryable())
+        t.true(rateLimit.isRateLimit())
+        t.true(rateLimit.isRetryable())
+        t.true(ban.isRateLimit())
+        t.false(ban.isRetryable())
+        t.true(gateway instanceof BinanceHttpError)
+        t.is(gateway.responseText, '<html>Bad Gateway</html>')
+        t.true(gateway.isRetryable())
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Network failures are wrapped', async t => {
+    const server = createHttpServer(() => null)
+    const client = Binance({ httpBase: server.url })
+
+    const error = await t.throwsAsync(() => client.ping())
+    t.true(error instanceof BinanceNetworkError)
+    t.is(error.code, 'ECONNREFUSED')
+    t.truthy(error.cause)
+    t.true(error.isRetryable())
+    t.is(error.endpoint, '/api/v3/ping')
+})
+
+const timeServer = (serverTimes, replies = [{ body: {} }]) => {
+    const requests = []
+    let times = 0
+    let calls = 0
+    const server = createHttpServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`)
+        if (req.url.endsWith('/time')) {
+            const serverTime = serverTimes[Math.min(times++, serverTimes.length - 1)]
+            return res.end(JSON.stringify({ serverTime }))
+        }
+        const { status = 200, body } = replies[Math.min(calls++, replies.length - 1)]
+        res.writeHead(status)
+        res.end(JSON.stringify(body))
+    })
+    server.requests = requests
+    return server
+}
+
+test.serial('[REST] Time sync applies the server clock offset to signed calls', async t => {
+    const server = timeServer([10000])
+    const client = Binance({
+        httpBase: server.url,
+        httpFutures: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        syncTime: { getTime: () => 1000 },
+    })
+
+    try {
+        await server.start()
+        await Promise.all([client.openOrders(), client.accountInfo()])
+        await client.futuresOpenOrders()
+
+        t.deepEqual(
+            server.requests.filter(r => r.includes('/time')),
+            ['GET /api/v3/time', 'GET /fapi/v1/time'],
+        )
+        server.requests
+            .filter(r => r.includes('signature'))
+            .forEach(r => t.true(r.includes('timestamp=10000&')))
+        t.deepEqual(client.serverClock.offsets().spot, { offset: 9000, rtt: 0, syncedAt: 1000 })
+    } finally {
+        client.serverClock.stop()
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Time sync measures again after an invalid timestamp', async t => {
+    const server = timeServer(
+        [5000, 8000],
+        [
+            { status: 400, body: { code: -1021, msg: 'Timestamp outside of recvWindow' } },
+            { body: {} },
+        ],
+    )
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        syncTime: { getTime: () => 1000 },
+    })
+
+    try {
+        await server.start()
+        await client.order({ symbol: 'ETHBTC', side: 'BUY', quantity: 1, price: 1 })
+        t.is(server.requests.length, 4)
+        t.true(server.requests[1].includes('timestamp=5000&'))
+        t.is(server.requests[2], 'GET /api/v3/time')
+        t.true(server.requests[3].includes('timestamp=8000&'))
+    } finally {
+        client.serverClock.stop()
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Time sync measures with the client clock', async t => {
+    const server = timeServer([10000])
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        getTime: () => 4000,
+        syncTime: true,
+    })
+
+    try {
+        await server.start()
+        await client.openOrders()
+        t.deepEqual(client.serverClock.offsets().spot, { offset: 6000, rtt: 0, syncedAt: 4000 })
+        t.true(server.requests[1].includes('timestamp=10000&'))
+    } finally {
+        client.serverClock.stop()
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Time sync falls back to the local clock when unreachable', async t => {
+    const server = createHttpServer((req, res) => {
+        res.writeHead(req.url.endsWith('/time') ? 500 : 200)
+        res.end('{}')
+    })
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        syncTime: { getTime: () => 1000, interval: 0 },
+    })
+
+    try {
+        await server.start()
+        await client.openOrders()
+        t.deepEqual(client.serverClock.offsets().spot, { offset: 0, rtt: null, syncedAt: null })
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Client recvWindow is sent with signed calls', async t => {
+    const server = sequenceServer([{ body: {} }])
+    const client = Binance({
+        httpBase: server.url,
+        httpFutures: server.url,
+        httpDelivery: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        recvWindow: { spot: 10000, futures: 2000 },
+    })
+
+    try {
+        await server.start()
+        await client.openOrders()
+        await client.openOrders({ recvWindow: 30000 })
+        await client.futuresOpenOrders()
+        await client.deliveryOpenOrders()
+        await client.keepDataStream({ listenKey: 'key' })
+
+        t.true(server.requests[0].includes('recvWindow=10000&'))
+        t.true(server.requests[1].includes('recvWindow=30000&'))
+        t.false(server.requests[1].includes('recvWindow=10000'))
+        t.true(server.requests[2].includes('recvWindow=2000&'))
+        t.false(server.requests[3].includes('recvWindow'))
+        t.is(server.requests[4], 'PUT /api/v3/userDataStream?listenKey=key')
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Client recvWindow above the maximum is rejected', t => {
+    t.throws(() => Binance({ recvWindow: 60001 }), { message: /recvWindow must be a number/ })
+    t.throws(() => Binance({ recvWindow: { futures: 90000 } }), { message: /for futures/ })
+    t.throws(() => Binance({ recvWindow: { papi: 5000 } }), { message: /Unknown recvWindow/ })
+    t.notThrows(() => Binance({ recvWindow: 60000 }))
+})
+
+test.serial('[REST] Call recvWindow above the maximum is rejected', t => {
+    const client = Binance({ apiKey: 'key', apiSecret: 'secret' })
+    t.throws(() => client.futuresAccountBalance({ recvWindow: 90000 }), {
+        message: 'recvWindow must be a number between 0 and 60000ms, got 90000 for futures.',
+    })
+})
+
+test.serial('[REST] Interceptors see every request and response', async t => {
+    const headers = []
+    const apiKeys = []
+    const server = createHttpServer((req, res) => {
+        headers.push(req.headers['x-trace-id'])
+        apiKeys.push(req.headers['x-mbx-apikey'])
+        if (req.url.startsWith('/api/v3/openOrders')) {
+            res.writeHead(400)
+            return res.end(JSON.stringify({ code: -1121, msg: 'Invalid symbol.' }))
+        }
+        res.writeHead(200, { 'x-mbx-used-weight-1m': '12', 'content-type': 'application/json' })
+        res.end('{}')
+    })
+    const events = []
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        interceptors: [
+            {
+                onRequest: ctx => {
+                    ctx.headers['X-Trace-Id'] = `trace-${events.length}`
+                    events.push(['request', ctx.method, ctx.endpoint])
+                },
+            },
+            {
+                onResponse: ctx => events.push(['response', ctx.status, ctx.rateLimits, ctx]),
+                onError: ctx => events.push(['error', ctx.status, ctx.error.code, ctx]),
+            },
+        ],
+    })
+
+    try {
+        await server.start()
+        await client.publicRequest('GET', '/api/v3/ping')
+        await client.privateRequest('GET', '/api/v3/account', {})
+        await t.throwsAsync(() => client.openOrders({ symbol: 'NOPE' }))
+
+        t.deepEqual(headers, ['trace-0', 'trace-2', 'trace-4'])
+        t.deepEqual(events[0], ['request', 'GET', '/api/v3/ping'])
+        t.is(events[1][1], 200)
+        t.deepEqual(events[1][2], { 'x-mbx-used-weight-1m': '12' })
+        t.is(typeof events[1][3].duration, 'number')
+
+        const account = events[3][3]
+        t.is(account.endpoint, '/api/v3/account')
+        t.is(account.params.signature, '[REDACTED]')
+        t.true(account.url.includes('signature=%5BREDACTED%5D'))
+        // Hooks see a masked api key, the real one is sent
+        t.is(account.headers['X-MBX-APIKEY'], '[REDACTED]')
+        t.is(apiKeys[1], 'key')
+
+        t.deepEqual(events[4], ['request', 'GET', '/api/v3/openOrders'])
+        t.is(events[5][0], 'error')
+        t.is(events[5][1], 400)
+        t.is(events[5][2], -1121)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Custom fetch and agent are used for every call', async t => {
+    const agent = {}
+    const calls = []
+    const client = Binance({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        agent,
+        fetch: (url, options) => {
+            calls.push({ url, options })
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                url,
+                headers: new Map(),
+                text: () => Promise.resolve('{"serverTime":1}'),
+            })
+        },
+    })
+
+    t.is(await client.time(), 1)
+    await client.openOrders()
+
+    t.is(calls.length, 2)
+    t.is(calls[0].url, 'https://api.binance.com/api/v3/time')
+    t.true(calls.every(call => call.options.agent === agent))
+})
+
+const socketServer = () => {
+    const sockets = new Set()
+    const server = createHttpServer((req, res) => {
+        sockets.add(req.socket)
+        res.end('{}')
+    })
+    server.sockets = sockets
+    return server
+}
+
+test.serial('[REST] Connections are kept alive and shared by the calls of a client', async t => {
+    const server = socketServer()
+    const client = Binance({ httpBase: server.url, apiKey: 'key', apiSecret: 'secret' })
+
+    try {
+        await server.start()
+        await client.ping()
+        await client.avgPrice({ symbol: 'ETHBTC' })
+        await client.openOrders()
+        t.is(server.sockets.size, 1)
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Keep-alive can be disabled', async t => {
+    const server = socketServer()
+    const client = Binance({ httpBase: server.url, keepAlive: false })
+
+    try {
+        await server.start()
+        await client.ping()
+        await client.ping()
+        t.is(server.sockets.size, 2)
+    } finally {
+        await server.stop()
+    }
+})
+
+// Proxy tunnelling CONNECT requests, counting them
+const startProxy = () =>
+    new Promise(resolve => {
+        const sockets = []
+        const proxy = http.createServer()
+        proxy.connects = 0
+        proxy.on('connect', (req, socket) => {
+            proxy.connects++
+            const [host, port] = req.url.split(':')
+            const upstream = net.connect(Number(port), host, () => {
+                socket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+                upstream.pipe(socket)
+                socket.pipe(upstream)
+            })
+            sockets.push(socket, upstream)
+        })
+        proxy.stop = () => {
+            sockets.forEach(socket => socket.destroy())
+            return new Promise(done => proxy.close(done))
+        }
+        proxy.listen(0, '127.0.0.1', () => resolve(proxy))
+    })
+
+test.serial('[REST] Proxied calls share their connections', async t => {
+    const server = socketServer()
+    const proxy = await startProxy()
+    const client = Binance({
+        httpBase: server.url,
+        proxy: `http://127.0.0.1:${proxy.address().port}`,
+    })
+
+    try {
+        await server.start()
+        await client.ping()
+        await client.ping()
+        await client.ping()
+        t.is(proxy.connects, 1)
+        t.is(server.sockets.size, 1)
+    } finally {
+        await proxy.stop()
+        await server.stop()
+    }
+})
+
+test.serial('[REST] Signed params can be sent in the request body', async t => {
+    const requests = []
+    const server = createHttpServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => (body += chunk))
+        req.on('end', () => {
+            requests.push({
+                method: req.method,
+                url: req.url,
+                body,
+                type: req.headers['content-type'],
+            })
+            res.end('{}')
+        })
+    })
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        apiSecret: 'secret',
+        getTime: () => 1000,
+        paramsInBody: true,
+    })
+
+    try {
+        await server.start()
+        await client.order({ symbol: 'ETHBTC', side: 'BUY', quantity: 1, price: 1 })
+        await client.openOrders({ symbol: 'ETHBTC' })
+
+        const [order, openOrders] = requests
+        t.is(order.url, '/api/v3/order')
+        t.is(order.type, 'application/x-www-form-urlencoded')
+
+        const [signed, signature] = order.body.split('&signature=')
+        t.true(signed.includes('symbol=ETHBTC&side=BUY'))
+        t.true(signed.endsWith('timestamp=1000'))
+        t.is(signature, crypto.createHmac('sha256', 'secret').update(signed).digest('hex'))
+
+        t.is(openOrders.body, '')
+        t.true(openOrders.url.startsWith('/api/v3/openOrders?symbol=ETHBTC&timestamp=1000'))
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] External signer signs private calls', async t => {
+    const server = sequenceServer([{ body: {} }])
+    const payloads = []
+    const client = Binance({
+        httpBase: server.url,
+        apiKey: 'key',
+        getTime: () => 1000,
+        signer: payload => {
+            payloads.push(payload)
+            return Promise.resolve('kms-signature')
+        },
+    })
+
+    try {
+        await server.start()
+        await client.openOrders({ symbol: 'ETHBTC' })
+        t.deepEqual(payloads, ['symbol=ETHBTC&timestamp=1000'])
+        t.is(
+            server.requests[0],
+            'GET /api/v3/openOrders?symbol=ETHBTC&timestamp=1000&signature=kms-signature',
+        )
+    } finally {
+        await server.stop()
+    }
+})
+
+test.serial('[REST] External signer failures reject the call', async t => {
+    const failing = Binance({
+        apiKey: 'key',
+        signer: () => Promise.reject(new Error('KMS unavailable')),
+    })
+    const empty = Binance({ apiKey: 'key', signer: () => undefined })
+
+    await t.throwsAsync(() => failing.accountInfo(), { message: 'KMS unavailable' })
+    await t.throwsAsync(() => empty.accountInfo(), { message: /signature string/ })
+})
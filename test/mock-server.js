@@ -0,0 +1,162 @@
+import test from 'ava'
+
+import Binance from 'index'
+import { createMockServer } from 'mock'
+
+const nextEvent = subscribe =>
+    new Promise(resolve => {
+        const clean = subscribe(event => {
+            Promise.resolve(clean).then(close => close())
+            resolve(event)
+        })
+    })
+
+const startServer = async (t, options) => {
+    const server = createMockServer(options)
+    const endpoints = await server.start()
+    t.teardown(() => server.stop())
+    return { server, endpoints }
+}
+
+test('[MOCK SERVER] Spot orders through the REST client', async t => {
+    const { server, endpoints } = await startServer(t)
+    const client = Binance({ apiKey: 'mock-api-key', apiSecret: 'mock-api-secret', ...endpoints })
+
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '0.5']] })
+
+    const book = await client.book({ symbol: 'BTCUSDT' })
+    t.deepEqual(book.asks, [{ price: '60010.00000000', quantity: '0.50000000' }])
+
+    const bought = await client.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.1',
+    })
+    t.is(bought.status, 'FILLED')
+    t.is(bought.fills[0].price, '60010.00000000')
+
+    const resting = await client.order({
+        symbol: 'BTCUSDT',
+        side: 'SELL',
+        type: 'LIMIT',
+        price: '61000',
+        quantity: '0.1',
+        timeInForce: 'GTC',
+    })
+    t.is(resting.status, 'NEW')
+    t.is((await client.openOrders({ symbol: 'BTCUSDT' })).length, 1)
+
+    const canceled = await client.cancelOrder({ symbol: 'BTCUSDT', orderId: resting.orderId })
+    t.is(canceled.status, 'CANCELED')
+
+    const { balances } = await client.accountInfo()
+    const btc = balances.find(balance => balance.asset === 'BTC')
+    t.is(btc.free, '1.10000000')
+    t.is(btc.locked, '0.00000000')
+
+    t.true(server.requests.some(request => request.path === '/api/v3/order'))
+})
+
+test('[MOCK SERVER] Signature and timestamp errors', async t => {
+    const { endpoints } = await startServer(t)
+
+    const wrongSecret = Binance({ apiKey: 'mock-api-key', apiSecret: 'other', ...endpoints })
+    const invalid = await t.throwsAsync(wrongSecret.accountInfo())
+    t.is(invalid.code, -1022)
+
+    const wrongKey = Binance({ apiKey: 'other', apiSecret: 'mock-api-secret', ...endpoints })
+    t.is((await t.throwsAsync(wrongKey.accountInfo())).code, -2015)
+
+    const late = Binance({
+        apiKey: 'mock-api-key',
+        apiSecret: 'mock-api-secret',
+        getTime: () => Date.now() - 60000,
+        ...endpoints,
+    })
+    t.is((await t.throwsAsync(late.accountInfo())).code, -1021)
+})
+
+test('[MOCK SERVER] Futures positions', async t => {
+    const { server, endpoints } = await startServer(t)
+    const client = Binance({ apiKey: 'mock-api-key', apiSecret: 'mock-api-secret', ...endpoints })
+
+    server.setBook('BTCUSDT', { bids: [['59990', '2']], asks: [['60010', '2']] }, 'futures')
+
+    const order = await client.futuresOrder({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.5',
+    })
+    t.is(order.status, 'FILLED')
+
+    const [position] = await client.futuresPositionRisk({ symbol: 'BTCUSDT' })
+    t.is(position.positionAmt, '0.5')
+    t.is(position.entryPrice, '60010')
+
+    const rejected = await t.throwsAsync(
+        client.futuresOrder({
+            symbol: 'BTCUSDT',
+            side: 'BUY',
+            type: 'MARKET',
+            quantity: '0.1',
+            reduceOnly: 'true',
+        }),
+    )
+    t.is(rejected.code, -2022)
+})
+
+test('[MOCK SERVER] Market streams', async t => {
+    const { server, endpoints } = await startServer(t)
+    const client = Binance(endpoints)
+
+    const depthUpdate = nextEvent(cb => client.ws.depth('BTCUSDT', cb))
+    const trade = nextEvent(cb => client.ws.trades('BTCUSDT', cb))
+    // Let both streams connect
+    await new Promise(resolve => setTimeout(resolve, 200))
+
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '1']] })
+    server.trade('BTCUSDT', { price: '60000', quantity: '0.2', isBuyerMaker: true })
+
+    const update = await depthUpdate
+    t.is(update.eventType, 'depthUpdate')
+    t.is(update.symbol, 'BTCUSDT')
+    t.deepEqual(update.askDepth, [{ price: '60010.00000000', quantity: '1.00000000' }])
+
+    const { price, quantity, isBuyerMaker } = await trade
+    t.deepEqual(
+        { price, quantity, isBuyerMaker },
+        {
+            price: '60000.00000000',
+            quantity: '0.20000000',
+            isBuyerMaker: true,
+        },
+    )
+})
+
+test('[MOCK SERVER] User data stream of the WebSocket API', async t => {
+    const { server, endpoints } = await startServer(t)
+    const client = Binance({ apiKey: 'mock-api-key', apiSecret: 'mock-api-secret', ...endpoints })
+
+    const events = []
+    const filled = new Promise(resolve =>
+        client.ws
+            .user(event => {
+                events.push(event)
+                if (event.eventType === 'executionReport' && event.orderStatus === 'FILLED') {
+                    resolve(event)
+                }
+            })
+            .then(clean => t.teardown(() => clean())),
+    )
+    await new Promise(resolve => setTimeout(resolve, 200))
+
+    server.setBook('ETHUSDT', { bids: [], asks: [['3000', '5']] })
+    await client.order({ symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: '1' })
+
+    const report = await filled
+    t.is(report.symbol, 'ETHUSDT')
+    t.is(report.lastTradeQuantity, '1.00000000')
+    t.true(events.some(event => event.eventType === 'outboundAccountPosition'))
+})
@@ -0,0 +1,138 @@
+import test from 'ava'
+import BigNumber from 'bignumber.js'
+import JSONbig from 'json-bigint'
+import WebSocket from 'ws'
+
+import Binance from 'index'
+import { createNumberConverter } from 'numbers'
+
+const order = JSONbig.parse(
+    JSON.stringify({
+        symbol: 'BTCUSDT',
+        clientOrderId: '12345',
+        price: '60000.10',
+        origQty: '0.001',
+        updateTime: 1700000000000,
+        isWorking: true,
+        fills: [{ price: '60000.10', qty: '0.001', tradeId: 42 }],
+    }).replace('"updateTime"', '"orderId":12345678901234567890,"updateTime"'),
+)
+
+test('[NUMBERS] Converts every number to the mode type', t => {
+    t.true(BigNumber.isBigNumber(order.orderId))
+
+    const strings = createNumberConverter('string')(order)
+    t.is(strings.orderId, '12345678901234567890')
+    t.is(strings.updateTime, '1700000000000')
+    t.is(strings.price, '60000.10')
+    t.is(strings.fills[0].tradeId, '42')
+
+    const numbers = createNumberConverter('number')(order)
+    t.is(numbers.price, 60000.1)
+    t.is(numbers.origQty, 0.001)
+    t.is(numbers.orderId, 12345678901234567000)
+    t.is(numbers.fills[0].qty, 0.001)
+
+    const decimals = createNumberConverter('decimal')(order)
+    t.true(decimals.orderId.isEqualTo('12345678901234567890'))
+    t.true(decimals.price.plus(decimals.origQty).isEqualTo('60000.101'))
+    t.true(BigNumber.isBigNumber(decimals.updateTime))
+
+    const bigints = createNumberConverter('bigint')(order)
+    t.is(bigints.orderId, BigInt('12345678901234567890'))
+    t.is(bigints.updateTime, BigInt(1700000000000))
+    t.is(bigints.price, '60000.10')
+
+    // Identifiers and flags are left alone
+    for (const converted of [strings, numbers, decimals, bigints]) {
+        t.is(converted.symbol, 'BTCUSDT')
+        t.is(converted.clientOrderId, '12345')
+        t.is(converted.isWorking, true)
+    }
+
+    t.throws(() => createNumberConverter('float'), { message: /Unknown numbers mode float/ })
+})
+
+test('[NUMBERS] REST results are converted', async t => {
+    const client = Binance({
+        numbers: 'decimal',
+        fetch: url =>
+            Promise.resolve({
+                ok: true,
+                status: 200,
+                url,
+                headers: new Map(),
+                text: () =>
+                    Promise.resolve(
+                        url.includes('klines')
+                            ? '[[1508328900000,"0.05655000","0.05656500","0.05613200","0.05632400","68.88800000",1508329199999,"2.29500857",85,"40.61900000","0"]]'
+                            : '{"mins":5,"price":"0.05632400"}',
+                    ),
+            }),
+    })
+
+    const [candle] = await client.candles({ symbol: 'ETHBTC' })
+    t.true(BigNumber.isBigNumber(candle.openTime))
+    t.true(candle.close.isEqualTo('0.056324'))
+    t.true((await client.avgPrice({ symbol: 'ETHBTC' })).price.isEqualTo('0.056324'))
+    t.is(typeof client.getInfo(), 'object')
+})
+
+test('[NUMBERS] Transformed stream events are converted, raw ones are not', async t => {
+    const server = new WebSocket.Server({ port: 0 })
+    server.on('connection', socket =>
+        socket.send(
+            '{"e":"trade","E":1700000000000,"s":"BTCUSDT","t":9007199254740993,"p":"60000.10","q":"0.001","b":1,"a":2,"T":1700000000000,"m":true,"M":true}',
+        ),
+    )
+    const client = Binance({
+        numbers: 'string',
+        wsBase: `ws://localhost:${server.address().port}`,
+    })
+
+    const receive = transform =>
+        new Promise(resolve => {
+            const clean = client.ws.trades(
+                'BTCUSDT',
+                trade => {
+                    clean()
+                    resolve(trade)
+                },
+                transform,
+            )
+        })
+
+    const trade = await receive()
+    t.is(trade.tradeId, '9007199254740993')
+    t.is(trade.eventTime, '1700000000000')
+    t.is(trade.price, '60000.10')
+
+    const raw = await receive(false)
+    t.true(BigNumber.isBigNumber(raw.t))
+    t.is(raw.E, 1700000000000)
+
+    await new Promise(resolve => server.close(resolve))
+})
+
+test('[NUMBERS] WebSocket API results are converted', async t => {
+    const server = new WebSocket.Server({ port: 0 })
+    server.on('connection', socket =>
+        socket.on('message', data => {
+            const { id, method } = JSON.parse(data)
+            const result =
+                method === 'time' ? { serverTime: 1700000000000 } : { mins: 5, price: '0.05632400' }
+            socket.send(JSON.stringify({ id, status: 200, result }))
+        }),
+    )
+    const { wsApi } = Binance({
+        numbers: 'decimal',
+        wsApi: `ws://localhost:${server.address().port}`,
+    })
+
+    t.true((await wsApi.avgPrice({ symbol: 'ETHBTC' })).price.isEqualTo('0.056324'))
+    t.true((await wsApi.time()).isEqualTo(1700000000000))
+    t.deepEqual(wsApi.getRateLimits(), [])
+
+    wsApi.close()
+    await new Promise(resolve => server.close(resolve))
+})
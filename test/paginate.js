@@ -0,0 +1,163 @@
+import test from 'ava'
+
+import Binance from 'index'
+import { paginate, paginators } from 'paginate'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+const collect = async iterator => {
+    const items = []
+    for await (const item of iterator) {
+        items.push(item)
+    }
+    return items
+}
+
+// Serves trades with ids 0 to count - 1, one every hour from `start`
+const tradesPager = (count, start = 0) => {
+    const trades = Array.from({ length: count }, (_, id) => ({ id, time: start + id * HOUR }))
+    const queries = []
+    const fetchPage = query => {
+        queries.push(query)
+        const matching =
+            query.fromId !== undefined
+                ? trades.filter(trade => trade.id >= query.fromId)
+                : trades.filter(
+                      trade => trade.time >= query.startTime && trade.time <= query.endTime,
+                  )
+        return Promise.resolve(matching.slice(0, query.limit))
+    }
+    return { fetchPage, queries }
+}
+
+test('[PAGINATE] Walks the id cursor until a short page', async t => {
+    const { fetchPage, queries } = tradesPager(7)
+
+    const trades = await collect(
+        paginate(fetchPage, paginators.myTrades, { symbol: 'ETHBTC', limit: 3 }),
+    )
+
+    t.deepEqual(
+        trades.map(trade => trade.id),
+        [0, 1, 2, 3, 4, 5, 6],
+    )
+    t.deepEqual(
+        queries.map(query => query.fromId),
+        [0, 3, 6],
+    )
+    t.true(queries.every(query => query.symbol === 'ETHBTC' && query.limit === 3))
+})
+
+test('[PAGINATE] Walks time windows until the first item, then ids', async t => {
+    const start = 10 * DAY
+    const { fetchPage, queries } = tradesPager(30, start)
+
+    const trades = await collect(
+        paginate(fetchPage, paginators.myTrades, {
+            symbol: 'ETHBTC',
+            startTime: start - 2 * DAY,
+            endTime: start + 20 * HOUR,
+            limit: 10,
+        }),
+    )
+
+    t.is(trades.length, 21)
+    t.is(trades[20].time, start + 20 * HOUR)
+
+    // Two empty day windows, the third has the first trades
+    t.deepEqual(queries[0], {
+        symbol: 'ETHBTC',
+        startTime: start - 2 * DAY,
+        endTime: start - DAY - 1,
+        limit: 10,
+    })
+    t.is(queries[2].startTime, start)
+    t.true(queries.every(query => !query.endTime || query.endTime - query.startTime < DAY))
+    t.deepEqual(queries[3], { symbol: 'ETHBTC', fromId: 10, limit: 10 })
+})
+
+test('[PAGINATE] Time cursors skip the items repeated at page edges', async t => {
+    const incomes = [
+        { tranId: 1, incomeType: 'FUNDING_FEE', time: 100 },
+        { tranId: 2, incomeType: 'FUNDING_FEE', time: 200 },
+        { tranId: 3, incomeType: 'FUNDING_FEE', time: 200 },
+        { tranId: 4, incomeType: 'FUNDING_FEE', time: 300 },
+        { tranId: 5, incomeType: 'FUNDING_FEE', time: 400 },
+    ]
+    const queries = []
+    const fetchPage = query => {
+        queries.push(query)
+        return Promise.resolve(
+            incomes.filter(income => income.time >= query.startTime).slice(0, query.limit),
+        )
+    }
+
+    const result = await collect(
+        paginate(fetchPage, paginators.futuresIncome, { startTime: 0, limit: 2 }, () => 1000),
+    )
+
+    t.deepEqual(
+        result.map(income => income.tranId),
+        [1, 2, 3, 4, 5],
+    )
+    t.deepEqual(
+        queries.map(query => query.startTime),
+        [0, 200, 200, 201, 400],
+    )
+    t.throws(() => paginate(fetchPage, paginators.futuresIncome, {}), {
+        message: /requires a startTime/,
+    })
+})
+
+test('[PAGINATE] Pages are capped at the endpoint limit', async t => {
+    // Binance rejects more than 100 orders a page on this endpoint
+    const orders = Array.from({ length: 250 }, (_, orderId) => ({ orderId, time: orderId }))
+    const limits = []
+    const fetchPage = query => {
+        limits.push(query.limit)
+        if (query.limit > 100) return Promise.reject(new Error('Invalid limit.'))
+        return Promise.resolve(
+            orders.filter(order => order.orderId >= query.orderId).slice(0, query.limit),
+        )
+    }
+
+    const walk = payload =>
+        collect(
+            paginate(fetchPage, paginators.deliveryAllOrders, {
+                symbol: 'BTCUSD_PERP',
+                ...payload,
+            }),
+        )
+
+    t.is((await walk()).length, 250)
+    t.is((await walk({ limit: 1000 })).length, 250)
+    t.true(limits.every(limit => limit === 100))
+    t.is((await walk({ limit: 50 })).length, 250)
+    t.is(limits[limits.length - 1], 50)
+})
+
+test('[PAGINATE] Client iterators call their endpoint', async t => {
+    const urls = []
+    const client = Binance({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        fetch: url => {
+            urls.push(url)
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                url,
+                headers: new Map(),
+                text: () => Promise.resolve(urls.length === 1 ? '[{"id":4,"time":1}]' : '[]'),
+            })
+        },
+    })
+
+    const trades = await collect(client.iterate.futuresUserTrades({ symbol: 'BTCUSDT', limit: 1 }))
+
+    t.deepEqual(trades, [{ id: 4, time: 1 }])
+    t.true(urls[0].startsWith('https://fapi.binance.com/fapi/v1/userTrades?symbol=BTCUSDT'))
+    t.true(urls[1].includes('fromId=5'))
+    t.deepEqual(Object.keys(client.iterate), Object.keys(paginators))
+})
@@ -0,0 +1,164 @@
+import test from 'ava'
+
+import Binance from 'index'
+import { createMockServer } from 'mock'
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// The mock server gives the exchange info and market streams of the paper clients,
+// tests are serial as the stream endpoints are shared by the clients
+const startServer = async t => {
+    const server = createMockServer()
+    const endpoints = await server.start()
+    t.teardown(() => server.stop())
+    return { server, endpoints }
+}
+
+test.serial('[PAPER] Spot orders fill against the market streams', async t => {
+    const { server, endpoints } = await startServer(t)
+    const client = Binance({ paper: { balances: { USDT: '10000' } }, ...endpoints })
+    t.teardown(() => client.paper.close())
+
+    const events = []
+    await client.ws.user(event => events.push(event))
+
+    const watching = client.paper.watch('BTCUSDT')
+    await delay(200)
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '1']] })
+    await watching
+
+    const bought = await client.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.1',
+    })
+    t.is(bought.status, 'FILLED')
+    t.deepEqual(bought.fills, [
+        {
+            price: '60010.00000000',
+            qty: '0.10000000',
+            commission: '0.00010000',
+            commissionAsset: 'BTC',
+            tradeId: 1,
+        },
+    ])
+
+    const resting = await client.order({
+        symbol: 'BTCUSDT',
+        side: 'SELL',
+        type: 'LIMIT',
+        price: '61000',
+        quantity: '0.05',
+        timeInForce: 'GTC',
+    })
+    t.is(resting.status, 'NEW')
+    t.deepEqual(
+        (await client.openOrders({ symbol: 'BTCUSDT' })).map(order => order.orderId),
+        [resting.orderId],
+    )
+
+    // A market trade reaching the price fills the resting order
+    server.trade('BTCUSDT', { price: '61000', quantity: '1' })
+    await delay(200)
+
+    t.is((await client.getOrder({ symbol: 'BTCUSDT', orderId: resting.orderId })).status, 'FILLED')
+    const { balances } = await client.accountInfo()
+    const balance = asset => balances.find(b => b.asset === asset).free
+    t.is(balance('BTC'), '0.04990000')
+    t.is(balance('USDT'), '7045.95000000')
+
+    const reports = events.filter(event => event.eventType === 'executionReport')
+    t.deepEqual(
+        reports.map(report => report.executionType),
+        ['NEW', 'TRADE', 'NEW', 'TRADE'],
+    )
+    t.is(reports[3].commission, '3.05000000')
+    t.is(reports[3].commissionAsset, 'USDT')
+
+    // Nothing was sent to the mock account
+    t.false(server.requests.some(request => request.path === '/api/v3/order'))
+})
+
+test.serial('[PAPER] Futures positions from replayed market data', async t => {
+    const { endpoints } = await startServer(t)
+    const client = Binance({ paper: { marketData: false }, ...endpoints })
+
+    const events = []
+    await client.ws.futuresUser(event => events.push(event))
+
+    await client.paper.setBook(
+        'BTCUSDT',
+        {
+            bidDepth: [{ price: '59990', quantity: '2' }],
+            askDepth: [{ price: '60010', quantity: '2' }],
+        },
+        'futures',
+    )
+
+    const order = await client.futuresOrder({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.5',
+    })
+    t.is(order.status, 'FILLED')
+    t.is(order.avgPrice, '60010')
+
+    await client.paper.trade('BTCUSDT', { price: '60110', quantity: '1' }, 'futures')
+
+    const [position] = await client.futuresPositionRisk({ symbol: 'BTCUSDT' })
+    t.is(position.positionAmt, '0.5')
+    t.is(position.entryPrice, '60010')
+    t.is(position.unRealizedProfit, '50')
+
+    // 0.05% taker fee on 30005 USDT
+    const [balance] = await client.futuresAccountBalance()
+    t.is(balance.balance, '9984.9975')
+
+    await delay(50)
+    const update = events.find(event => event.executionType === 'TRADE')
+    t.is(update.orderStatus, 'FILLED')
+    t.is(update.commission, '15.0025')
+    t.true(events.some(event => event.eventType === 'ACCOUNT_UPDATE'))
+})
+
+test.serial('[PAPER] User events follow the numbers option', async t => {
+    const { endpoints } = await startServer(t)
+    const client = Binance({ paper: { marketData: false }, numbers: 'number', ...endpoints })
+
+    const events = []
+    await client.ws.futuresUser(event => events.push(event))
+    await client.paper.setBook(
+        'BTCUSDT',
+        { bids: [['59990', '2']], asks: [['60010', '2']] },
+        'futures',
+    )
+
+    const order = await client.futuresOrder({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.5',
+    })
+    t.is(order.avgPrice, 60010)
+
+    await delay(50)
+    const update = events.find(event => event.executionType === 'TRADE')
+    t.is(update.commission, 15.0025)
+    t.is(update.clientOrderId, order.clientOrderId)
+})
+
+test.serial('[PAPER] Unsimulated signed requests are rejected', async t => {
+    const { server, endpoints } = await startServer(t)
+    const client = Binance({ paper: { marketData: false }, ...endpoints })
+
+    const error = await t.throwsAsync(client.withdraw({ coin: 'USDT', address: 'x', amount: 1 }))
+    t.regex(error.message, /Paper trading does not simulate POST \/sapi\/v1\/capital\/withdraw/)
+    t.false(server.requests.some(request => request.path.startsWith('/sapi')))
+
+    const invalid = await t.throwsAsync(
+        client.order({ symbol: 'NOPE', side: 'BUY', type: 'MARKET', quantity: '1' }),
+    )
+    t.is(invalid.code, -1121)
+})
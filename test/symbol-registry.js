@@ -0,0 +1,171 @@
+import test from 'ava'
+
+import Binance from 'index'
+import { createSymbolRegistry } from 'symbol-registry'
+
+const symbol = (name, baseAsset, quoteAsset, extra = {}) => ({
+    symbol: name,
+    status: 'TRADING',
+    baseAsset,
+    baseAssetPrecision: 8,
+    quoteAsset,
+    quoteAssetPrecision: 6,
+    permissionSets: [['SPOT', 'MARGIN']],
+    filters: [
+        { filterType: 'PRICE_FILTER', tickSize: '0.01000000' },
+        { filterType: 'LOT_SIZE', stepSize: '0.00010000' },
+    ],
+    ...extra,
+})
+
+const ethusdt = symbol('ETHUSDT', 'ETH', 'USDT')
+const btcusdt = symbol('BTCUSDT', 'BTC', 'USDT', { permissionSets: [['SPOT']] })
+const ethbtc = symbol('ETHBTC', 'ETH', 'BTC', { quoteAssetPrecision: 8 })
+
+// Registry over a list of exchange infos served one after the other
+const registry = (infos, options = {}) => {
+    let time = 0
+    const loads = []
+    const symbols = createSymbolRegistry({
+        loadExchangeInfo: domain => {
+            loads.push(domain)
+            const info = infos[Math.min(loads.length - 1, infos.length - 1)]
+            return info instanceof Error ? Promise.reject(info) : Promise.resolve(info)
+        },
+        getTime: () => time,
+        ...options,
+    })
+    return { symbols, loads, tick: ms => (time += ms) }
+}
+
+test('[SYMBOLS] Looks up symbols from a single exchange info', async t => {
+    const { symbols, loads } = registry([{ symbols: [ethusdt, btcusdt, ethbtc] }])
+
+    const [eth, unknown] = await Promise.all([
+        symbols.getSymbol('ETHUSDT'),
+        symbols.getSymbol('XRPUSDT'),
+    ])
+
+    t.is(eth, ethusdt)
+    t.is(unknown, null)
+    t.deepEqual(loads, ['spot'])
+
+    const names = list => list.map(s => s.symbol)
+    t.deepEqual(names(await symbols.listSymbols({ quoteAsset: 'USDT' })), ['ETHUSDT', 'BTCUSDT'])
+    t.deepEqual(names(await symbols.listSymbols({ baseAsset: 'ETH', quoteAsset: 'BTC' })), [
+        'ETHBTC',
+    ])
+    t.deepEqual(names(await symbols.listSymbols({ permissions: ['MARGIN'] })), [
+        'ETHUSDT',
+        'ETHBTC',
+    ])
+    t.deepEqual(await symbols.listSymbols({ status: 'BREAK' }), [])
+    t.deepEqual(loads, ['spot'])
+
+    await t.throwsAsync(() => symbols.getSymbol('ETHUSDT', 'options'), {
+        message: /Unknown exchange info domain options/,
+    })
+})
+
+test('[SYMBOLS] Precision lookups', async t => {
+    const { symbols } = registry([
+        { symbols: [ethusdt, ethbtc, symbol('BTCUSD_PERP', 'BTC', 'USD', { quotePrecision: 4 })] },
+    ])
+    delete (await symbols.getSymbol('BTCUSD_PERP')).quoteAssetPrecision
+
+    t.deepEqual(await symbols.getPrecision('ETHUSDT'), {
+        baseAsset: 'ETH',
+        quoteAsset: 'USDT',
+        baseAssetPrecision: 8,
+        quoteAssetPrecision: 6,
+        tickSize: '0.01000000',
+        stepSize: '0.00010000',
+        priceDecimals: 2,
+        quantityDecimals: 4,
+    })
+    t.is((await symbols.getPrecision('BTCUSD_PERP')).quoteAssetPrecision, 4)
+    t.is(await symbols.getPrecision('XRPUSDT'), null)
+    t.is(await symbols.getAssetPrecision('ETH'), 8)
+    t.is(await symbols.getAssetPrecision('BTC'), 8)
+    t.is(await symbols.getAssetPrecision('USDT'), 6)
+    t.is(await symbols.getAssetPrecision('XRP'), null)
+})
+
+test('[SYMBOLS] Refreshes after the ttl and reports changes', async t => {
+    const events = []
+    const { symbols, loads, tick } = registry(
+        [
+            { symbols: [ethusdt, btcusdt] },
+            { symbols: [{ ...ethusdt, status: 'BREAK' }, ethbtc] },
+            new Error('Service unavailable'),
+        ],
+        { ttl: 1000, onChange: event => events.push(event) },
+    )
+
+    await symbols.getSymbol('ETHUSDT')
+    tick(999)
+    await symbols.getSymbol('ETHUSDT')
+    t.is(loads.length, 1)
+    t.deepEqual(events, [])
+
+    tick(1)
+    t.is((await symbols.getSymbol('ETHUSDT')).status, 'BREAK')
+    t.deepEqual(events, [
+        { domain: 'spot', type: 'status', symbol: 'ETHUSDT', status: 'BREAK', previous: 'TRADING' },
+        { domain: 'spot', type: 'added', symbol: 'ETHBTC', status: 'TRADING' },
+        { domain: 'spot', type: 'removed', symbol: 'BTCUSDT', previous: 'TRADING' },
+    ])
+
+    // A failed refresh keeps the last exchange info, a manual one rejects
+    tick(1000)
+    t.truthy(await symbols.getSymbol('ETHBTC'))
+    await t.throwsAsync(() => symbols.refresh(), { message: 'Service unavailable' })
+    t.is(loads.length, 4)
+})
+
+test('[SYMBOLS] Change listeners can be removed', async t => {
+    const events = []
+    const { symbols } = registry([{ symbols: [ethusdt] }, { symbols: [] }, { symbols: [ethusdt] }])
+    const remove = symbols.onChange(event => events.push(event.type))
+
+    await symbols.refresh()
+    await symbols.refresh()
+    remove()
+    await symbols.refresh()
+
+    t.deepEqual(events, ['removed'])
+})
+
+test('[SYMBOLS] Client registry is shared with the order filters', async t => {
+    const urls = []
+    const client = Binance({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        filters: 'adjust',
+        fetch: url => {
+            urls.push(url)
+            const body = url.includes('/fapi/v1/exchangeInfo')
+                ? { rateLimits: [], symbols: [btcusdt] }
+                : url.includes('exchangeInfo')
+                  ? { rateLimits: [], symbols: [ethusdt] }
+                  : {}
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                url,
+                headers: new Map(),
+                text: () => Promise.resolve(JSON.stringify(body)),
+            })
+        },
+    })
+
+    t.is((await client.symbols.getPrecision('ETHUSDT')).priceDecimals, 2)
+    await client.orderTest({ symbol: 'ETHUSDT', side: 'BUY', price: '2000.005', quantity: '1' })
+    t.is(await client.symbols.getSymbol('ETHUSDT', 'futures'), null)
+
+    t.deepEqual(
+        urls.filter(url => url.includes('exchangeInfo')).map(url => new URL(url).pathname),
+        ['/api/v3/exchangeInfo', '/fapi/v1/exchangeInfo'],
+    )
+    t.true(urls.some(url => url.includes('/order/test') && url.includes('price=2000')))
+})
@@ -4,7 +4,7 @@ import test from 'ava'
 
 // This type represents all methods from http-client.js
 type HttpClientMethods = {
-    getInfo: () => Promise<any>
+    getInfo: () => any
     ping: () => Promise<boolean>
     time: () => Promise<{ serverTime: number }>
     exchangeInfo: (payload?: any) => Promise<any>
@@ -0,0 +1,498 @@
+import crypto from 'crypto'
+import net from 'net'
+import test from 'ava'
+import { Server } from 'ws'
+
+import Binance, { BinanceApiError, BinanceNetworkError, BinanceTimeoutError } from 'index'
+import { createMockServer } from 'mock'
+
+const startServer = async t => {
+    const server = createMockServer()
+    const endpoints = await server.start()
+    t.teardown(() => server.stop())
+    return { server, endpoints }
+}
+
+// WebSocket server handing the connections to `onConnection`, resolves with its url
+const startSocketServer = (t, onConnection) =>
+    new Promise(resolve => {
+        const wss = new Server({ port: 0, host: '127.0.0.1' }, () =>
+            resolve(`ws://127.0.0.1:${wss.address().port}`),
+        )
+        wss.on('connection', onConnection)
+        t.teardown(() => {
+            wss.clients.forEach(socket => socket.terminate())
+            wss.close()
+        })
+    })
+
+test('[WS API] Orders through the WebSocket API', async t => {
+    const { server, endpoints } = await startServer(t)
+    const { wsApi } = Binance({
+        apiKey: 'mock-api-key',
+        apiSecret: 'mock-api-secret',
+        ...endpoints,
+    })
+    t.teardown(() => wsApi.close())
+
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '1']] })
+
+    // Concurrent requests get their own responses
+    const [book, prices, time] = await Promise.all([
+        wsApi.book({ symbol: 'BTCUSDT', limit: 5 }),
+        wsApi.prices({ symbol: 'BTCUSDT' }),
+        wsApi.time(),
+    ])
+    t.deepEqual(book.asks, [{ price: '60010.00000000', quantity: '1.00000000' }])
+    t.deepEqual(prices, { BTCUSDT: '60000' })
+    t.is(typeof time, 'number')
+
+    const bought = await wsApi.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.1',
+    })
+    t.is(bought.status, 'FILLED')
+    t.regex(bought.clientOrderId, /^x-TKT5PX2F/)
+
+    const resting = await wsApi.order({
+        symbol: 'BTCUSDT',
+        side: 'SELL',
+        price: '61000',
+        quantity: '0.1',
+    })
+    t.is(resting.status, 'NEW')
+    t.is(resting.timeInForce, 'GTC')
+
+    const replaced = await wsApi.updateOrder({
+        symbol: 'BTCUSDT',
+        cancelOrderId: resting.orderId,
+        side: 'SELL',
+        type: 'LIMIT',
+        price: '62000',
+        quantity: '0.1',
+    })
+    t.is(replaced.cancelResult, 'SUCCESS')
+    t.is(replaced.newOrderResponse.price, '62000.00000000')
+
+    const open = await wsApi.openOrders({ symbol: 'BTCUSDT' })
+    t.deepEqual(
+        open.map(order => order.orderId),
+        [replaced.newOrderResponse.orderId],
+    )
+
+    const canceled = await wsApi.cancelOrder({
+        symbol: 'BTCUSDT',
+        orderId: replaced.newOrderResponse.orderId,
+    })
+    t.is(canceled.status, 'CANCELED')
+
+    const { balances } = await wsApi.accountInfo()
+    t.is(balances.find(balance => balance.asset === 'BTC').free, '1.10000000')
+
+    const [weight] = wsApi.getRateLimits()
+    t.is(weight.rateLimitType, 'REQUEST_WEIGHT')
+    t.true(weight.count > 0)
+})
+
+test('[WS API] Futures orders through the futures WebSocket API', async t => {
+    const { server, endpoints } = await startServer(t)
+    const { futuresWsApi } = Binance({
+        apiKey: 'mock-api-key',
+        apiSecret: 'mock-api-secret',
+        ...endpoints,
+    })
+    t.teardown(() => futuresWsApi.close())
+
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '1']] }, 'futures')
+
+    const resting = await futuresWsApi.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        price: '59000',
+        quantity: '0.5',
+    })
+    t.is(resting.status, 'NEW')
+    t.is(resting.timeInForce, 'GTC')
+    t.regex(resting.clientOrderId, /^x-cvBPrNm9/)
+
+    // Moved across the book, the order fills keeping its id
+    const modified = await futuresWsApi.updateOrder({
+        symbol: 'BTCUSDT',
+        orderId: resting.orderId,
+        side: 'BUY',
+        price: '60010',
+        quantity: '0.5',
+    })
+    t.is(modified.orderId, resting.orderId)
+    t.is(modified.status, 'FILLED')
+
+    const other = await futuresWsApi.order({
+        symbol: 'BTCUSDT',
+        side: 'SELL',
+        type: 'LIMIT',
+        price: '61000',
+        quantity: '0.1',
+    })
+    t.is(
+        (await futuresWsApi.cancelOrder({ symbol: 'BTCUSDT', orderId: other.orderId })).status,
+        'CANCELED',
+    )
+    t.is(
+        (await futuresWsApi.getOrder({ symbol: 'BTCUSDT', origClientOrderId: other.clientOrderId }))
+            .status,
+        'CANCELED',
+    )
+
+    const [position] = await futuresWsApi.positionRisk({ symbol: 'BTCUSDT' })
+    t.is(position.positionAmt, '0.5')
+    t.is(position.entryPrice, '60010')
+    t.deepEqual(await futuresWsApi.prices({ symbol: 'BTCUSDT' }), { BTCUSDT: '60000' })
+
+    // No conditional orders in the mock, the request shows the algo order payload
+    const { futuresWsApi: dryRun } = Binance({ apiKey: 'k', apiSecret: 's', dryRun: true })
+    const algo = await dryRun.order({
+        symbol: 'BTCUSDT',
+        side: 'SELL',
+        type: 'STOP_MARKET',
+        stopPrice: '55000',
+        quantity: '0.5',
+    })
+    t.is(algo.method, 'algoOrder.place')
+    t.is(algo.params.triggerPrice, '55000')
+    t.regex(algo.params.clientAlgoId, /^x-cvBPrNm9/)
+})
+
+test('[WS API] Session logon with an Ed25519 key', async t => {
+    const keys = crypto.generateKeyPairSync('ed25519')
+    const server = createMockServer({ publicKey: keys.publicKey })
+    const endpoints = await server.start()
+    t.teardown(() => server.stop())
+
+    // Counts the signatures the client makes
+    const signed = []
+    const { futuresWsApi } = Binance({
+        apiKey: 'mock-api-key',
+        signer: payload => {
+            signed.push(payload)
+            return crypto.sign(null, Buffer.from(payload), keys.privateKey).toString('base64')
+        },
+        ...endpoints,
+    })
+    t.teardown(() => futuresWsApi.close())
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '1']] }, 'futures')
+
+    const session = await futuresWsApi.logon()
+    t.is(session.apiKey, 'mock-api-key')
+    t.is(signed.length, 1)
+
+    const order = await futuresWsApi.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.1',
+    })
+    t.is(order.status, 'FILLED')
+    t.is((await futuresWsApi.accountBalance())[0].asset, 'USDT')
+    t.is(signed.length, 1)
+
+    // HMAC keys cannot log on
+    const { endpoints: hmacEndpoints } = await startServer(t)
+    const hmac = Binance({
+        apiKey: 'mock-api-key',
+        apiSecret: 'mock-api-secret',
+        ...hmacEndpoints,
+    })
+    t.teardown(() => hmac.futuresWsApi.close())
+    t.is((await t.throwsAsync(hmac.futuresWsApi.logon())).code, -4056)
+    // and sign each request from then on
+    t.is((await hmac.futuresWsApi.accountBalance())[0].asset, 'USDT')
+    t.is(hmac.futuresWsApi.getSession().status, 'none')
+})
+
+test('[WS API] Sessions of Ed25519 keys', async t => {
+    const keys = crypto.generateKeyPairSync('ed25519')
+    const server = createMockServer({ publicKey: keys.publicKey })
+    const endpoints = await server.start()
+    t.teardown(() => server.stop())
+
+    const client = Binance({
+        apiKey: 'mock-api-key',
+        privateKey: keys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        ...endpoints,
+    })
+    const { wsApi } = client
+    t.teardown(() => wsApi.close())
+    server.setBook('BTCUSDT', { bids: [['59990', '1']], asks: [['60010', '1']] })
+
+    // The user data stream logs on its own connection
+    const events = []
+    const closeUser = await client.ws.user(event => events.push(event))
+    t.teardown(() => closeUser())
+
+    t.is(wsApi.getSession().status, 'none')
+    const { balances } = await wsApi.accountInfo()
+    t.is(balances.find(balance => balance.asset === 'USDT').free, '100000.00000000')
+    t.is(wsApi.getSession().status, 'active')
+    t.is(wsApi.getSession().apiKey, 'mock-api-key')
+
+    const order = await wsApi.order({
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: '0.1',
+    })
+    t.is(order.status, 'FILLED')
+    t.is((await wsApi.sessionStatus()).apiKey, 'mock-api-key')
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+    t.true(
+        events.some(
+            event => event.eventType === 'executionReport' && event.orderId === order.orderId,
+        ),
+    )
+
+    // Requests are signed again after the logout
+    await wsApi.logout()
+    t.is(wsApi.getSession().status, 'none')
+    t.is((await wsApi.getOrder({ symbol: 'BTCUSDT', orderId: order.orderId })).status, 'FILLED')
+    t.is(wsApi.getSession().status, 'none')
+})
+
+test('[WS API] Failed logons are tried again with the next request', async t => {
+    const keys = crypto.generateKeyPairSync('ed25519')
+    const server = createMockServer({ publicKey: keys.publicKey })
+    const endpoints = await server.start()
+    t.teardown(() => server.stop())
+
+    // The logon of the first request is outside of the recvWindow
+    let drift = -120e3
+    const { wsApi } = Binance({
+        apiKey: 'mock-api-key',
+        privateKey: keys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        getTime: () => {
+            const time = Date.now() + drift
+            drift = 0
+            return time
+        },
+        ...endpoints,
+    })
+    t.teardown(() => wsApi.close())
+
+    // The request itself is signed
+    t.truthy(await wsApi.accountInfo())
+    t.is(wsApi.getSession().status, 'none')
+
+    t.truthy(await wsApi.accountInfo())
+    t.is(wsApi.getSession().status, 'active')
+})
+
+test('[WS API] Sessions log on again after a reconnection', async t => {
+    const received = []
+    let drop = true
+    const wsApiUrl = await startSocketServer(t, socket =>
+        socket.on('message', data => {
+            const { id, method, params } = JSON.parse(data)
+            received.push({ method, signed: 'signature' in params })
+            const result =
+                method === 'session.logon'
+                    ? {
+                          apiKey: params.apiKey,
+                          authorizedSince: 1,
+                          connectedSince: 1,
+                          serverTime: 1,
+                      }
+                    : {}
+            socket.send(JSON.stringify({ id, status: 200, result }))
+            if (method !== 'session.logon' && drop) {
+                drop = false
+                socket.terminate()
+            }
+        }),
+    )
+
+    // External Ed25519 signers log on with the `sessionLogon` option
+    let signatures = 0
+    const { wsApi } = Binance({
+        apiKey: 'key',
+        signer: () => `signature${++signatures}`,
+        sessionLogon: true,
+        wsApi: wsApiUrl,
+    })
+    t.teardown(() => wsApi.close())
+
+    await wsApi.accountInfo()
+    await new Promise(resolve => setTimeout(resolve, 100))
+    t.is(wsApi.getSession().status, 'none')
+
+    // Waits for the reconnection and the logon
+    await wsApi.accountInfo()
+    t.is(wsApi.getSession().status, 'active')
+    t.is(signatures, 2)
+    t.deepEqual(received, [
+        { method: 'session.logon', signed: true },
+        { method: 'account.status', signed: false },
+        { method: 'session.logon', signed: true },
+        { method: 'account.status', signed: false },
+    ])
+})
+
+test('[WS API] Error responses', async t => {
+    const { endpoints } = await startServer(t)
+    const { wsApi } = Binance({
+        apiKey: 'mock-api-key',
+        apiSecret: 'mock-api-secret',
+        ...endpoints,
+    })
+    t.teardown(() => wsApi.close())
+
+    const missing = await t.throwsAsync(wsApi.getOrder({ symbol: 'BTCUSDT', orderId: 42 }), {
+        instanceOf: BinanceApiError,
+    })
+    t.is(missing.code, -2013)
+    t.is(missing.method, 'order.status')
+    t.is(missing.params.signature, '[REDACTED]')
+    // HMAC keys sign each request
+    t.is(wsApi.getSession().status, 'none')
+
+    const other = Binance({ apiKey: 'mock-api-key', apiSecret: 'other', ...endpoints })
+    t.teardown(() => other.wsApi.close())
+    t.is((await t.throwsAsync(other.wsApi.accountInfo())).code, -1022)
+})
+
+test('[WS API] Timeouts and dropped connections', async t => {
+    const received = []
+    const wsApiUrl = await startSocketServer(t, socket =>
+        socket.on('message', data => {
+            const { method } = JSON.parse(data)
+            received.push(method)
+            // Unanswered pings time out, the other requests drop the connection
+            if (method !== 'ping') socket.terminate()
+        }),
+    )
+    const { wsApi } = Binance({ wsApi: wsApiUrl })
+    t.teardown(() => wsApi.close())
+    // Requests timing out before the connection opens are never sent
+    await wsApi.connect()
+
+    const timedOut = await t.throwsAsync(wsApi.request('ping', { timeout: 100 }), {
+        instanceOf: BinanceTimeoutError,
+    })
+    t.is(timedOut.timeout, 100)
+
+    const dropped = await t.throwsAsync(wsApi.prices({ symbol: 'BTCUSDT' }), {
+        instanceOf: BinanceNetworkError,
+    })
+    t.is(dropped.method, 'ticker.price')
+    t.deepEqual(received, ['ping', 'ticker.price'])
+})
+
+test('[WS API] Rejected requests are never sent after a reconnection', async t => {
+    // Free port the server only listens on once the request is rejected
+    const port = await new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address()
+            probe.close(() => resolve(port))
+        })
+    })
+    const { wsApi } = Binance({ wsApi: `ws://127.0.0.1:${port}` })
+    t.teardown(() => wsApi.close())
+
+    const rejected = await t.throwsAsync(wsApi.book({ symbol: 'BTCUSDT', timeout: 100 }))
+    t.is(rejected.method, 'depth')
+
+    const received = []
+    const connected = new Promise(resolve => {
+        const wss = new Server({ port, host: '127.0.0.1' })
+        wss.on('connection', socket => {
+            socket.on('message', data => {
+                const { id, method } = JSON.parse(data)
+                received.push(method)
+                socket.send(JSON.stringify({ id, status: 200, result: {} }))
+            })
+            resolve()
+        })
+        t.teardown(() => {
+            wss.clients.forEach(socket => socket.terminate())
+            wss.close()
+        })
+    })
+
+    await connected
+    t.true(await wsApi.ping())
+    t.deepEqual(received, ['ping'])
+})
+
+test('[WS API] Requests are cancelled through their signal', async t => {
+    const received = []
+    const wsApiUrl = await startSocketServer(t, socket =>
+        socket.on('message', data => received.push(JSON.parse(data).method)),
+    )
+    const { wsApi } = Binance({ wsApi: wsApiUrl })
+    t.teardown(() => wsApi.close())
+
+    // Aborted ahead of the request, it never opens the connection
+    const aborted = new AbortController()
+    aborted.abort()
+    const early = await t.throwsAsync(wsApi.ping({ signal: aborted.signal }))
+    t.is(early.name, 'AbortError')
+
+    const controller = new AbortController()
+    const request = wsApi.request('time', { signal: controller.signal, timeout: 0 })
+    await wsApi.connect()
+    setTimeout(() => controller.abort(), 50)
+    const cancelled = await t.throwsAsync(request)
+    t.is(cancelled.name, 'AbortError')
+    t.is(cancelled.url, wsApiUrl)
+    t.deepEqual(received, ['time'])
+})
+
+test('[WS API] Queued requests fail with the connection', async t => {
+    // Free port nothing listens on
+    const port = await new Promise(resolve => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address()
+            probe.close(() => resolve(port))
+        })
+    })
+    const { wsApi } = Binance({ wsApi: `ws://127.0.0.1:${port}`, timeout: 0 })
+    t.teardown(() => wsApi.close())
+
+    const failed = await t.throwsAsync(wsApi.request('ping'), {
+        instanceOf: BinanceNetworkError,
+    })
+    t.is(failed.method, 'ping')
+})
+
+test('[WS API] Clients are built on first use', t => {
+    const client = Binance({ apiKey: 'key', apiSecret: 'secret' })
+    t.is(typeof Object.getOwnPropertyDescriptor(client, 'wsApi').get, 'function')
+    t.is(client.wsApi, client.wsApi)
+    t.is(client.futuresWsApi, client.futuresWsApi)
+    t.not(client.wsApi, Binance({ apiKey: 'key', apiSecret: 'secret' }).wsApi)
+})
+
+test('[WS API] Dry run', async t => {
+    const { wsApi } = Binance({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        getTime: () => 1700000000000,
+        wsApi: 'ws://127.0.0.1:1',
+        dryRun: true,
+    })
+
+    const prepared = await wsApi.cancelOrder({ symbol: 'BTCUSDT', orderId: 1 })
+    t.is(prepared.method, 'order.cancel')
+    t.deepEqual(prepared.params, {
+        symbol: 'BTCUSDT',
+        orderId: 1,
+        apiKey: '[REDACTED]',
+        timestamp: 1700000000000,
+        signature: '[REDACTED]',
+    })
+
+    await t.throwsAsync(wsApi.accountInfo({ recvWindow: 90000 }), {
+        message: 'recvWindow must be a number between 0 and 60000ms, got 90000 for spot.',
+    })
+})
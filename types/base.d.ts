@@ -1,7 +1,14 @@
 export interface BinanceRestOptions {
   apiKey?: string;
   apiSecret?: string;
-  privateKey?: string;
+  /** Ed25519 or RSA key: PEM, DER, raw Ed25519 key, or a KeyObject in Node.js */
+  privateKey?: string | Uint8Array | object;
+  /** Passphrase of an encrypted PEM `privateKey`, Node.js only */
+  privateKeyPassphrase?: string;
+  /** External signer (KMS, HSM, vault...), used instead of `apiSecret` and `privateKey` */
+  signer?: (payload: string) => string | Promise<string>;
+  /** Log on the WebSocket API connections, by default with Ed25519 keys, `true` for Ed25519 signers */
+  sessionLogon?: boolean;
 
   httpBase?: string;
   httpFutures?: string;
@@ -16,11 +23,389 @@ export interface BinanceRestOptions {
   wsDelivery?: string;
   wsApi?: string;
   wsApiTestnet?: string;
+  wsFuturesApi?: string;
 
+  /** Default request timeout in milliseconds, disabled when not set */
   timeout?: number;
+  /** Retry policy for failed REST calls, `true` or a number of retries uses the defaults */
+  retry?: boolean | number | RetryOptions;
+  /** Client side rate limiter, `true` uses the defaults */
+  rateLimit?: boolean | RateLimiterOptions;
+  /** Default recvWindow of signed calls in ms, at most 60000, a number applies to every api family */
+  recvWindow?: number | { [domain in RateLimitDomain]?: number };
+  /** Hooks called around every REST request, in order */
+  interceptors?: Interceptor | Interceptor[];
+  /** Server clock offset tracking for signed calls, `true` uses the defaults */
+  syncTime?: boolean | SyncTimeOptions;
+  /** Thresholds by `getInfo()` key, `onUsageChange` is called when a value crosses one */
+  usageThresholds?: { [key in keyof UsageInfo]?: number | number[] };
+  onUsageChange?: (event: UsageChangeEvent) => void;
   testnet?: boolean;
   proxy?: string;
   getTime?: () => number;
+  /** Fetch implementation of REST calls, `node-fetch` in Node.js and the global fetch otherwise */
+  fetch?: (url: string, init?: any) => Promise<any>;
+  /** Agent given to fetch for every REST call, replaces the shared keep-alive agent */
+  agent?: any;
+  /** Keep REST connections alive and share them between calls in Node.js, true by default */
+  keepAlive?: boolean;
+  /** Send the params of signed POST, PUT and DELETE calls in a form encoded body */
+  paramsInBody?: boolean;
+  /** Check new orders against the filters of their symbol, rounding them in `adjust` mode */
+  filters?: FilterMode | FilterOptions;
+  /** Cache of the exchange info behind `client.symbols` */
+  symbols?: SymbolRegistryOptions;
+  /**
+   * One type for every number of REST results and transformed stream events,
+   * the result types of the methods don't reflect it
+   */
+  numbers?: NumberMode;
+  /**
+   * Resolve the methods with the requests they would send instead of sending them,
+   * the api key and signature are masked unless `redact` is false
+   */
+  dryRun?: boolean | { redact?: boolean };
+  /** Record the REST requests to a JSON cassette, or replay them from it without network */
+  cassette?: CassetteOptions;
+  /** Trade against a local matching engine with simulated balances instead of the account */
+  paper?: boolean | PaperOptions;
+}
+
+export interface FeeRates {
+  maker?: string;
+  taker?: string;
+}
+
+export interface PaperOptions {
+  /** Spot balances by asset, 10000 USDT by default */
+  balances?: { [asset: string]: string };
+  /** Futures wallet balance in USDT, 10000 by default */
+  futuresBalance?: string;
+  /** Fee rates by market, 0.1% spot and 0.02%/0.05% futures by default */
+  fees?: { spot?: FeeRates; futures?: FeeRates };
+  /** Fill against the depth and trade streams of the symbols, true by default */
+  marketData?: boolean;
+  /** Time an order waits for the first book of its symbol, 10s by default */
+  bookTimeout?: number;
+}
+
+export interface PaperTrading {
+  /** Exchange state of the simulation */
+  exchange: any;
+  /** Load a symbol and subscribe to its market data unless `marketData` is false */
+  watch(symbol: string, market?: 'spot' | 'futures'): Promise<void>;
+  /** Replace the book of a symbol, e.g. with a replayed partial depth payload */
+  setBook(
+    symbol: string,
+    book: {
+      bids?: any[];
+      asks?: any[];
+      bidDepth?: any[];
+      askDepth?: any[];
+    },
+    market?: 'spot' | 'futures',
+  ): Promise<void>;
+  /** Add a market trade, filling the resting orders it reaches */
+  trade(
+    symbol: string,
+    trade: { price: string; quantity: string; isBuyerMaker?: boolean },
+    market?: 'spot' | 'futures',
+  ): Promise<void>;
+  /** Close the market data subscriptions */
+  close(): void;
+}
+
+export interface CassetteOptions {
+  /** Path of the cassette file */
+  path: string;
+  /** `replay` by default */
+  mode?: 'record' | 'replay';
+  /** Params left out when matching requests, timestamp, signature, recvWindow and newClientOrderId by default */
+  ignoreParams?: string[];
+}
+
+export interface Cassette {
+  mode: 'record' | 'replay';
+  path: string;
+  /** Fetch to give to a client, sending and recording requests or replaying them */
+  fetch: (url: string, init?: any) => Promise<any>;
+  /** Resolves once the recorded interactions are written */
+  flush(): Promise<void>;
+}
+
+export interface MockServerOptions {
+  /** `mock-api-key` by default */
+  apiKey?: string;
+  /** HMAC secret of the signatures, `mock-api-secret` by default */
+  apiSecret?: string;
+  /** Ed25519 or RSA public key checking the signatures instead of the secret */
+  publicKey?: string | object;
+  /** Exchange info symbols, BTCUSDT and ETHUSDT by default */
+  symbols?: any[];
+  /** Spot balances by asset */
+  balances?: { [asset: string]: string };
+  /** Futures wallet balance in USDT */
+  futuresBalance?: string;
+  /** Fee rates by market, none by default */
+  fees?: { spot?: FeeRates; futures?: FeeRates };
+  getTime?: () => number;
+}
+
+/** Client options pointing at a started mock server */
+export interface MockServerEndpoints {
+  httpBase: string;
+  httpFutures: string;
+  wsBase: string;
+  wsFutures: string;
+  wsApi: string;
+  wsFuturesApi: string;
+}
+
+export interface MockBook {
+  bids: [string, string][];
+  asks: [string, string][];
+}
+
+export interface MockServer {
+  /** Exchange state the server matches orders against */
+  exchange: any;
+  /** Requests received */
+  requests: { method: string; path: string; params: { [key: string]: string } }[];
+  /** Listen on a local port, a free one by default */
+  start(port?: number, host?: string): Promise<MockServerEndpoints>;
+  stop(): Promise<void>;
+  /** Replace the book of a symbol, sending its depth update to the streams */
+  setBook(symbol: string, book: MockBook, market?: 'spot' | 'futures'): void;
+  /** Add a market trade, filling the resting orders it reaches */
+  trade(
+    symbol: string,
+    trade: { price: string; quantity: string; isBuyerMaker?: boolean },
+    market?: 'spot' | 'futures',
+  ): void;
+  /** Expire a listen key, closing its streams */
+  expireListenKey(listenKey: string): void;
+}
+
+/** Request prepared by a client in dry run, the result of its methods */
+export interface PreparedRequest {
+  method: string;
+  url: string;
+  /** Path of the endpoint, e.g. `/api/v3/order` */
+  endpoint: string;
+  /** Query and body params */
+  params: { [key: string]: string };
+  headers: { [key: string]: string };
+  /** Form encoded params of calls made with `paramsInBody` */
+  body?: string;
+  signature?: string;
+}
+
+/** `decimal` gives BigNumber instances, `bigint` integers as BigInt and decimals as strings */
+export type NumberMode = 'string' | 'number' | 'decimal' | 'bigint';
+
+export type FilterMode = 'adjust' | 'validate';
+
+export interface FilterOptions {
+  mode?: FilterMode;
+  /** Check MAX_NUM_ORDERS, at the cost of an open orders request per order */
+  countOpenOrders?: boolean;
+}
+
+export interface SymbolFilterOptions {
+  mode?: FilterMode;
+  /** Average price on spot, mark price on futures, for notional and percent price checks */
+  referencePrice?: string | number;
+  /** Open orders on the symbol, for MAX_NUM_ORDERS */
+  openOrders?: number;
+}
+
+export interface RetryOptions {
+  /** Maximum number of retries, 3 by default */
+  retries?: number;
+  /** Delay before the first retry in ms, 500 by default */
+  minDelay?: number;
+  /** Longest delay between attempts in ms, 30000 by default */
+  maxDelay?: number;
+  /** Backoff multiplier, 2 by default */
+  factor?: number;
+  /** Randomize delays, true by default */
+  jitter?: boolean;
+  /** Replay POSTs whose execution status is unknown (5xx, -1007), false by default */
+  retryPost?: boolean;
+  onRetry?: (error: Error, attempt: number, delay: number) => void;
+}
+
+export interface UsageInfo {
+  usedWeight1m?: string;
+  orderCount10s?: string;
+  orderCount1m?: string;
+  orderCount1h?: string;
+  orderCount1d?: string;
+  responseTime?: string;
+}
+
+export interface UsageChangeEvent {
+  /** Host name of the api, e.g. `fapi.binance.com` */
+  domain: string;
+  key: keyof UsageInfo;
+  value: string;
+  previous?: string;
+  threshold: number;
+  direction: 'up' | 'down';
+}
+
+export type RateLimitDomain = 'spot' | 'futures' | 'delivery' | 'portfolioMargin';
+
+export interface RateLimit {
+  rateLimitType: RateLimitType | 'REQUEST_WEIGHT' | 'ORDERS' | 'RAW_REQUESTS';
+  interval: RateLimitInterval | 'SECOND' | 'MINUTE' | 'HOUR' | 'DAY';
+  intervalNum: number;
+  limit: number;
+}
+
+export type EndpointWeight = number | ((payload: any) => number);
+
+export interface RateLimiterOptions {
+  /** `queue` delays calls until they fit (default), `reject` fails them with a `RateLimitError` */
+  mode?: 'queue' | 'reject';
+  /** Share of each limit kept in reserve, 0.1 by default */
+  margin?: number;
+  /** Endpoint weights by path or `METHOD path`, merged with the built-in table */
+  weights?: { [endpoint: string]: EndpointWeight };
+  /** Limits to start with instead of the defaults, in the exchangeInfo format */
+  limits?: { [domain in RateLimitDomain]?: RateLimit[] };
+  now?: () => number;
+}
+
+export interface RateLimitUsage {
+  rateLimitType: string;
+  /** Window length in ms */
+  interval: number;
+  limit: number;
+  used: number;
+}
+
+export interface RateLimiter {
+  acquire(path: string, method?: string, payload?: any, signal?: AbortSignal): Promise<void>;
+  update(path: string, headers: Headers): void;
+  setLimits(domain: RateLimitDomain, rateLimits: RateLimit[]): void;
+  /** Read the limits of the spot, futures and delivery domains from their exchangeInfo */
+  loadLimits(domains?: RateLimitDomain[]): Promise<void[]>;
+  usage(): { [domain in RateLimitDomain]?: { queued: number; limits: RateLimitUsage[] } };
+}
+
+export type ExchangeInfoDomain = 'spot' | 'futures' | 'delivery';
+
+export interface SymbolRegistryOptions {
+  /** Lifetime of a cached exchange info in ms, 1 hour by default, `0` never expires */
+  ttl?: number;
+  onChange?: (event: SymbolChangeEvent) => void;
+  /** Local clock, defaults to the `getTime` option of the client, then `Date.now` */
+  getTime?: () => number;
+}
+
+export interface SymbolChangeEvent {
+  domain: ExchangeInfoDomain;
+  /** `removed` for symbols gone from the exchange info, i.e. delisted */
+  type: 'added' | 'removed' | 'status';
+  symbol: string;
+  status?: string;
+  /** Status before the change */
+  previous?: string;
+}
+
+export interface SymbolPrecision {
+  baseAsset: string;
+  quoteAsset: string;
+  baseAssetPrecision: number;
+  quoteAssetPrecision: number;
+  tickSize?: string;
+  stepSize?: string;
+  /** Decimals of the tick size */
+  priceDecimals?: number;
+  /** Decimals of the step size */
+  quantityDecimals?: number;
+}
+
+export interface SymbolRegistry {
+  /** Every method takes an optional domain, `spot` by default */
+  getExchangeInfo(domain?: ExchangeInfoDomain): Promise<any>;
+  getSymbol(symbol: string, domain?: ExchangeInfoDomain): Promise<any | null>;
+  listSymbols(criteria?: {
+    domain?: ExchangeInfoDomain;
+    quoteAsset?: string;
+    baseAsset?: string;
+    status?: string;
+    /** Permissions the symbols must all have */
+    permissions?: string | string[];
+  }): Promise<any[]>;
+  getPrecision(symbol: string, domain?: ExchangeInfoDomain): Promise<SymbolPrecision | null>;
+  getAssetPrecision(asset: string, domain?: ExchangeInfoDomain): Promise<number | null>;
+  /** Fetch the exchange info again, whatever its age */
+  refresh(domain?: ExchangeInfoDomain): Promise<any>;
+  /** Returns a function removing the listener */
+  onChange(listener: (event: SymbolChangeEvent) => void): () => void;
+}
+
+export interface SyncTimeOptions {
+  /** Delay between two measures in ms, 60s by default, `0` measures once */
+  interval?: number;
+  /** Local clock, defaults to `Date.now` */
+  getTime?: () => number;
+}
+
+export interface TimeOffset {
+  /** Server time minus local time in ms */
+  offset: number;
+  /** Round trip time of the last measure in ms */
+  rtt: number | null;
+  /** Local time of the last successful measure */
+  syncedAt: number | null;
+}
+
+export interface ServerClock {
+  /** Server time for a request path */
+  now(path: string): Promise<number>;
+  /** Measure the offset of the domain of a path again */
+  sync(path: string): Promise<void>;
+  offsets(): { [domain in RateLimitDomain]?: TimeOffset };
+  stop(): void;
+}
+
+/** Context of the hooks of a request, read-only apart from the `headers` */
+export interface InterceptorContext {
+  readonly method: string;
+  /** Request url, with the signature and listen keys redacted */
+  readonly url: string;
+  readonly endpoint: string;
+  readonly params: { readonly [key: string]: string };
+  /**
+   * Request headers, with the api key masked, `onRequest` can change them in
+   * place. A masked api key is sent as the real one.
+   */
+  headers: { [key: string]: string };
+  /** Set once the response is in */
+  status?: number;
+  /** Time between sending the request and its result in ms */
+  duration?: number;
+  /** `x-mbx-used-weight-*`, `x-mbx-order-count-*`, `x-sapi-used-*` and `retry-after` headers */
+  rateLimits?: { [header: string]: string };
+  /** Set for `onError` */
+  error?: Error;
+}
+
+export interface Interceptor {
+  onRequest?: (context: InterceptorContext) => void | Promise<void>;
+  onResponse?: (context: InterceptorContext) => void | Promise<void>;
+  onError?: (context: InterceptorContext) => void | Promise<void>;
+}
+
+// Per-call options, passed along with the payload of any REST method
+export interface RequestOptions {
+  /** Aborts the request, the call rejects with an `AbortError` */
+  signal?: AbortSignal;
+  /** Overrides the client `timeout` for this call, `0` disables it */
+  timeout?: number;
 }
 
 export enum RateLimitType {
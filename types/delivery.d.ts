@@ -1,9 +1,14 @@
-import { BinanceRestClient, OrderSide, OrderStatus, OrderType, TimeInForce } from './base';
+import { BinanceRestClient, OrderSide, OrderStatus, OrderType, TimeInForce, RequestOptions } from './base';
+import { CandleChartResult, CandlesRangePayload, CandlesRangeResult } from './market';
+
+export interface DeliveryCandle extends Omit<CandleChartResult, 'quoteVolume'> {
+  baseVolume: string;
+}
 
 export interface DeliveryEndpoints extends BinanceRestClient {
-  deliveryPing(): Promise<boolean>;
-  deliveryTime(): Promise<{ serverTime: number }>;
-  deliveryExchangeInfo(): Promise<any>;
+  deliveryPing(options?: RequestOptions): Promise<boolean>;
+  deliveryTime(options?: RequestOptions): Promise<{ serverTime: number }>;
+  deliveryExchangeInfo(options?: RequestOptions): Promise<any>;
   deliveryBook(payload: { symbol: string; limit?: number }): Promise<{
     lastUpdateId: number;
     asks: Array<[string, string]>;
@@ -84,6 +89,9 @@ export interface DeliveryEndpoints extends BinanceRestClient {
     quoteAssetVolume: string;
     baseAssetVolume: string;
   }>>;
+  deliveryCandlesRange(payload: CandlesRangePayload & { symbol: string }): Promise<CandlesRangeResult<DeliveryCandle>>;
+  deliveryMarkPriceCandlesRange(payload: CandlesRangePayload & { symbol: string }): Promise<CandlesRangeResult<DeliveryCandle>>;
+  deliveryIndexPriceCandlesRange(payload: CandlesRangePayload & { pair: string }): Promise<CandlesRangeResult<DeliveryCandle>>;
   deliveryTrades(payload: { symbol: string; limit?: number }): Promise<Array<{
     id: number;
     price: string;
@@ -111,10 +119,10 @@ export interface DeliveryEndpoints extends BinanceRestClient {
     lastId: number;
     count: number;
   }>>;
-  deliveryPrices(): Promise<{
+  deliveryPrices(options?: RequestOptions): Promise<{
     [key: string]: string;
   }>;
-  deliveryAllBookTickers(): Promise<{
+  deliveryAllBookTickers(options?: RequestOptions): Promise<{
     [key: string]: {
       symbol: string;
       pair: string;
@@ -0,0 +1,84 @@
+import { PreparedRequest } from './base';
+import { ErrorCodes } from './shared';
+
+export interface BinanceErrorDetails {
+  status?: number;
+  code?: number | string;
+  method?: string;
+  /** Request url, with the signature redacted */
+  url?: string;
+  /** Path of the endpoint, e.g. `/api/v3/order` */
+  endpoint?: string;
+  /** Request params, with the signature and stream keys redacted */
+  params?: { [key: string]: string };
+  /** `Retry-After` header, in seconds */
+  retryAfter?: string;
+}
+
+export class BinanceError extends Error {
+  constructor(message: string, details?: BinanceErrorDetails);
+  status?: number;
+  /** Binance error code for api errors, system error code for network errors */
+  code?: number | string;
+  /** Name of the code in `ErrorCodes`, e.g. `INVALID_TIMESTAMP` */
+  codeName?: keyof typeof ErrorCodes;
+  method?: string;
+  url?: string;
+  endpoint?: string;
+  params?: { [key: string]: string };
+  retryAfter?: string;
+  /** Rate limits, 5xx, unknown execution status, network failures and timeouts */
+  isRetryable(): boolean;
+  /** 429, 418 (IP ban), -1003 and -1015 */
+  isRateLimit(): boolean;
+  /** 401 and api key/signature errors */
+  isAuth(): boolean;
+}
+
+export class BinanceApiError extends BinanceError {
+  code: number;
+}
+
+export class BinanceHttpError extends BinanceError {
+  constructor(
+    message: string,
+    details?: BinanceErrorDetails & { response?: Response; responseText?: string },
+  );
+  response: Response;
+  responseText: string;
+}
+
+export class BinanceNetworkError extends BinanceError {
+  constructor(cause: Error, details?: BinanceErrorDetails);
+  cause: Error;
+}
+
+export class BinanceTimeoutError extends BinanceError {
+  constructor(timeout: number, details?: BinanceErrorDetails);
+  timeout: number;
+}
+
+export class BinanceRateLimitError extends BinanceError {
+  domain: string;
+  rateLimitType: string;
+  /** Time in ms until the call would fit, null when it never will */
+  waitTime: number | null;
+}
+
+/** Rejection of the async iterators in dry run, carrying the first request */
+export class DryRunError extends Error {
+  constructor(request: PreparedRequest);
+  request: PreparedRequest;
+}
+
+export class BinanceFilterError extends BinanceError {
+  constructor(
+    message: string,
+    details?: BinanceErrorDetails & { filterType?: string; symbol?: string; field?: string },
+  );
+  /** Filter the order breaks, e.g. `LOT_SIZE` */
+  filterType: string;
+  symbol: string;
+  /** Order param at fault, e.g. `quantity` */
+  field?: string;
+}
@@ -1,4 +1,5 @@
-import { BinanceRestClient, OrderSide, OrderStatus, OrderType, TimeInForce } from './base';
+import { BinanceRestClient, OrderSide, OrderStatus, OrderType, TimeInForce, RequestOptions } from './base';
+import { CandlesRangePayload, CandlesRangeResult } from './market';
 
 export interface FuturesOrderResponse {
   symbol: string;
@@ -36,11 +37,11 @@ export interface FuturesAlgoOrderResponse {
 }
 
 export interface FuturesEndpoints extends BinanceRestClient {
-  futuresPing(): Promise<boolean>;
-  futuresTime(): Promise<{
+  futuresPing(options?: RequestOptions): Promise<boolean>;
+  futuresTime(options?: RequestOptions): Promise<{
     serverTime: number;
   }>;
-  futuresExchangeInfo(): Promise<any>;
+  futuresExchangeInfo(options?: RequestOptions): Promise<any>;
   futuresBook(payload: { symbol: string; limit?: number }): Promise<{
     lastUpdateId: number;
     asks: Array<[string, string]>;
@@ -133,6 +134,9 @@ export interface FuturesEndpoints extends BinanceRestClient {
     baseAssetVolume: string;
     quoteAssetVolume: string;
   }>>;
+  futuresCandlesRange(payload: CandlesRangePayload & { symbol: string }): Promise<CandlesRangeResult>;
+  futuresMarkPriceCandlesRange(payload: CandlesRangePayload & { symbol: string }): Promise<CandlesRangeResult>;
+  futuresIndexPriceCandlesRange(payload: CandlesRangePayload & { pair: string }): Promise<CandlesRangeResult>;
   futuresTrades(payload: { symbol: string; limit?: number }): Promise<Array<{
     id: number;
     price: string;
@@ -168,7 +172,7 @@ export interface FuturesEndpoints extends BinanceRestClient {
   futuresPrices(payload?: { symbol?: string }): Promise<{
     [key: string]: string;
   }>;
-  futuresAllBookTickers(): Promise<{
+  futuresAllBookTickers(options?: RequestOptions): Promise<{
     [key: string]: {
       symbol: string;
       bidPrice: string;
@@ -1,32 +1,16 @@
-import { BinanceRestClient, RateLimitType, RateLimitInterval } from './base';
+import { BinanceRestClient, RateLimiter, ServerClock, SymbolRegistry, UsageInfo, RequestOptions } from './base';
 
 export interface GenericEndpoints extends BinanceRestClient {
-  getInfo(): Promise<{
-    timezone: string;
-    serverTime: number;
-    rateLimits: Array<{
-      rateLimitType: RateLimitType;
-      interval: RateLimitInterval;
-      intervalNum: number;
-      limit: number;
-    }>;
-    exchangeFilters: any[];
-    symbols: Array<{
-      symbol: string;
-      status: string;
-      baseAsset: string;
-      quoteAsset: string;
-      orderTypes: string[];
-      icebergAllowed: boolean;
-      ocoAllowed: boolean;
-      isSpotTradingAllowed: boolean;
-      isMarginTradingAllowed: boolean;
-      filters: any[];
-      permissions: string[];
-    }>;
-  }>;
-  ping(): Promise<boolean>;
-  time(): Promise<{ serverTime: number }>;
+  /** Limits info read from the response headers of this client, by domain */
+  getInfo(): { [domain: string]: UsageInfo };
+  /** Set when the client was created with the `rateLimit` option */
+  rateLimiter: RateLimiter | null;
+  /** Set when the client was created with the `syncTime` option */
+  serverClock: ServerClock | null;
+  /** Cached exchange info with symbol lookups */
+  symbols: SymbolRegistry;
+  ping(options?: RequestOptions): Promise<boolean>;
+  time(options?: RequestOptions): Promise<{ serverTime: number }>;
   exchangeInfo(): Promise<any>;
   privateRequest(method: string, url: string, payload: any): Promise<any>;
   publicRequest(method: string, url: string, payload: any): Promise<any>;
@@ -1,4 +1,4 @@
-import { BinanceRestClient } from './base';
+import { BinanceRestClient, RequestOptions } from './base';
 import { OrderType, OrderSide, TimeInForce } from './base';
 
 export interface MarginAsset {
@@ -259,7 +259,7 @@ export interface MarginEndpoints extends BinanceRestClient {
       tradeEnabled: boolean;
     }[]
   }>;
-  marginAccount(): Promise<MarginAccountInfo>;
+  marginAccount(options?: RequestOptions): Promise<MarginAccountInfo>;
 
   // Order endpoints
   marginOrder(params: MarginOrderParams): Promise<any>;
@@ -1,4 +1,4 @@
-import { BinanceRestClient } from './base';
+import { BinanceRestClient, RequestOptions } from './base';
 
 export interface Trade {
   eventType: string;
@@ -59,6 +59,29 @@ export interface CandleChartResult {
   quoteAssetVolume: string;
 }
 
+export interface CandlesRangePayload extends RequestOptions {
+  interval?: string;
+  startTime: number;
+  /** Defaults to now */
+  endTime?: number;
+  /** Candles per request, 1000 by default */
+  limit?: number;
+  /** Requests in flight at once, 3 by default */
+  concurrency?: number;
+}
+
+/** Missing candles, by open time of the first and last of them */
+export interface CandleGap {
+  startTime: number;
+  endTime: number;
+  count: number;
+}
+
+export interface CandlesRangeResult<Candle = CandleChartResult> {
+  candles: Candle[];
+  gaps: CandleGap[];
+}
+
 export interface AggregatedTrade {
   aggId: number;
   symbol: string;
@@ -91,6 +114,7 @@ export interface MarketEndpoints extends BinanceRestClient {
     endTime?: number;
     limit?: number;
   }): Promise<CandleChartResult[]>;
+  candlesRange(payload: CandlesRangePayload & { symbol: string }): Promise<CandlesRangeResult>;
   trades(payload: { symbol: string; limit?: number }): Promise<Trade[]>;
   tradesHistory(payload: { symbol: string; limit?: number }): Promise<Trade[]>;
   dailyStats(payload: { symbol: string }): Promise<Ticker>;
@@ -99,7 +123,7 @@ export interface MarketEndpoints extends BinanceRestClient {
     mins: number;
     price: string;
   }>;
-  allBookTickers(): Promise<BookTicker[]>;
+  allBookTickers(options?: RequestOptions): Promise<BookTicker[]>;
   ticker24hr(payload: { symbol: string }): Promise<Ticker>;
   tickerPrice(payload: { symbol: string }): Promise<{
     symbol: string;
@@ -0,0 +1,27 @@
+export type PaginatedMethod =
+  | 'myTrades'
+  | 'allOrders'
+  | 'aggTrades'
+  | 'futuresAggTrades'
+  | 'futuresUserTrades'
+  | 'futuresAllOrders'
+  | 'futuresIncome'
+  | 'deliveryAggTrades'
+  | 'deliveryUserTrades'
+  | 'deliveryAllOrders'
+  | 'deliveryIncome'
+  | 'marginMyTrades'
+  | 'marginAllOrders';
+
+type PageItem<Method> = Method extends (...args: any[]) => Promise<Array<infer Item>> ? Item : any;
+
+type PagePayload<Method> = Method extends (payload: infer Payload, ...args: any[]) => any
+  ? NonNullable<Payload>
+  : any;
+
+/** Async iterators over every item of the history endpoints of a client */
+export type Iterators<Client> = {
+  [Name in PaginatedMethod & keyof Client]: (
+    payload?: PagePayload<Client[Name]>,
+  ) => AsyncIterableIterator<PageItem<Client[Name]>>;
+};
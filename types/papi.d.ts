@@ -1,7 +1,7 @@
-import { BinanceRestClient, OrderSide, OrderStatus, OrderType, TimeInForce } from './base';
+import { BinanceRestClient, OrderSide, OrderStatus, OrderType, TimeInForce, RequestOptions } from './base';
 
 export interface PAPIEndpoints extends BinanceRestClient {
-  papiPing(): Promise<boolean>;
+  papiPing(options?: RequestOptions): Promise<boolean>;
   papiUmOrder(payload: {
     symbol: string;
     side: OrderSide;
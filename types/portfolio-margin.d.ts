@@ -1,7 +1,7 @@
-import { BinanceRestClient } from './base';
+import { BinanceRestClient, RequestOptions } from './base';
 
 export interface PortfolioMarginEndpoints extends BinanceRestClient {
-  portfolioMarginAccountInfo(): Promise<{
+  portfolioMarginAccountInfo(options?: RequestOptions): Promise<{
     totalInitialMargin: string;
     totalMaintMargin: string;
     totalWalletBalance: string;
@@ -49,7 +49,7 @@ export interface PortfolioMarginEndpoints extends BinanceRestClient {
       marginLevel: string;
     }>;
   }>;
-  portfolioMarginCollateralRate(): Promise<Array<{
+  portfolioMarginCollateralRate(options?: RequestOptions): Promise<Array<{
     asset: string;
     collateralRate: string;
   }>>;
@@ -1,7 +1,7 @@
-import { BinanceRestClient } from './base';
+import { BinanceRestClient, RequestOptions } from './base';
 
 export interface StreamEndpoints extends BinanceRestClient {
-  getDataStream(): Promise<{
+  getDataStream(options?: RequestOptions): Promise<{
     listenKey: string;
   }>;
   keepDataStream(payload: { listenKey: string }): Promise<{
@@ -22,7 +22,7 @@ export interface StreamEndpoints extends BinanceRestClient {
     token: string;
     expirationTime: number;
   }>;
-  futuresGetDataStream(): Promise<{
+  futuresGetDataStream(options?: RequestOptions): Promise<{
     listenKey: string;
   }>;
   futuresKeepDataStream(payload: { listenKey: string }): Promise<{
@@ -35,7 +35,7 @@ export interface StreamEndpoints extends BinanceRestClient {
     code: number;
     msg: string;
   }>;
-  deliveryGetDataStream(): Promise<{
+  deliveryGetDataStream(options?: RequestOptions): Promise<{
     listenKey: string;
   }>;
   deliveryKeepDataStream(payload: { listenKey: string }): Promise<{
@@ -0,0 +1,115 @@
+import { GenericEndpoints } from './generic';
+import { MarketEndpoints } from './market';
+import { OrderEndpoints } from './order';
+import { AccountEndpoints } from './account';
+import { FuturesEndpoints } from './futures';
+
+// Per-request options, passed along with the payload of any WebSocket API method
+export interface WebSocketApiRequestOptions {
+  /** Cancels the request, it rejects with an `AbortError` and is not sent if still queued */
+  signal?: AbortSignal;
+  /** Overrides the client `timeout` for this request, 10s by default, `0` disables it */
+  timeout?: number;
+}
+
+// Last known usage of a rate limit, from the `rateLimits` of the responses
+export interface WebSocketApiRateLimit {
+  rateLimitType: 'REQUEST_WEIGHT' | 'ORDERS' | 'RAW_REQUESTS' | string;
+  interval: 'SECOND' | 'MINUTE' | 'HOUR' | 'DAY' | string;
+  intervalNum: number;
+  limit: number;
+  count: number;
+}
+
+// Session of a connection, from `session.logon`
+export interface WebSocketApiSession {
+  /** Api key the connection is authenticated with, null before the logon */
+  apiKey: string | null;
+  authorizedSince: number | null;
+  connectedSince: number;
+  returnRateLimits: boolean;
+  serverTime: number;
+}
+
+export interface WebSocketApiConnection {
+  /** Send a request, `signed` ones with the api key, timestamp and signature */
+  request<T = any>(
+    method: string,
+    params?: { [key: string]: any } & WebSocketApiRequestOptions,
+    options?: { signed?: boolean },
+  ): Promise<T>;
+  /**
+   * Log on with an Ed25519 key, the following signed requests are sent without
+   * api key and signature, again after reconnections
+   */
+  logon(): Promise<WebSocketApiSession>;
+  /** Log out, signed requests are signed again */
+  logout(): Promise<WebSocketApiSession>;
+  /** Ask the session status, updating the one of `getSession` */
+  sessionStatus(): Promise<WebSocketApiSession>;
+  /** `active` once logged on, `pending` while logging on, `none` when requests are signed */
+  getSession(): { status: 'active' | 'pending' | 'none' } & Partial<WebSocketApiSession>;
+  /** Open the connection ahead of the first request */
+  connect(): Promise<void>;
+  /** Close the connection, the requests waiting for a response are rejected */
+  close(): void;
+  getRateLimits(): WebSocketApiRateLimit[];
+}
+
+type WithRequestOptions<Method> = Method extends (...args: infer Args) => Promise<infer Result>
+  ? Args extends []
+    ? (payload?: WebSocketApiRequestOptions) => Promise<Result>
+    : undefined extends Args[0]
+      ? (payload?: NonNullable<Args[0]> & WebSocketApiRequestOptions) => Promise<Result>
+      : (payload: Args[0] & WebSocketApiRequestOptions) => Promise<Result>
+  : Method;
+
+type WebSocketApiMethods = Pick<GenericEndpoints, 'ping' | 'time' | 'exchangeInfo'> &
+  Pick<MarketEndpoints, 'book' | 'trades' | 'avgPrice' | 'prices' | 'allBookTickers'> &
+  Pick<
+    OrderEndpoints,
+    | 'order'
+    | 'orderTest'
+    | 'updateOrder'
+    | 'getOrder'
+    | 'cancelOrder'
+    | 'openOrders'
+    | 'cancelOpenOrders'
+    | 'allOrders'
+  > &
+  Pick<AccountEndpoints, 'myTrades' | 'accountInfo'>;
+
+/**
+ * Spot WebSocket API client, `client.wsApi`, with the payloads and results of
+ * the REST methods of the same name, or `PreparedWebSocketApiRequest` in dry run
+ */
+export type WebSocketApi = WebSocketApiConnection &
+  { [Method in keyof WebSocketApiMethods]: WithRequestOptions<WebSocketApiMethods[Method]> };
+
+type FuturesWebSocketApiMethods = {
+  book: FuturesEndpoints['futuresBook'];
+  prices: FuturesEndpoints['futuresPrices'];
+  allBookTickers: FuturesEndpoints['futuresAllBookTickers'];
+  order: FuturesEndpoints['futuresOrder'];
+  updateOrder: FuturesEndpoints['futuresUpdateOrder'];
+  getOrder: FuturesEndpoints['futuresGetOrder'];
+  cancelOrder: FuturesEndpoints['futuresCancelOrder'];
+  positionRisk: FuturesEndpoints['futuresPositionRisk'];
+  accountBalance: FuturesEndpoints['futuresAccountBalance'];
+  accountInfo: FuturesEndpoints['futuresAccountInfo'];
+};
+
+/**
+ * USDⓈ-M futures WebSocket API client, `client.futuresWsApi`, with the payloads
+ * and results of the REST methods of the same name with a `futures` prefix
+ */
+export type FuturesWebSocketApi = WebSocketApiConnection &
+  { [Method in keyof FuturesWebSocketApiMethods]: WithRequestOptions<FuturesWebSocketApiMethods[Method]> };
+
+/** Request prepared by the WebSocket API client in dry run, the result of its methods */
+export interface PreparedWebSocketApiRequest {
+  /** WebSocket API method, e.g. `order.place` */
+  method: string;
+  url: string;
+  params: { [key: string]: any };
+}